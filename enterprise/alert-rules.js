@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+const MINUTE = 60 * 1000;
+
+// Where each rule metric is read from in monitor samples. Engine timings
+// skip cache hits, which only measure the cache lookup.
+const METRICS = {
+    heapUsed: { source: 'system', read: m => m.memory.heapUsed, unit: 'bytes' },
+    rss: { source: 'system', read: m => m.memory.rss, unit: 'bytes' },
+    cpuPercent: { source: 'system', read: m => m.cpu.percent, unit: '%' },
+    analysisTime: { source: 'analysis', read: m => m.cached ? null : m.analysisTime, unit: 'ms' },
+    throughput: { source: 'analysis', read: m => m.cached ? null : m.throughput, unit: 'chars/ms' },
+    issues: { source: 'analysis', read: m => m.issues, unit: '' }
+};
+
+const AGGREGATIONS = {
+    avg: values => values.reduce((sum, v) => sum + v, 0) / values.length,
+    min: values => values.reduce((low, v) => Math.min(low, v), Infinity),
+    max: values => values.reduce((high, v) => Math.max(high, v), -Infinity),
+    sum: values => values.reduce((sum, v) => sum + v, 0),
+    count: values => values.length,
+    last: values => values[values.length - 1]
+};
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b
+};
+
+function defaultAlertRules(thresholds) {
+    return [
+        {
+            name: 'high-memory',
+            type: 'HIGH_MEMORY',
+            metric: 'heapUsed',
+            window: 5 * MINUTE,
+            aggregation: 'avg',
+            comparator: '>',
+            threshold: thresholds.memoryUsage,
+            severity: 'critical',
+            cooldown: 15 * MINUTE
+        },
+        {
+            name: 'high-cpu',
+            type: 'HIGH_CPU',
+            metric: 'cpuPercent',
+            window: 5 * MINUTE,
+            aggregation: 'avg',
+            comparator: '>',
+            threshold: thresholds.cpuUsage,
+            severity: 'warning',
+            cooldown: 15 * MINUTE
+        },
+        {
+            name: 'slow-analysis',
+            type: 'SLOW_ANALYSIS',
+            metric: 'analysisTime',
+            window: 5 * MINUTE,
+            aggregation: 'max',
+            comparator: '>',
+            threshold: thresholds.analysisTime,
+            severity: 'warning',
+            cooldown: 10 * MINUTE
+        },
+        {
+            name: 'low-throughput',
+            type: 'LOW_THROUGHPUT',
+            metric: 'throughput',
+            window: 15 * MINUTE,
+            aggregation: 'avg',
+            comparator: '<',
+            threshold: thresholds.throughput,
+            severity: 'warning',
+            cooldown: 30 * MINUTE,
+            minSamples: 5
+        }
+    ];
+}
+
+function formatMetric(value, unit) {
+    if (unit === 'bytes') {
+        return `${Math.round(value / 1024 / 1024)}MB`;
+    }
+    const rounded = Math.round(value * 100) / 100;
+    return unit ? `${rounded}${unit === '%' ? '%' : ` ${unit}`}` : String(rounded);
+}
+
+function validateRule(rule) {
+    const problems = [
+        !rule.name && 'name is required',
+        !METRICS[rule.metric] && `unknown metric '${rule.metric}'`,
+        !AGGREGATIONS[rule.aggregation || 'avg'] && `unknown aggregation '${rule.aggregation}'`,
+        !COMPARATORS[rule.comparator] && `unknown comparator '${rule.comparator}'`,
+        typeof rule.threshold !== 'number' && 'threshold must be a number'
+    ].filter(Boolean);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid alert rule ${rule.name || '(unnamed)'}: ${problems.join(', ')}`);
+    }
+}
+
+function sourceOf(sample) {
+    return sample.filePath ? 'analysis' : 'system';
+}
+
+function matchesSilence(silence, alert) {
+    return Object.entries(silence.matchers).every(([field, value]) => alert[field] === value);
+}
+
+// Evaluates declarative rules over monitor samples and tracks one state per
+// dedup key, so a condition that stays true produces a single firing alert
+// and a matching resolution once it clears. After resolving, a key cannot
+// fire again until its cooldown has passed.
+class AlertRuleEngine {
+    constructor(options = {}) {
+        this.states = new Map();
+        this.silences = new Map();
+        this.setRules(options.rules || []);
+    }
+
+    // Firing states and silences survive a rule change, so an alert whose
+    // rule is kept does not fire twice
+    setRules(rules) {
+        this.rules = rules.map(rule => {
+            validateRule(rule);
+            return {
+                aggregation: 'avg',
+                window: 5 * MINUTE,
+                severity: 'warning',
+                cooldown: 0,
+                minSamples: 1,
+                type: rule.name.toUpperCase().replace(/-/g, '_'),
+                dedupKey: rule.name,
+                ...rule
+            };
+        });
+    }
+
+    // Returns `fire` and `resolve` transitions. `sources` limits evaluation
+    // to rules reading analysis or system samples.
+    evaluate(samples, { now = Date.now(), sources } = {}) {
+        const transitions = [];
+
+        for (const rule of this.rules) {
+            const metric = METRICS[rule.metric];
+            if (sources && !sources.includes(metric.source)) {
+                continue;
+            }
+
+            const values = samples
+                .filter(sample => sample.timestamp >= now - rule.window && sourceOf(sample) === metric.source)
+                .map(sample => metric.read(sample))
+                .filter(Number.isFinite);
+            // Too few samples cannot breach a rule, so an alert resolves
+            // once its traffic stops
+            const sampled = values.length > 0 && values.length >= rule.minSamples;
+            const value = sampled ? AGGREGATIONS[rule.aggregation](values) : null;
+            const breached = sampled && COMPARATORS[rule.comparator](value, rule.threshold);
+            const state = this.states.get(rule.dedupKey) || { firing: false, resolvedAt: 0 };
+            this.states.set(rule.dedupKey, state);
+
+            if (breached && !state.firing && now - state.resolvedAt >= rule.cooldown) {
+                state.firing = true;
+                state.rule = rule.name;
+                transitions.push({ action: 'fire', rule, value, message: this.describe(rule, value) });
+            } else if (!breached && state.firing && state.rule === rule.name) {
+                state.firing = false;
+                state.resolvedAt = now;
+                transitions.push({ action: 'resolve', rule, value, message: this.describe(rule, value) });
+            }
+        }
+
+        return transitions;
+    }
+
+    describe(rule, value) {
+        const { unit } = METRICS[rule.metric];
+        if (value === null) {
+            return `too few ${rule.metric} samples over ${Math.round(rule.window / MINUTE)}m `
+                + `(threshold ${rule.comparator} ${formatMetric(rule.threshold, unit)})`;
+        }
+        return `${rule.aggregation} ${rule.metric} over ${Math.round(rule.window / MINUTE)}m is ${formatMetric(value, unit)} `
+            + `(threshold ${rule.comparator} ${formatMetric(rule.threshold, unit)})`;
+    }
+
+    // Matchers compare alert fields such as `type`, `severity` or `dedupKey`
+    silence({ matchers = {}, until, reason, createdBy }) {
+        const fields = Object.keys(matchers);
+        if (fields.length === 0 || fields.some(field => !['type', 'severity', 'dedupKey', 'rule'].includes(field))) {
+            throw new Error('Silences need at least one matcher on type, severity, dedupKey or rule');
+        }
+        if (!(new Date(until).getTime() > Date.now())) {
+            throw new Error('Silence end must be a future time');
+        }
+
+        const silence = {
+            id: crypto.randomUUID(),
+            matchers,
+            until: new Date(until).toISOString(),
+            reason: reason || null,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+        this.silences.set(silence.id, silence);
+        return silence;
+    }
+
+    unsilence(id) {
+        return this.silences.delete(id);
+    }
+
+    listSilences() {
+        const now = Date.now();
+        for (const [id, silence] of this.silences) {
+            if (new Date(silence.until).getTime() <= now) {
+                this.silences.delete(id);
+            }
+        }
+        return [...this.silences.values()];
+    }
+
+    findSilence(alert) {
+        return this.listSilences().find(silence => matchesSilence(silence, alert)) || null;
+    }
+}
+
+module.exports = {
+    AlertRuleEngine,
+    defaultAlertRules,
+    validateRule,
+    METRICS,
+    AGGREGATIONS,
+    COMPARATORS
+};
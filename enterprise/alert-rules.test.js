@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertRuleEngine, validateRule } = require('./alert-rules.js');
+
+const MINUTE = 60 * 1000;
+
+const rule = {
+    name: 'high-cpu',
+    metric: 'cpuPercent',
+    window: 5 * MINUTE,
+    comparator: '>',
+    threshold: 80,
+    cooldown: 10 * MINUTE
+};
+
+const cpu = (percent, timestamp) => ({ timestamp, cpu: { percent }, memory: { heapUsed: 0, rss: 0 } });
+
+describe('AlertRuleEngine', () => {
+    it('fires once while a condition holds and resolves when it clears', () => {
+        const engine = new AlertRuleEngine({ rules: [rule] });
+        const now = Date.now();
+
+        const [fire] = engine.evaluate([cpu(95, now)], { now });
+        assert.equal(fire.action, 'fire');
+        assert.equal(fire.rule.type, 'HIGH_CPU');
+        assert.equal(fire.message, 'avg cpuPercent over 5m is 95% (threshold > 80%)');
+        assert.deepEqual(engine.evaluate([cpu(95, now), cpu(90, now + 1000)], { now: now + 1000 }), []);
+
+        const [resolve] = engine.evaluate([cpu(40, now + 6 * MINUTE)], { now: now + 6 * MINUTE });
+        assert.equal(resolve.action, 'resolve');
+        assert.equal(resolve.value, 40);
+    });
+
+    it('waits for the cooldown before firing the same rule again', () => {
+        const engine = new AlertRuleEngine({ rules: [rule] });
+        const now = Date.now();
+        engine.evaluate([cpu(95, now)], { now });
+        engine.evaluate([], { now: now + MINUTE });
+
+        assert.deepEqual(engine.evaluate([cpu(95, now + 2 * MINUTE)], { now: now + 2 * MINUTE }), []);
+        const [fire] = engine.evaluate([cpu(95, now + 12 * MINUTE)], { now: now + 12 * MINUTE });
+        assert.equal(fire.action, 'fire');
+    });
+
+    it('only evaluates rules reading the requested sources', () => {
+        const engine = new AlertRuleEngine({ rules: [rule] });
+        assert.deepEqual(engine.evaluate([cpu(95, Date.now())], { sources: ['analysis'] }), []);
+    });
+
+    it('matches silences on alert fields until they end', () => {
+        const engine = new AlertRuleEngine();
+        const silence = engine.silence({ matchers: { type: 'HIGH_CPU' }, until: Date.now() + MINUTE, reason: 'deploy' });
+
+        assert.equal(engine.findSilence({ type: 'HIGH_CPU', severity: 'warning' }), silence);
+        assert.equal(engine.findSilence({ type: 'HIGH_MEMORY' }), null);
+        assert.throws(() => engine.silence({ matchers: { message: 'x' }, until: Date.now() + MINUTE }), /at least one matcher/);
+        assert.throws(() => engine.silence({ matchers: { type: 'HIGH_CPU' }, until: Date.now() - 1 }), /future time/);
+
+        engine.silences.get(silence.id).until = new Date(Date.now() - 1).toISOString();
+        assert.deepEqual(engine.listSilences(), []);
+        assert.equal(engine.unsilence(silence.id), false);
+    });
+
+    it('lists every problem of an invalid rule', () => {
+        assert.throws(() => validateRule({ name: 'bad', metric: 'disk', comparator: '~', threshold: '1' }),
+            { message: "Invalid alert rule bad: unknown metric 'disk', unknown comparator '~', threshold must be a number" });
+    });
+});
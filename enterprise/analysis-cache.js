@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Options that travel with a request but do not change what the engine reports
+const NON_ANALYSIS_OPTIONS = ['repository', 'branch', 'format', 'cache', 'baseline', 'suppressions'];
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// JSON with sorted keys, so option order does not change the key
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// The file extension is part of the key because the engine picks its
+// language rules from it.
+function cacheKey({ code, filePath, engineVersion, options = {}, tenant = null }) {
+    const analysisOptions = Object.fromEntries(Object.entries(options)
+        .filter(([key]) => !NON_ANALYSIS_OPTIONS.includes(key)));
+
+    return sha256(stableStringify({
+        content: sha256(code),
+        extension: path.extname(filePath || '').toLowerCase(),
+        engineVersion: engineVersion || '',
+        options: analysisOptions,
+        tenant
+    }));
+}
+
+// Least-recently-used entries are evicted first; Map keeps insertion order,
+// so a hit re-inserts its entry at the end.
+class MemoryAnalysisCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.ttl = options.ttl || 0;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (this.ttl && Date.now() - entry.cachedAt > this.ttl) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return JSON.parse(entry.result);
+    }
+
+    async set(key, result) {
+        this.entries.delete(key);
+        this.entries.set(key, { result: JSON.stringify(result), cachedAt: Date.now() });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        return count;
+    }
+}
+
+// One JSON file per entry under `<directory>/<first two key chars>/`.
+// Expired entries are removed when read.
+class FileAnalysisCache {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(process.cwd(), 'data', 'cache', 'analysis');
+        this.ttl = options.ttl || 0;
+    }
+
+    entryPath(key) {
+        if (!/^[0-9a-f]{64}$/.test(key)) {
+            throw new Error('Invalid cache key');
+        }
+        return path.join(this.directory, key.slice(0, 2), `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this.entryPath(key), 'utf8'));
+            if (this.ttl && Date.now() - entry.cachedAt > this.ttl) {
+                await this.delete(key);
+                return null;
+            }
+            return entry.result;
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, result) {
+        const file = this.entryPath(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ cachedAt: Date.now(), result }));
+        await fs.rename(tmp, file);
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this.entryPath(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async clear() {
+        let count = 0;
+        try {
+            for (const shard of await fs.readdir(this.directory)) {
+                const files = await fs.readdir(path.join(this.directory, shard));
+                count += files.filter(file => file.endsWith('.json')).length;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        await fs.rm(this.directory, { recursive: true, force: true });
+        return count;
+    }
+}
+
+function createAnalysisCache(options = {}) {
+    if (options.enabled === false) {
+        return null;
+    }
+    if (options.type === 'file') {
+        return new FileAnalysisCache(options);
+    }
+    return new MemoryAnalysisCache(options);
+}
+
+module.exports = {
+    MemoryAnalysisCache,
+    FileAnalysisCache,
+    createAnalysisCache,
+    cacheKey
+};
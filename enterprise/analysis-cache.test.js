@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryAnalysisCache, FileAnalysisCache, cacheKey } = require('./analysis-cache.js');
+
+const base = { code: 'run();', filePath: 'src/a.js', engineVersion: '2.0.0' };
+
+describe('cacheKey', () => {
+    it('ignores option order and options that do not change the analysis', () => {
+        const key = cacheKey({ ...base, options: { depth: 2, strict: true } });
+
+        assert.equal(cacheKey({ ...base, options: { strict: true, depth: 2, repository: 'acme/web', cache: 'refresh' } }), key);
+        assert.equal(cacheKey({ ...base, filePath: 'lib/other.js', options: { depth: 2, strict: true } }), key);
+    });
+
+    it('changes with the content, language, engine version, options and tenant', () => {
+        const key = cacheKey(base);
+        for (const change of [{ code: 'run(1);' }, { filePath: 'src/a.py' }, { engineVersion: '2.1.0' }, { options: { strict: true } }, { tenant: 'acme' }]) {
+            assert.notEqual(cacheKey({ ...base, ...change }), key, JSON.stringify(change));
+        }
+    });
+});
+
+describe('MemoryAnalysisCache', () => {
+    it('evicts the least recently used entry and expires old ones', async () => {
+        const cache = new MemoryAnalysisCache({ maxEntries: 2, ttl: 50 });
+        await cache.set('a', { issues: [] });
+        await cache.set('b', { issues: [] });
+        await cache.get('a');
+        await cache.set('c', { issues: [] });
+
+        assert.equal(await cache.get('b'), null);
+        assert.deepEqual(await cache.get('a'), { issues: [] });
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(await cache.get('c'), null);
+    });
+
+    it('returns copies, so callers cannot change cached results', async () => {
+        const cache = new MemoryAnalysisCache();
+        await cache.set('a', { issues: [] });
+        (await cache.get('a')).issues.push({ severity: 'high' });
+        assert.deepEqual(await cache.get('a'), { issues: [] });
+    });
+});
+
+describe('FileAnalysisCache', () => {
+    it('stores entries on disk and clears them', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-'));
+        try {
+            const cache = new FileAnalysisCache({ directory });
+            const key = cacheKey(base);
+            await cache.set(key, { issues: [{ severity: 'low' }] });
+
+            assert.deepEqual(await new FileAnalysisCache({ directory }).get(key), { issues: [{ severity: 'low' }] });
+            assert.equal(await cache.get(cacheKey({ ...base, code: 'other();' })), null);
+            await assert.rejects(cache.get('../../etc/passwd'), /Invalid cache key/);
+            assert.equal(await cache.clear(), 1);
+            assert.equal(await cache.get(key), null);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,149 @@
+const { cacheKey } = require('./analysis-cache.js');
+const { applySuppressions } = require('./suppressions.js');
+const { contentHash } = require('./audit-log.js');
+const { logger } = require('./logger.js');
+const { version } = require('../package.json');
+
+const log = logger.child({ component: 'analysis' });
+
+// Analyzes one file the same way for every entry point: engine results are
+// cached per tenant, rule plugins run, suppressed and baselined findings are
+// moved out, and the analysis is recorded and synced with Jira. The API and
+// the dashboard share one instance.
+class AnalysisService {
+    constructor(options = {}) {
+        this.engine = options.engine;
+        this.monitor = options.monitor;
+        this.telemetry = options.telemetry;
+        this.cache = options.cache || null;
+        this.ruleRegistry = options.ruleRegistry;
+        this.suppressions = options.suppressions;
+        this.baselineStore = options.baselineStore;
+        this.jira = options.jira;
+        // Cache writes and Jira syncs outlive the analysis; `idle()` waits
+        this.background = new Set();
+    }
+
+    // Tenants never share cache entries, so one cannot learn from timing
+    // what another has analyzed
+    cacheKeyFor(code, filePath, options, tenant) {
+        return cacheKey({ code, filePath, engineVersion: this.engine.version || version, options, tenant });
+    }
+
+    async readCache(key) {
+        try {
+            return await this.cache.get(key);
+        } catch (error) {
+            log.error('Analysis cache read failed', { error });
+            return null;
+        }
+    }
+
+    // `options.cache` is 'use', 'refresh' or 'bypass'. `enabledRules`
+    // replaces the plugin rules configured for the repository, as a
+    // repository's `.codesaviour` file may. `tenant` is the tenant the
+    // analysis runs for; it picks the cache entries and baselines used.
+    // `contentHashes`, when given, collects the hash of every file analyzed
+    // for the request's audit entry. Batch analyses pass `jira: false` and
+    // sync all their files with Jira at once when done.
+    async run(code, filePath, options = {}, { traceparent, enabledRules, tenant = null, contentHashes, jira = true } = {}) {
+        if (contentHashes) {
+            contentHashes[filePath || 'code'] = contentHash(code);
+        }
+        const { cache: cacheMode = 'use', ...analysisOptions } = options;
+        const useCache = this.cache && cacheMode !== 'bypass';
+        const key = useCache ? this.cacheKeyFor(code, filePath, analysisOptions, tenant) : null;
+
+        if (!useCache) {
+            this.monitor.recordCacheEvent('bypass');
+        } else if (cacheMode === 'use') {
+            const lookupStart = Date.now();
+            const cached = await this.readCache(key);
+            this.monitor.recordCacheEvent(cached ? 'hit' : 'miss');
+            if (cached) {
+                const withRules = await this.ruleRegistry.apply(cached,
+                    { code, filePath, repository: options.repository, enabled: enabledRules });
+                const result = await this.filterFindings(withRules, { code, filePath, options, tenant });
+                const analysisTime = Date.now() - lookupStart;
+                this.monitor.recordAnalysis(
+                    filePath || 'api-request',
+                    analysisTime,
+                    code.length,
+                    result.issues || [],
+                    { repository: options.repository, tenant, cached: true }
+                );
+                if (jira) {
+                    this.syncJira([{ filePath, result }], options, tenant);
+                }
+                return { result, analysisTime, cached: true };
+            }
+        }
+
+        const startTime = Date.now();
+        const engineResult = await this.telemetry.traceAnalysis(code, filePath,
+            () => this.engine.analyzeCode(code, filePath, analysisOptions), { traceparent });
+        const analysisTime = Date.now() - startTime;
+        log.debug('Analysis finished', { filePath, analysisTime, issues: engineResult?.issues?.length || 0 });
+
+        // Only the engine's findings are cached; rules depend on the repository
+        if (useCache) {
+            this.track(this.cache.set(key, engineResult)
+                .catch(error => log.error('Analysis cache write failed', { error })));
+        }
+        const result = await this.ruleRegistry.apply(engineResult,
+            { code, filePath, repository: options.repository, enabled: enabledRules });
+
+        // Record metrics
+        this.monitor.recordAnalysis(
+            filePath || 'api-request',
+            analysisTime,
+            code.length,
+            result.issues || [],
+            { repository: options.repository, tenant }
+        );
+
+        const filtered = await this.filterFindings(result, { code, filePath, options, tenant });
+        if (jira) {
+            this.syncJira([{ filePath, result: filtered }], options, tenant);
+        }
+        return { result: filtered, analysisTime, cached: false };
+    }
+
+    // Moves inline-, file- and baseline-suppressed findings out of
+    // `result.issues`, so gates, reports and Jira only see new findings.
+    // `options.baseline: false` reports baselined findings again.
+    async filterFindings(result, { code, filePath, options = {}, tenant = null }) {
+        const entries = [...await this.suppressions.load(), ...(options.suppressions || [])];
+        const baseline = options.baseline === false
+            ? null
+            : await this.baselineStore.fingerprints(options.repository, { tenant });
+
+        return applySuppressions(result, { code, filePath, repository: options.repository, entries, baseline });
+    }
+
+    // `results` are `{ filePath, result }`; files without a path are skipped
+    syncJira(results, options, tenant) {
+        const analyses = results
+            .filter(file => file.filePath)
+            .map(({ filePath, result }) => ({ filePath, repository: options.repository, tenant, result }));
+        if (analyses.length > 0 && this.jira.isEnabled()) {
+            this.track(this.jira.syncAnalyses(analyses)
+                .catch(error => log.error('Jira sync failed', { error, files: analyses.map(file => file.filePath) })));
+        }
+    }
+
+    // `promise` must not reject; callers attach their own error handling
+    track(promise) {
+        const tracked = promise.finally(() => this.background.delete(tracked));
+        this.background.add(tracked);
+        return tracked;
+    }
+
+    async idle() {
+        while (this.background.size > 0) {
+            await Promise.all(this.background);
+        }
+    }
+}
+
+module.exports = { AnalysisService };
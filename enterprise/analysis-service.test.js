@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalysisService } = require('./analysis-service.js');
+const { MemoryAnalysisCache } = require('./analysis-cache.js');
+const { BaselineStore } = require('./baselines.js');
+const { SuppressionList } = require('./suppressions.js');
+const { RuleRegistry } = require('./rule-plugins.js');
+
+function createService() {
+    const calls = { engine: 0, cache: [] };
+    const service = new AnalysisService({
+        engine: {
+            version: 'test',
+            analyzeCode: async code => {
+                calls.engine++;
+                return { issues: code.includes('eval') ? [{ rule: 'no-eval', severity: 'critical', message: 'Use of eval', line: 1 }] : [] };
+            }
+        },
+        monitor: { recordCacheEvent: event => calls.cache.push(event), recordAnalysis: () => {} },
+        telemetry: { traceAnalysis: (code, filePath, run) => run() },
+        cache: new MemoryAnalysisCache(),
+        ruleRegistry: new RuleRegistry({
+            plugins: [{ name: 'acme', rules: [{ id: 'todo', severity: 'low', check: ({ code }) => (code.includes('TODO') ? [{ line: 1, message: 'TODO left in' }] : []) }] }]
+        }),
+        suppressions: new SuppressionList({ entries: [{ paths: ['legacy/**'], reason: 'Legacy code' }] }),
+        baselineStore: new BaselineStore({ file: null }),
+        jira: { isEnabled: () => false }
+    });
+    return { service, calls };
+}
+
+describe('AnalysisService.run', () => {
+    it('serves repeats from the cache, per tenant', async () => {
+        const { service, calls } = createService();
+        const first = await service.run('eval(x)', 'src/a.js', {}, { tenant: 'acme' });
+        await service.idle();
+        const second = await service.run('eval(x)', 'src/a.js', {}, { tenant: 'acme' });
+        await service.run('eval(x)', 'src/a.js', {}, { tenant: 'globex' });
+
+        assert.equal(first.cached, false);
+        assert.equal(second.cached, true);
+        assert.deepEqual(second.result.issues, first.result.issues);
+        assert.deepEqual(calls.cache, ['miss', 'hit', 'miss']);
+        assert.equal(calls.engine, 2);
+    });
+
+    it('refreshes or bypasses the cache when asked', async () => {
+        const { service, calls } = createService();
+        await service.run('x', 'a.js');
+        await service.idle();
+        await service.run('x', 'a.js', { cache: 'refresh' });
+        await service.run('x', 'a.js', { cache: 'bypass' });
+
+        assert.deepEqual(calls.cache, ['miss', 'bypass']);
+        assert.equal(calls.engine, 3);
+    });
+
+    it('adds plugin findings and moves suppressed ones out', async () => {
+        const { service } = createService();
+        const { result } = await service.run('eval(x) // TODO', 'src/a.js');
+        assert.deepEqual(result.issues.map(issue => issue.rule).sort(), ['acme/todo', 'no-eval']);
+
+        const legacy = await service.run('eval(x)', 'legacy/a.js');
+        assert.deepEqual(legacy.result.issues, []);
+        assert.equal(legacy.result.suppressedIssues[0].suppression.kind, 'file');
+    });
+
+    it('leaves findings accepted in the tenant\'s baseline out', async () => {
+        const { service } = createService();
+        const { result } = await service.run('eval(x)', 'src/a.js', { repository: 'acme/app' }, { tenant: 'acme' });
+        await service.baselineStore.create({ tenant: 'acme', repository: 'acme/app', results: [{ filePath: 'src/a.js', result }] });
+
+        const again = await service.run('eval(x)', 'src/a.js', { repository: 'acme/app' }, { tenant: 'acme' });
+        assert.deepEqual(again.result.issues, []);
+        const other = await service.run('eval(x)', 'src/a.js', { repository: 'acme/app' }, { tenant: 'globex' });
+        assert.equal(other.result.issues.length, 1);
+        const unfiltered = await service.run('eval(x)', 'src/a.js', { repository: 'acme/app', baseline: false }, { tenant: 'acme' });
+        assert.equal(unfiltered.result.issues.length, 1);
+    });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['analyze', 'fix', 'admin'];
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Keys are only stored as hashes; the plaintext is returned once on creation.
+// Without a `file` the store lives in memory, which is what tests use.
+class ApiKeyStore {
+    constructor(options = {}) {
+        this.file = options.file === undefined
+            ? path.join(process.cwd(), 'data', 'api-keys.json')
+            : options.file;
+        this.keys = new Map();
+        this.loaded = null;
+    }
+
+    // Every caller waits on the same read, so nothing sees or persists the
+    // store before the file is in; a failed read is retried on the next call
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.readFile().catch(error => {
+                this.loaded = null;
+                throw error;
+            });
+        }
+        return this.loaded;
+    }
+
+    async readFile() {
+        if (!this.file) {
+            return;
+        }
+
+        let records;
+        try {
+            records = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        for (const record of records) {
+            this.keys.set(record.id, record);
+        }
+    }
+
+    async persist() {
+        if (!this.file) {
+            return;
+        }
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+        await fs.rename(tmp, this.file);
+    }
+
+    async create({ name, tenant, roles = ['analyze'], rateLimit = null, dailyQuota = null, expiresAt = null }) {
+        await this.load();
+
+        const invalid = roles.filter(role => !ROLES.includes(role));
+        if (!tenant || invalid.length > 0) {
+            throw new Error(invalid.length > 0 ? `Unknown roles: ${invalid.join(', ')}` : 'Tenant is required');
+        }
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const key = `cs_${id}_${crypto.randomBytes(24).toString('hex')}`;
+        const record = {
+            id,
+            name: name || id,
+            tenant,
+            roles,
+            rateLimit,
+            dailyQuota,
+            expiresAt,
+            hash: hashKey(key),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.keys.set(id, record);
+        await this.persist();
+        return { key, record: this.describe(record) };
+    }
+
+    async list({ tenant } = {}) {
+        await this.load();
+        return [...this.keys.values()]
+            .filter(record => !tenant || record.tenant === tenant)
+            .map(record => this.describe(record));
+    }
+
+    async get(id) {
+        await this.load();
+        const record = this.keys.get(id);
+        return record ? this.describe(record) : null;
+    }
+
+    async update(id, changes) {
+        await this.load();
+        const record = this.keys.get(id);
+        if (!record) {
+            return null;
+        }
+
+        const invalid = (changes.roles || []).filter(role => !ROLES.includes(role));
+        if (invalid.length > 0) {
+            throw new Error(`Unknown roles: ${invalid.join(', ')}`);
+        }
+
+        for (const field of ['name', 'roles', 'rateLimit', 'dailyQuota', 'expiresAt']) {
+            if (changes[field] !== undefined) {
+                record[field] = changes[field];
+            }
+        }
+        await this.persist();
+        return this.describe(record);
+    }
+
+    async revoke(id) {
+        await this.load();
+        const record = this.keys.get(id);
+        if (!record) {
+            return null;
+        }
+
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        await this.persist();
+        return this.describe(record);
+    }
+
+    async authenticate(key) {
+        await this.load();
+
+        const match = /^cs_([0-9a-f]+)_/.exec(key || '');
+        const record = match && this.keys.get(match[1]);
+        if (!record || record.revokedAt) {
+            return null;
+        }
+        if (record.expiresAt && new Date(record.expiresAt).getTime() < Date.now()) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(hashKey(key), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        record.lastUsedAt = new Date().toISOString();
+        return this.describe(record);
+    }
+
+    describe(record) {
+        const { hash, ...visible } = record;
+        return visible;
+    }
+}
+
+module.exports = {
+    ApiKeyStore,
+    ROLES
+};
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ApiKeyStore } = require('./api-keys.js');
+
+describe('ApiKeyStore', () => {
+    it('stores only a hash of the key and authenticates with the plaintext', async () => {
+        const store = new ApiKeyStore({ file: null });
+        const { key, record } = await store.create({ name: 'ci', tenant: 'acme' });
+
+        assert.match(key, /^cs_[0-9a-f]{12}_[0-9a-f]{48}$/);
+        assert.equal(record.hash, undefined);
+        const stored = store.keys.get(record.id);
+        assert.equal(stored.hash, crypto.createHash('sha256').update(key).digest('hex'));
+        assert.ok(!JSON.stringify(stored).includes(key));
+
+        const principal = await store.authenticate(key);
+        assert.equal(principal.id, record.id);
+        assert.equal(principal.tenant, 'acme');
+        assert.deepEqual(principal.roles, ['analyze']);
+        assert.ok(principal.lastUsedAt);
+        assert.equal(principal.hash, undefined);
+    });
+
+    it('rejects unknown, altered, revoked and expired keys', async () => {
+        const store = new ApiKeyStore({ file: null });
+        const { key, record } = await store.create({ tenant: 'acme' });
+        const altered = key.slice(0, -1) + (key.endsWith('0') ? '1' : '0');
+
+        assert.equal(await store.authenticate(undefined), null);
+        assert.equal(await store.authenticate('cs_000000000000_' + '0'.repeat(48)), null);
+        assert.equal(await store.authenticate(altered), null);
+
+        const expiring = await store.create({ tenant: 'acme', expiresAt: new Date(Date.now() - 1000).toISOString() });
+        assert.equal(await store.authenticate(expiring.key), null);
+
+        await store.revoke(record.id);
+        assert.equal(await store.authenticate(key), null);
+    });
+
+    it('requires a tenant and known roles', async () => {
+        const store = new ApiKeyStore({ file: null });
+        await assert.rejects(store.create({ name: 'x' }), /Tenant is required/);
+        await assert.rejects(store.create({ tenant: 'acme', roles: ['root'] }), /Unknown roles: root/);
+        const { record } = await store.create({ tenant: 'acme' });
+        await assert.rejects(store.update(record.id, { roles: ['analyze', 'owner'] }), /Unknown roles: owner/);
+    });
+
+    it('lists keys by tenant', async () => {
+        const store = new ApiKeyStore({ file: null });
+        await store.create({ tenant: 'acme' });
+        await store.create({ tenant: 'globex' });
+        assert.deepEqual((await store.list({ tenant: 'acme' })).map(record => record.tenant), ['acme']);
+        assert.equal((await store.list()).length, 2);
+    });
+
+    it('persists hashes, never plaintext keys, to a private file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+        try {
+            const file = path.join(dir, 'keys.json');
+            const { key } = await new ApiKeyStore({ file }).create({ tenant: 'acme' });
+
+            assert.ok(!fs.readFileSync(file, 'utf8').includes(key));
+            if (process.platform !== 'win32') {
+                assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+            }
+            const reloaded = new ApiKeyStore({ file });
+            assert.equal((await reloaded.authenticate(key)).tenant, 'acme');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('serves and keeps stored keys while the file is still loading', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+        try {
+            const file = path.join(dir, 'keys.json');
+            const { key } = await new ApiKeyStore({ file }).create({ tenant: 'acme' });
+
+            const store = new ApiKeyStore({ file });
+            const [principal] = await Promise.all([store.authenticate(key), store.create({ tenant: 'globex' })]);
+
+            assert.equal(principal.tenant, 'acme');
+            assert.deepEqual((await new ApiKeyStore({ file }).list()).map(record => record.tenant).sort(), ['acme', 'globex']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -2,41 +2,212 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
-const { CodeSaviourEngine } = require('../codesaviour-engine.js');
-const PerformanceMonitor = require('./performance-monitor.js');
+const JobQueue = require('./job-queue.js');
+const GitHubIntegration = require('./github-integration.js');
+const GitLabIntegration = require('./gitlab-integration.js');
+const { QualityGateEvaluator, normalizeResults } = require('./quality-gates.js');
+const { getFormatter, listFormats, negotiateFormat } = require('./report-formatters.js');
+const { ApiKeyStore } = require('./api-keys.js');
+const ApiAuth = require('./auth.js');
+const { createReport } = require('./report-store.js');
+const { createServices } = require('./services.js');
+const { DiffAnalyzer } = require('./diff-analysis.js');
+const { FixService } = require('./fix-service.js');
+const { FileWalker, analyzeFiles } = require('./file-walker.js');
+const { ConfigError, getConfigLoader } = require('./config-loader.js');
+const {
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    NotAcceptableError,
+    ConflictError,
+    UnprocessableError,
+    RateLimitError,
+    toAppError,
+    sendError
+} = require('./errors.js');
+const { logger, requestId, bindContext } = require('./logger.js');
+const { resolveRepositoryPath } = require('./local-repository.js');
+const { contentHash } = require('./audit-log.js');
+const { parseSuppressionFile } = require('./suppressions.js');
+
+const log = logger.child({ component: 'api' });
+
+const CACHE_MODES = ['use', 'refresh', 'bypass'];
+
+// Audit target for requests carrying one file's `code` and `filePath`
+function codeTarget(req) {
+    const { code, filePath, options } = req.body;
+    const target = filePath || 'api-request';
+    return {
+        target: { paths: [target], repository: options?.repository },
+        hashes: typeof code === 'string' ? { [target]: contentHash(code) } : {}
+    };
+}
+
+// Audit target for a webhook delivery; the sender is the actor
+function webhookTarget(provider, event, delivery, repository) {
+    return req => ({
+        actor: { type: 'webhook', id: provider, tenant: null, ip: req.ip || null },
+        target: { repository: repository(req.body || {}) },
+        details: { event: req.headers[event], delivery: req.headers[delivery] }
+    });
+}
 
 class APIServer {
     constructor(options = {}) {
         this.app = express();
-        this.port = options.port || 8080;
-        this.engine = new CodeSaviourEngine(options.engineOptions);
-        this.monitor = new PerformanceMonitor();
+        this.configLoader = options.configLoader || getConfigLoader();
+        this.config = options.config || this.configLoader.config;
+        this.port = options.port ?? this.config.api.port;
+        const services = createServices(this.config, { configLoader: this.configLoader, ...options });
+        this.engine = services.engine;
+        this.notifier = services.notifier;
+        this.monitor = services.monitor;
+        this.telemetry = services.telemetry;
+        this.reportStore = services.reportStore;
+        this.auditLog = services.auditLog;
+        this.analysisCache = services.analysisCache;
+        this.baselineStore = services.baselineStore;
+        this.suppressions = services.suppressions;
+        this.ruleRegistry = services.ruleRegistry;
+        this.jira = services.jira;
+        this.analysis = services.analysis;
+        this.gateEvaluator = new QualityGateEvaluator({
+            gates: this.config.cicd.qualityGates,
+            overrides: this.config.cicd.qualityGateOverrides
+        });
+        this.jobQueue = new JobQueue({
+            concurrency: options.jobConcurrency || this.config.api.jobs.concurrency,
+            maxRetainedJobs: this.config.api.jobs.maxRetained,
+            worker: (file, jobOptions, job) => this.analysis.run(file.code, file.path, jobOptions, { tenant: job.tenant, jira: false })
+                .then(({ result }) => result)
+        });
+        // Work that outlives the request which started it; `stop()` waits for it
+        this.background = new Set();
+        this.jobQueue.on('job_finished', job => this.track(this.saveJobReport(job)));
+        this.keyStore = options.keyStore || new ApiKeyStore({ file: this.config.api.auth.keyStoreFile });
+        this.auth = new ApiAuth({ ...this.config.api.auth, keyStore: this.keyStore });
+        const analyzeChange = (code, filePath, analysisOptions, context) =>
+            this.analysis.run(code, filePath, analysisOptions, context).then(({ result }) => result);
+        this.github = new GitHubIntegration({
+            ...this.config.integrations.github,
+            gateEvaluator: this.gateEvaluator,
+            analyze: analyzeChange
+        });
+        this.gitlab = new GitLabIntegration({
+            ...this.config.integrations.gitlab,
+            gateEvaluator: this.gateEvaluator,
+            analyze: analyzeChange
+        });
+        this.diffAnalyzer = new DiffAnalyzer({
+            analyze: analyzeChange,
+            repositoryRoots: this.config.api.repositoryRoots,
+            maxFiles: this.config.api.diff.maxFiles
+        });
+        this.fixService = new FixService({
+            engine: this.engine,
+            rules: this.ruleRegistry,
+            analyze: (code, filePath, analysisOptions = {}) => this.engine.analyzeCode(code, filePath, analysisOptions)
+                .then(result => this.ruleRegistry.apply(result, { code, filePath, repository: analysisOptions.repository }))
+        });
+        this.monitor.on('alert_created', alert => {
+            if (alert.severity === 'critical') {
+                this.track(this.jira.reportAlert(alert)
+                    .catch(error => log.error('Failed to open Jira ticket for alert', { error, alertId: alert.id })));
+            }
+        });
+        this.onConfigReload = event => {
+            this.applyConfig();
+            // Reloads through the admin endpoint are audited by its route
+            if (event.source === 'watcher') {
+                this.recordConfigReload({ outcome: 'success', details: event });
+            }
+        };
+        this.onConfigReloadFailed = ({ error }) => this.recordConfigReload({
+            outcome: 'failure',
+            details: { source: 'watcher', problems: error.problems || [error.message] }
+        });
+        this.configLoader.on('reload', this.onConfigReload);
+        this.configLoader.on('reload_failed', this.onConfigReloadFailed);
         this.setupMiddleware();
         this.setupRoutes();
     }
 
+    // Picks up reloadable settings after the config file changed. The rate
+    // limit reads its maximum per request and needs nothing here.
+    applyConfig() {
+        this.gateEvaluator.gates = this.config.cicd.qualityGates;
+        this.gateEvaluator.overrides = this.config.cicd.qualityGateOverrides;
+        this.ruleRegistry.enabled = this.config.rules.enabled;
+        this.ruleRegistry.repositories = this.config.rules.repositories;
+    }
+
+    recordConfigReload({ outcome, details }) {
+        this.auditLog.record({
+            action: 'config.reload',
+            target: { paths: [this.configLoader.file].filter(Boolean) },
+            outcome,
+            details
+        }).catch(error => log.error('Failed to write audit entry', { error, action: 'config.reload' }));
+    }
+
     setupMiddleware() {
+        this.app.use(requestId());
+        this.app.use(this.telemetry.middleware('api'));
+
+        // Logging, once the response is sent so rejected requests are included
+        this.app.use((req, res, next) => {
+            const start = Date.now();
+            res.on('finish', () => log.info('Request completed', {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Date.now() - start,
+                principal: req.principal?.id
+            }));
+            next();
+        });
+
         // Security
         this.app.use(helmet());
-        this.app.use(cors());
+        const origins = this.config.api.cors.origin;
+        this.app.use(cors({
+            origin: origins.includes('*') ? '*' : origins,
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+            exposedHeaders: ['X-Request-Id']
+        }));
         
-        // Rate limiting
+        // Authentication (webhooks authenticate with their own signatures)
+        const authenticate = this.auth.authenticate();
+        this.app.use('/api/', (req, res, next) => {
+            if (req.path.startsWith('/v1/webhooks/')) {
+                return next();
+            }
+            authenticate(req, res, next);
+        });
+
+        // Rate limiting, per API key or token when authenticated, per IP otherwise
         const limiter = rateLimit({
-            windowMs: 15 * 60 * 1000, // 15 minutes
-            max: 100, // limit each IP to 100 requests per windowMs
-            message: 'Too many requests from this IP'
+            windowMs: this.config.api.rateLimit.windowMs,
+            max: req => this.auth.rateLimitFor(req.principal) || this.config.api.rateLimit.max,
+            keyGenerator: req => this.auth.rateLimitKey(req),
+            handler: (req, res) => this.handleError(res, new RateLimitError('Too many requests'))
         });
         this.app.use('/api/', limiter);
+        this.app.use('/api/', this.auth.enforceQuota());
         
         // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.urlencoded({ extended: true }));
-        
-        // Logging
-        this.app.use((req, res, next) => {
-            console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
-            next();
-        });
+        this.app.use(bindContext(express.json({
+            limit: this.config.api.bodyLimit,
+            // Webhook signatures are computed over the exact request bytes
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        })));
+        this.app.use(bindContext(express.urlencoded({ extended: true })));
+
     }
 
     setupRoutes() {
@@ -49,18 +220,104 @@ class APIServer {
             });
         });
 
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', this.telemetry.metricsHandler());
+
+        const analyze = this.auth.requireRole('analyze');
+        const fix = this.auth.requireRole('fix');
+        const admin = this.auth.requireRole('admin');
+        // Audited routes record before the role check so denials are kept too
+        const audit = (action, describe) => this.auditLog.middleware(action, describe);
+
         // Code analysis endpoints
-        this.app.post('/api/v1/analyze', this.analyzeCode.bind(this));
-        this.app.post('/api/v1/analyze/batch', this.analyzeBatch.bind(this));
-        this.app.post('/api/v1/fix', this.fixCode.bind(this));
+        this.app.post('/api/v1/analyze', audit('analyze', codeTarget), analyze, this.analyzeCode.bind(this));
+        this.app.post('/api/v1/analyze/batch', audit('analyze.batch', req => {
+            const files = Array.isArray(req.body.files) ? req.body.files : [];
+            return {
+                target: { paths: files.map(file => file.path), repository: req.body.options?.repository },
+                hashes: Object.fromEntries(files.filter(file => file.path).map(file => [file.path, contentHash(file.code)]))
+            };
+        }), analyze, this.analyzeBatch.bind(this));
+        this.app.post('/api/v1/analyze/diff', audit('analyze.diff', req => ({
+            target: { repository: req.body.options?.repository, ref: req.body.head },
+            hashes: typeof req.body.diff === 'string' ? { diff: contentHash(req.body.diff) } : {},
+            details: req.body.repositoryPath ? { repositoryPath: req.body.repositoryPath, base: req.body.base } : {}
+        })), analyze, this.analyzeDiff.bind(this));
+        this.app.post('/api/v1/analyze/repository', audit('analyze.repository', req => ({
+            target: { paths: [req.body.path], repository: req.body.options?.repository, ref: req.body.ref }
+        })), analyze, this.analyzeRepository.bind(this));
+        this.app.post('/api/v1/fix', audit('fix', codeTarget), fix, this.fixCode.bind(this));
+        this.app.post('/api/v1/fix/apply', audit('fix.apply', req => {
+            const described = codeTarget(req);
+            if (typeof req.body.patch === 'string') {
+                described.hashes.patch = contentHash(req.body.patch);
+            }
+            return described;
+        }), fix, this.applyFix.bind(this));
+
+        // Quality gates
+        this.app.post('/api/v1/gates/evaluate', analyze, this.evaluateGates.bind(this));
+
+        // Baselines and suppressions
+        this.app.get('/api/v1/baselines', analyze, this.listBaselines.bind(this));
+        this.app.get('/api/v1/baselines/audit', analyze, this.getBaselineAudit.bind(this));
+        this.app.get('/api/v1/baselines/:repository', analyze, this.getBaseline.bind(this));
+        const baselineTarget = req => ({
+            target: { repository: req.params.repository || req.body.repository },
+            details: { reason: req.body.reason || req.query.reason, reportId: req.body.reportId }
+        });
+        this.app.post('/api/v1/baselines', audit('baseline.create', baselineTarget), admin, this.createBaseline.bind(this));
+        this.app.put('/api/v1/baselines/:repository', audit('baseline.update', baselineTarget), admin, this.updateBaseline.bind(this));
+        this.app.delete('/api/v1/baselines/:repository', audit('baseline.delete', baselineTarget), admin, this.deleteBaseline.bind(this));
+        this.app.get('/api/v1/suppressions', analyze, this.listSuppressions.bind(this));
+        this.app.get('/api/v1/rules', analyze, this.listRules.bind(this));
+
+        // Batch job endpoints
+        this.app.get('/api/v1/jobs/:id', analyze, this.getJob.bind(this));
+        this.app.post('/api/v1/jobs/:id/cancel', analyze, this.cancelJob.bind(this));
+        this.app.post('/api/v1/jobs/:id/retry', analyze, this.retryJob.bind(this));
         
         // Reporting endpoints
-        this.app.get('/api/v1/reports/:id', this.getReport.bind(this));
-        this.app.get('/api/v1/metrics', this.getMetrics.bind(this));
+        this.app.get('/api/v1/reports', analyze, this.listReports.bind(this));
+        this.app.get('/api/v1/reports/:id', analyze, this.getReport.bind(this));
+        this.app.delete('/api/v1/reports/:id', audit('report.delete', req => ({
+            details: { reportId: req.params.id }
+        })), admin, this.deleteReport.bind(this));
+        this.app.get('/api/v1/metrics', analyze, this.getMetrics.bind(this));
+
+        // Analysis cache
+        this.app.post('/api/v1/cache/invalidate', audit('cache.invalidate', req => ({
+            target: { paths: Array.isArray(req.body.files) ? req.body.files.map(file => file.path) : [] }
+        })), analyze, this.invalidateCache.bind(this));
+        this.app.delete('/api/v1/cache', audit('cache.clear'), admin, this.clearCache.bind(this));
+
+        // Administration
+        this.app.get('/api/v1/admin/keys', admin, this.listApiKeys.bind(this));
+        this.app.post('/api/v1/admin/keys', audit('api-key.create', req => ({
+            details: { name: req.body.name, tenant: req.body.tenant, roles: req.body.roles }
+        })), admin, this.createApiKey.bind(this));
+        this.app.patch('/api/v1/admin/keys/:id', audit('api-key.update', req => ({
+            details: { keyId: req.params.id, roles: req.body.roles }
+        })), admin, this.updateApiKey.bind(this));
+        this.app.delete('/api/v1/admin/keys/:id', audit('api-key.revoke', req => ({
+            details: { keyId: req.params.id }
+        })), admin, this.revokeApiKey.bind(this));
+        this.app.get('/api/v1/admin/config', admin, this.getConfig.bind(this));
+        this.app.post('/api/v1/admin/config/reload', audit('config.reload', () => ({
+            target: { paths: [this.configLoader.file].filter(Boolean) },
+            details: { source: 'api' }
+        })), admin, this.reloadConfig.bind(this));
+        this.app.get('/api/v1/admin/audit', admin, this.queryAudit.bind(this));
+        this.app.get('/api/v1/admin/audit/export', audit('audit.export', req => ({
+            details: { format: req.query.format || 'jsonl' }
+        })), admin, this.exportAudit.bind(this));
+        this.app.get('/api/v1/admin/audit/verify', admin, this.verifyAudit.bind(this));
         
         // Webhook endpoints
-        this.app.post('/api/v1/webhooks/github', this.handleGitHubWebhook.bind(this));
-        this.app.post('/api/v1/webhooks/gitlab', this.handleGitLabWebhook.bind(this));
+        this.app.post('/api/v1/webhooks/github', audit('webhook.github', webhookTarget('github',
+            'x-github-event', 'x-github-delivery', body => body.repository?.full_name)), this.handleGitHubWebhook.bind(this));
+        this.app.post('/api/v1/webhooks/gitlab', audit('webhook.gitlab', webhookTarget('gitlab',
+            'x-gitlab-event', 'x-gitlab-event-uuid', body => body.project?.path_with_namespace)), this.handleGitLabWebhook.bind(this));
         
         // Error handling
         this.app.use(this.errorHandler.bind(this));
@@ -68,32 +325,46 @@ class APIServer {
 
     async analyzeCode(req, res) {
         try {
-            const { code, filePath, options = {} } = req.body;
-            
+            const { code, filePath } = req.body;
+            const options = this.analysisOptions(req, res);
+            if (!options) {
+                return;
+            }
+
             if (!code) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Code is required'
-                });
+                return this.handleError(res, new ValidationError('Code is required'));
+            }
+
+            const format = this.resolveFormat(req, res);
+            if (!format) {
+                return;
             }
 
-            const startTime = Date.now();
-            const result = await this.engine.analyzeCode(code, filePath, options);
-            const analysisTime = Date.now() - startTime;
+            const { result, analysisTime, cached } = await this.analysis.run(code, filePath, options, {
+                traceparent: req.headers['traceparent'],
+                tenant: req.principal.tenant
+            });
+
+            const report = await this.reportStore.save(createReport({
+                tenant: req.principal.tenant,
+                repository: options.repository || null,
+                filePaths: [filePath || 'api-request'],
+                options,
+                results: [{ filePath: filePath || 'api-request', result }]
+            }));
+            res.locals.audit = { details: { reportId: report.id, cached } };
 
-            // Record metrics
-            this.monitor.recordAnalysis(
-                filePath || 'api-request',
-                analysisTime,
-                code.length,
-                result.issues?.length || 0
-            );
+            if (format !== 'json') {
+                return this.sendFormatted(res, format, report);
+            }
 
             res.json({
                 success: true,
                 data: result,
                 metadata: {
+                    reportId: report.id,
                     analysisTime,
+                    cached,
                     codeSize: code.length,
                     timestamp: new Date().toISOString()
                 }
@@ -105,35 +376,99 @@ class APIServer {
 
     async analyzeBatch(req, res) {
         try {
-            const { files, options = {} } = req.body;
-            
+            const { files } = req.body;
+            const options = this.analysisOptions(req, res);
+            if (!options) {
+                return;
+            }
+
             if (!Array.isArray(files) || files.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Files array is required'
-                });
+                return this.handleError(res, new ValidationError('Files array is required'));
             }
 
-            const results = [];
-            const startTime = Date.now();
+            const format = this.resolveFormat(req, res);
+            if (!format) {
+                return;
+            }
 
-            for (const file of files) {
-                const result = await this.engine.analyzeCode(file.code, file.path, options);
-                results.push({
-                    filePath: file.path,
-                    result
-                });
+            const job = this.jobQueue.submit(files, options, { tenant: req.principal.tenant });
+            job.format = format;
+            res.locals.audit = { details: { jobId: job.id } };
+
+            res.status(202).json({
+                success: true,
+                data: this.describeJob(job),
+                metadata: {
+                    jobId: job.id,
+                    statusUrl: `/api/v1/jobs/${job.id}`,
+                    format,
+                    totalFiles: files.length,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // Either `diff` with `baseFiles` ({ path: contents before the change }),
+    // or `repositoryPath` with `base` and `head` refs of a local clone.
+    async analyzeDiff(req, res) {
+        try {
+            const { diff, baseFiles, repositoryPath, base, head } = req.body;
+            const options = this.analysisOptions(req, res);
+            if (!options) {
+                return;
+            }
+
+            if (!diff && !repositoryPath) {
+                return this.handleError(res, new ValidationError('A diff or a repositoryPath with base and head refs is required'));
+            }
+            if (!diff && this.config.api.repositoryRoots.length === 0) {
+                return this.handleError(res, new ForbiddenError('Analyzing local repositories is disabled'));
+            }
+
+            const format = this.resolveFormat(req, res);
+            if (!format) {
+                return;
             }
 
-            const totalTime = Date.now() - startTime;
+            const settings = diff ? null : this.repositorySettings(resolveRepositoryPath(repositoryPath, this.config.api.repositoryRoots));
+            const tenant = req.principal.tenant;
+            const contentHashes = {};
+            const files = diff
+                ? await this.diffAnalyzer.analyzePatch(diff, { baseFiles, options, context: { tenant, contentHashes } })
+                : await this.diffAnalyzer.analyzeGit({ repositoryPath, base, head }, options,
+                    { enabledRules: settings.enabledRules, tenant, contentHashes });
+            const results = files.map(file => ({ filePath: file.filePath, result: file.result }));
+            const qualityGate = (settings?.gateEvaluator || this.gateEvaluator).evaluate(results, { branch: options.branch });
+
+            const report = createReport({
+                type: 'diff',
+                tenant,
+                repository: options.repository || null,
+                filePaths: files.map(file => file.filePath),
+                options: { ...options, base, head },
+                results
+            });
+            report.qualityGate = qualityGate;
+            await this.reportStore.save(report);
+            res.locals.audit = {
+                target: { paths: files.map(file => file.filePath) },
+                hashes: contentHashes,
+                details: { reportId: report.id, qualityGate: qualityGate.passed }
+            };
+
+            if (format !== 'json') {
+                return this.sendFormatted(res, format, report);
+            }
 
             res.json({
                 success: true,
-                data: results,
+                data: { files, qualityGate },
                 metadata: {
-                    totalFiles: files.length,
-                    totalTime,
-                    avgTimePerFile: totalTime / files.length,
+                    reportId: report.id,
+                    filesAnalyzed: files.length,
                     timestamp: new Date().toISOString()
                 }
             });
@@ -142,18 +477,580 @@ class APIServer {
         }
     }
 
+    // Settings for a local repository once its `.codesaviour` file, if it
+    // has one, is applied. Throws a ConfigError for an invalid file.
+    repositorySettings(root) {
+        const { config: settings, overrides } = this.configLoader.forRepository(root);
+        if (!overrides) {
+            return { scan: this.config.api.scan, gateEvaluator: this.gateEvaluator, enabledRules: undefined };
+        }
+        return {
+            scan: settings.api.scan,
+            gateEvaluator: new QualityGateEvaluator({
+                gates: settings.cicd.qualityGates,
+                overrides: settings.cicd.qualityGateOverrides
+            }),
+            enabledRules: overrides.rules?.enabled
+        };
+    }
+
+    // Scans a local directory, or the tree of `ref` in a local git
+    // repository, and streams one NDJSON event per file followed by a
+    // `summary` event with the quality gate and report id.
+    async analyzeRepository(req, res) {
+        const { path: repositoryPath, ref, include, exclude, gitignore } = req.body;
+        let options;
+        let root;
+        let settings;
+        let entries;
+
+        try {
+            options = this.analysisOptions(req, res);
+            if (!options) {
+                return;
+            }
+
+            if (this.config.api.repositoryRoots.length === 0) {
+                return this.handleError(res, new ForbiddenError('Analyzing local repositories is disabled'));
+            }
+
+            root = resolveRepositoryPath(repositoryPath, this.config.api.repositoryRoots);
+            settings = this.repositorySettings(root);
+            const walker = new FileWalker({
+                include,
+                exclude: [...settings.scan.exclude, ...[].concat(exclude || [])],
+                gitignore,
+                maxFileSize: settings.scan.maxFileSize
+            });
+            await walker.verify(root, { ref });
+
+            // Filled in as files are analyzed, so an aborted scan still
+            // records what it read
+            res.locals.audit = { hashes: {} };
+            const context = { enabledRules: settings.enabledRules, tenant: req.principal.tenant, contentHashes: res.locals.audit.hashes, jira: false };
+            entries = analyzeFiles(walker.walk(root, { ref }),
+                (code, filePath) => this.analysis.run(code, filePath, options, context).then(({ result }) => result),
+                { maxFiles: settings.scan.maxFiles });
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+        });
+        const send = async event => {
+            if (!res.write(`${JSON.stringify(event)}\n`) && !closed) {
+                await new Promise(resolve => {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
+                });
+            }
+        };
+
+        const results = [];
+        const counts = { analyzed: 0, skipped: 0, failed: 0 };
+        let truncated = false;
+        try {
+            for await (const event of entries) {
+                // The client went away; stop analyzing
+                if (closed) {
+                    return;
+                }
+                if (event.type === 'file') {
+                    counts.analyzed++;
+                    results.push({ filePath: event.filePath, result: event.result });
+                } else if (event.type === 'skipped') {
+                    counts.skipped++;
+                } else if (event.type === 'error') {
+                    counts.failed++;
+                } else if (event.type === 'truncated') {
+                    truncated = true;
+                }
+                await send(event);
+            }
+
+            this.analysis.syncJira(results, options, req.principal.tenant);
+            const qualityGate = settings.gateEvaluator.evaluate(results, {
+                branch: options.branch,
+                incomplete: { failed: counts.failed, truncated }
+            });
+            const report = createReport({
+                type: 'repository',
+                tenant: req.principal.tenant,
+                repository: options.repository || null,
+                filePaths: results.map(file => file.filePath),
+                options: { ...options, path: root, ref },
+                results
+            });
+            report.qualityGate = qualityGate;
+            await this.reportStore.save(report);
+            res.locals.audit.details = { reportId: report.id, ...counts, truncated, qualityGate: qualityGate.passed };
+
+            await send({ type: 'summary', ...counts, truncated, qualityGate, reportId: report.id });
+        } catch (error) {
+            const failure = toAppError(error);
+            res.locals.audit.details = { error: failure.message, code: failure.code };
+            log.error('Repository scan failed', { error, path: root });
+            await send({ type: 'error', error: failure.message, code: failure.code });
+        }
+        res.end();
+    }
+
+    resolveFormat(req, res) {
+        const format = negotiateFormat(req);
+
+        if (format !== 'json' && !getFormatter(format)) {
+            this.handleError(res, new NotAcceptableError(`Unsupported report format: ${format}`, {
+                details: { supportedFormats: listFormats() }
+            }));
+            return null;
+        }
+        return format;
+    }
+
+    sendFormatted(res, format, report) {
+        const formatter = getFormatter(format);
+        res.type(formatter.contentType).send(formatter.format(report));
+    }
+
+    // Request options with the cache mode resolved and inline
+    // `suppressions` validated; responds 400 and returns null when invalid.
+    // Missing or null options are empty.
+    analysisOptions(req, res) {
+        const requested = req.body.options ?? {};
+        if (typeof requested !== 'object' || Array.isArray(requested)) {
+            this.handleError(res, new ValidationError('options must be an object'));
+            return null;
+        }
+        if (![undefined, false, ...CACHE_MODES].includes(requested.cache)) {
+            this.handleError(res, new ValidationError(`options.cache must be one of ${CACHE_MODES.join(', ')}`));
+            return null;
+        }
+
+        const options = this.withCacheMode(req, requested);
+        if (options.suppressions) {
+            try {
+                options.suppressions = parseSuppressionFile(options.suppressions);
+            } catch (error) {
+                this.handleError(res, new ValidationError(error.message));
+                return null;
+            }
+        }
+        return options;
+    }
+
+    // `Cache-Control: no-cache` re-analyzes and refreshes the cached entry,
+    // `no-store` skips the cache entirely; `options.cache` may say the same
+    // with 'refresh' or 'bypass'.
+    withCacheMode(req, options = {}) {
+        const header = req.headers['cache-control'] || '';
+        const cache = options.cache === false ? 'bypass'
+            : options.cache || (/\bno-store\b/.test(header) ? 'bypass' : /\bno-cache\b/.test(header) ? 'refresh' : 'use');
+        return { ...options, cache };
+    }
+
+    // `promise` must not reject; callers attach their own error handling
+    track(promise) {
+        const tracked = promise.finally(() => this.background.delete(tracked));
+        this.background.add(tracked);
+        return tracked;
+    }
+
+    async invalidateCache(req, res) {
+        try {
+            const { files, options = {} } = req.body;
+            if (!this.analysisCache) {
+                return this.handleError(res, new NotFoundError('Analysis cache is disabled'));
+            }
+            if (!Array.isArray(files) || files.length === 0) {
+                return this.handleError(res, new ValidationError('Files array is required'));
+            }
+
+            let removed = 0;
+            for (const file of files) {
+                if (await this.analysisCache.delete(this.analysis.cacheKeyFor(file.code || '', file.path, options, req.principal.tenant))) {
+                    removed++;
+                }
+            }
+            res.json({ success: true, data: { removed } });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async clearCache(req, res) {
+        try {
+            if (!this.analysisCache) {
+                return this.handleError(res, new NotFoundError('Analysis cache is disabled'));
+            }
+            // Clearing drops every tenant's entries
+            if (this.tenantScope(req)) {
+                return this.handleError(res, new ForbiddenError('Only unscoped admins may clear the whole cache'));
+            }
+            res.json({ success: true, data: { removed: await this.analysisCache.clear() } });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // Failed and cancelled files fail the job's gate, so a job that analyzed
+    // nothing still gets a failing gate and a report
+    async saveJobReport(job) {
+        const count = status => job.files.filter(file => file.status === status).length;
+        const analyzed = job.files.filter(file => file.status === 'completed');
+
+        try {
+            const results = analyzed.map(file => ({ filePath: file.path, result: file.result }));
+            this.analysis.syncJira(results, job.options, job.tenant);
+            job.qualityGate = this.gateEvaluator.evaluate(results, {
+                branch: job.options.branch,
+                incomplete: { failed: count('failed'), cancelled: count('cancelled') }
+            });
+
+            const report = createReport({
+                type: 'batch',
+                tenant: job.tenant,
+                repository: job.options.repository || null,
+                filePaths: job.files.map(file => file.path),
+                options: job.options,
+                results
+            });
+            report.qualityGate = job.qualityGate;
+
+            // Retrying failed files updates the job's existing report
+            if (job.reportId) {
+                report.id = job.reportId;
+            }
+            report.jobId = job.id;
+
+            await this.reportStore.save(report);
+            job.reportId = report.id;
+        } catch (error) {
+            log.error('Failed to save job report', { error, jobId: job.id });
+        }
+    }
+
+    async evaluateGates(req, res) {
+        try {
+            const { results, reportId, branch, repository } = req.body;
+            let input = results;
+
+            if (reportId) {
+                const report = await this.findReport(req, reportId);
+                if (!report) {
+                    return this.handleError(res, new NotFoundError('Report not found'));
+                }
+                input = report.results;
+            }
+
+            if (!Array.isArray(input) || input.length === 0) {
+                return this.handleError(res, new ValidationError('Results array or reportId is required'));
+            }
+
+            // Stored reports were filtered when they were analyzed
+            if (!reportId) {
+                input = await Promise.all(normalizeResults(input).map(async file => ({
+                    filePath: file.filePath,
+                    result: await this.analysis.filterFindings(file.result, {
+                        filePath: file.filePath,
+                        options: { repository },
+                        tenant: req.principal.tenant
+                    })
+                })));
+            }
+
+            res.json({
+                success: true,
+                data: this.gateEvaluator.evaluate(input, { branch })
+            });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async listBaselines(req, res) {
+        try {
+            res.json({ success: true, data: await this.baselineStore.list({ tenant: this.tenantScope(req) }) });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async getBaseline(req, res) {
+        try {
+            const baseline = await this.baselineStore.get(req.params.repository, { tenant: this.baselineTenant(req) });
+            if (!baseline) {
+                return this.handleError(res, new NotFoundError('Baseline not found'));
+            }
+            res.json({ success: true, data: baseline });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async getBaselineAudit(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            res.json({
+                success: true,
+                data: await this.baselineStore.auditTrail({
+                    tenant: this.tenantScope(req),
+                    repository: req.query.repository,
+                    limit
+                })
+            });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // Baseline findings come from a stored report or a results array
+    async baselineSource(req, res) {
+        const { reportId, results } = req.body;
+        if (reportId) {
+            const report = await this.findReport(req, reportId);
+            if (!report) {
+                this.handleError(res, new NotFoundError('Report not found'));
+                return null;
+            }
+            return { repository: report.repository, results: report.results };
+        }
+        return { repository: null, results };
+    }
+
+    async createBaseline(req, res) {
+        try {
+            const source = await this.baselineSource(req, res);
+            if (!source) {
+                return;
+            }
+
+            const repository = req.body.repository || source.repository;
+            if (!repository || !Array.isArray(source.results)) {
+                return this.handleError(res, new ValidationError('Repository and a results array or reportId are required'));
+            }
+
+            const baseline = await this.baselineStore.create({
+                tenant: this.baselineTenant(req),
+                repository,
+                results: source.results,
+                actor: req.principal?.id,
+                reason: req.body.reason
+            });
+            if (!baseline) {
+                return this.handleError(res, new ConflictError('Baseline already exists for this repository'));
+            }
+
+            res.status(201).json({ success: true, data: this.baselineStore.describe(baseline) });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async updateBaseline(req, res) {
+        try {
+            const { mode, remove, reason } = req.body;
+            const source = await this.baselineSource(req, res);
+            if (!source) {
+                return;
+            }
+            if ((!source.results && !remove) || (remove && !Array.isArray(remove))) {
+                return this.handleError(res, new ValidationError('Results, reportId or a remove array is required'));
+            }
+
+            const baseline = await this.baselineStore.update(req.params.repository, {
+                tenant: this.baselineTenant(req),
+                results: source.results,
+                mode,
+                remove,
+                actor: req.principal?.id,
+                reason
+            });
+            if (!baseline) {
+                return this.handleError(res, new NotFoundError('Baseline not found'));
+            }
+
+            res.json({ success: true, data: this.baselineStore.describe(baseline) });
+        } catch (error) {
+            if (error.message.startsWith('Unknown update mode')) {
+                return this.handleError(res, new ValidationError(error.message));
+            }
+            this.handleError(res, error);
+        }
+    }
+
+    async deleteBaseline(req, res) {
+        try {
+            const deleted = await this.baselineStore.delete(req.params.repository, {
+                tenant: this.baselineTenant(req),
+                actor: req.principal?.id,
+                reason: req.query.reason
+            });
+            if (!deleted) {
+                return this.handleError(res, new NotFoundError('Baseline not found'));
+            }
+            res.json({ success: true, message: 'Baseline deleted' });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async listSuppressions(req, res) {
+        try {
+            res.json({ success: true, data: await this.suppressions.list() });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // Plugin rules active for `?repository=` (or every repository) and any
+    // plugins that failed to load
+    listRules(req, res) {
+        const { repository } = req.query;
+        res.json({
+            success: true,
+            data: {
+                repository: repository || null,
+                rules: this.ruleRegistry.describe(repository),
+                plugins: this.ruleRegistry.plugins.map(({ name, version, source, rules }) => ({
+                    name,
+                    version,
+                    source,
+                    rules: rules.length
+                })),
+                errors: this.ruleRegistry.errors
+            }
+        });
+    }
+
+    // Jobs and reports of another tenant are reported as missing
+    findJob(req, id) {
+        const job = this.jobQueue.get(id);
+        return job && this.canAccess(req, job) ? job : null;
+    }
+
+    async findReport(req, id) {
+        const report = await this.reportStore.get(id);
+        return report && this.canAccess(req, report) ? report : null;
+    }
+
+    canAccess(req, record) {
+        const scope = this.tenantScope(req);
+        return scope === undefined || record.tenant === scope;
+    }
+
+    async getJob(req, res) {
+        try {
+            const job = this.findJob(req, req.params.id);
+
+            if (!job) {
+                return this.handleError(res, new NotFoundError('Job not found'));
+            }
+
+            const format = this.resolveFormat(req, res);
+            if (!format) {
+                return;
+            }
+
+            if (format === 'json') {
+                return res.json({ success: true, data: this.describeJob(job) });
+            }
+
+            const report = job.reportId && await this.reportStore.get(job.reportId);
+            if (!report) {
+                return this.handleError(res, new ConflictError('Job has no report yet', { details: { status: job.status } }));
+            }
+
+            this.sendFormatted(res, format, report);
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    describeJob(job) {
+        const description = this.jobQueue.describe(job);
+        if (job.reportId) {
+            description.reportUrl = job.format && job.format !== 'json'
+                ? `/api/v1/reports/${job.reportId}?format=${job.format}`
+                : `/api/v1/reports/${job.reportId}`;
+        }
+        return description;
+    }
+
+    cancelJob(req, res) {
+        const job = this.findJob(req, req.params.id) && this.jobQueue.cancel(req.params.id);
+
+        if (!job) {
+            return this.handleError(res, new NotFoundError('Job not found'));
+        }
+
+        res.json({ success: true, data: this.describeJob(job) });
+    }
+
+    retryJob(req, res) {
+        const job = this.findJob(req, req.params.id) && this.jobQueue.retryFailed(req.params.id);
+
+        if (!job) {
+            return this.handleError(res, new NotFoundError('Job not found'));
+        }
+
+        res.json({ success: true, data: this.describeJob(job) });
+    }
+
     async fixCode(req, res) {
         try {
             const { code, filePath, options = {} } = req.body;
             
             if (!code) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Code is required'
-                });
+                return this.handleError(res, new ValidationError('Code is required'));
+            }
+
+            const result = await this.fixService.propose(code, filePath, options);
+            this.auditFix(res, result);
+
+            if (result.status === 'rejected') {
+                return this.handleError(res, new UnprocessableError(`Fix rejected: ${result.verification.reasons.join('; ')}`, {
+                    code: 'fix_rejected',
+                    details: { data: result }
+                }));
+            }
+
+            res.json({
+                success: true,
+                data: result,
+                metadata: {
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // Applies the accepted hunks of a patch from POST /api/v1/fix to `code`
+    // and verifies the outcome again
+    async applyFix(req, res) {
+        try {
+            const { code, filePath, patch, accept, reject, options = {} } = req.body;
+
+            if (typeof code !== 'string' || !patch) {
+                return this.handleError(res, new ValidationError('Code and patch are required'));
+            }
+            if ((accept && !Array.isArray(accept)) || (reject && !Array.isArray(reject))) {
+                return this.handleError(res, new ValidationError('accept and reject must be arrays of hunk ids'));
             }
 
-            const result = await this.engine.fixCode(code, options);
+            const result = await this.fixService.apply(code, filePath, patch, { accept, reject, options });
+            this.auditFix(res, result);
+
+            if (result.status === 'rejected') {
+                return this.handleError(res, new UnprocessableError(`Fix rejected: ${result.verification.reasons.join('; ')}`, {
+                    code: 'fix_rejected',
+                    details: { data: result }
+                }));
+            }
 
             res.json({
                 success: true,
@@ -167,66 +1064,397 @@ class APIServer {
         }
     }
 
+    // Adds the fixed code's hash to the request's audit entry
+    auditFix(res, result) {
+        res.locals.audit = {
+            hashes: result.fixedCode != null ? { fixed: contentHash(result.fixedCode) } : {},
+            details: { status: result.status }
+        };
+    }
+
+    async listReports(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+            const { items, total } = await this.reportStore.list({ limit, offset, tenant: this.tenantScope(req) });
+
+            res.json({
+                success: true,
+                data: items.map(report => ({
+                    id: report.id,
+                    type: report.type,
+                    createdAt: report.createdAt,
+                    filePaths: report.filePaths,
+                    totalIssues: report.results.reduce((sum, r) => sum + (r.result?.issues?.length || 0), 0)
+                })),
+                pagination: {
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + items.length < total
+                }
+            });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async getReport(req, res) {
+        try {
+            const report = await this.findReport(req, req.params.id);
+
+            if (!report) {
+                return this.handleError(res, new NotFoundError('Report not found'));
+            }
+
+            const format = this.resolveFormat(req, res);
+            if (!format) {
+                return;
+            }
+
+            if (format !== 'json') {
+                return this.sendFormatted(res, format, report);
+            }
+
+            res.json({ success: true, data: report });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async deleteReport(req, res) {
+        try {
+            const deleted = await this.findReport(req, req.params.id) && await this.reportStore.delete(req.params.id);
+
+            if (!deleted) {
+                return this.handleError(res, new NotFoundError('Report not found'));
+            }
+
+            res.json({ success: true, message: 'Report deleted' });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async getMetrics(req, res) {
+        try {
+            const { range, from, to, resolution } = req.query;
+            const metrics = await this.monitor.queryMetrics({ range, from, to, resolution, tenant: this.tenantScope(req) });
+            res.json({
+                success: true,
+                data: {
+                    engine: this.engine.getMetrics(),
+                    performance: {
+                        from: metrics.from,
+                        to: metrics.to,
+                        resolution: metrics.resolution,
+                        points: metrics.points,
+                        ...(metrics.truncated && { truncated: true })
+                    },
+                    cache: this.monitor.getCacheStats()
+                }
+            });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // Principals scoped to a tenant only see and manage that tenant's keys,
+    // reports, jobs, baselines and metrics
+    tenantScope(req) {
+        const tenant = req.principal.tenant;
+        return tenant === '*' || req.principal.type === 'anonymous' ? undefined : tenant;
+    }
+
+    // Unscoped admins manage the baselines of the tenant named by `tenant`,
+    // or their own
+    baselineTenant(req) {
+        return this.tenantScope(req) || req.query.tenant || req.body?.tenant || req.principal.tenant;
+    }
+
+    async listApiKeys(req, res) {
+        try {
+            const keys = await this.keyStore.list({ tenant: this.tenantScope(req) });
+            res.json({ success: true, data: keys });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    async createApiKey(req, res) {
+        try {
+            const { name, roles, rateLimit, dailyQuota, expiresAt } = req.body;
+            const tenant = this.tenantScope(req) || req.body.tenant;
+
+            if (!tenant || (roles && !Array.isArray(roles))) {
+                return this.handleError(res, new ValidationError('Tenant and a roles array are required'));
+            }
+
+            const { key, record } = await this.keyStore.create({ name, tenant, roles, rateLimit, dailyQuota, expiresAt });
+
+            res.status(201).json({
+                success: true,
+                data: { ...record, key },
+                message: 'Store this key now, it cannot be retrieved again'
+            });
+        } catch (error) {
+            if (error.message.startsWith('Unknown roles')) {
+                return this.handleError(res, new ValidationError(error.message));
+            }
+            this.handleError(res, error);
+        }
+    }
+
+    async updateApiKey(req, res) {
+        try {
+            const existing = await this.keyStore.get(req.params.id);
+            const tenant = this.tenantScope(req);
+
+            if (!existing || (tenant && existing.tenant !== tenant)) {
+                return this.handleError(res, new NotFoundError('API key not found'));
+            }
+
+            const { name, roles, rateLimit, dailyQuota, expiresAt } = req.body;
+            const record = await this.keyStore.update(req.params.id, { name, roles, rateLimit, dailyQuota, expiresAt });
+            res.json({ success: true, data: record });
+        } catch (error) {
+            if (error.message.startsWith('Unknown roles')) {
+                return this.handleError(res, new ValidationError(error.message));
+            }
+            this.handleError(res, error);
+        }
+    }
+
+    async revokeApiKey(req, res) {
+        try {
+            const existing = await this.keyStore.get(req.params.id);
+            const tenant = this.tenantScope(req);
+
+            if (!existing || (tenant && existing.tenant !== tenant)) {
+                return this.handleError(res, new NotFoundError('API key not found'));
+            }
+
+            res.json({ success: true, data: await this.keyStore.revoke(req.params.id) });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // The effective configuration with secrets redacted
+    getConfig(req, res) {
+        res.json({ success: true, data: this.configLoader.describe() });
+    }
+
+    // Re-reads the config file and environment now instead of waiting for
+    // the file watcher
+    reloadConfig(req, res) {
+        try {
+            res.json({ success: true, data: this.configLoader.reload() });
+        } catch (error) {
+            if (error instanceof ConfigError) {
+                return this.handleError(res, new UnprocessableError(error.message, {
+                    code: error.code,
+                    details: { data: { problems: error.problems } }
+                }));
+            }
+            this.handleError(res, error);
+        }
+    }
+
+    // Query filters for the audit log; tenant-scoped admins only see
+    // their own tenant's entries. Throws a ValidationError for a bad date.
+    auditFilters(req) {
+        const { action, actor, tenant, outcome, repository, path, since, until, limit, offset } = req.query;
+        const filters = { action, actor, tenant: this.tenantScope(req) || tenant, outcome, repository, path, limit, offset };
+        for (const [key, value] of Object.entries({ since, until })) {
+            if (value) {
+                const date = new Date(value);
+                if (isNaN(date.getTime())) {
+                    throw new ValidationError(`Invalid ${key} date: ${value}`);
+                }
+                filters[key] = date.toISOString();
+            }
+        }
+        return filters;
+    }
+
+    async queryAudit(req, res) {
+        try {
+            const { items, total } = await this.auditLog.query(this.auditFilters(req));
+            res.json({ success: true, data: items, metadata: { total, count: items.length } });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
+    // JSON lines keep every hash so the export can be checked offline
+    async exportAudit(req, res) {
+        try {
+            const format = req.query.format || 'jsonl';
+            if (!['jsonl', 'csv'].includes(format)) {
+                return this.handleError(res, new ValidationError(`Unsupported export format: ${format}`));
+            }
+
+            const lines = this.auditLog.export(this.auditFilters(req), format);
+            const date = new Date().toISOString().slice(0, 10);
+            res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson')
+                .attachment(`audit-${date}.${format}`);
+            for await (const line of lines) {
+                if (!res.write(line)) {
+                    await new Promise(resolve => {
+                        res.once('drain', resolve);
+                        res.once('close', resolve);
+                    });
+                }
+                if (res.destroyed) {
+                    return;
+                }
+            }
+            res.end();
+        } catch (error) {
+            // Part of the export was sent; cutting the connection tells the
+            // client it is incomplete
+            if (res.headersSent) {
+                log.error('Audit export failed', { error });
+                return res.destroy(error);
+            }
+            this.handleError(res, error);
+        }
+    }
+
+    async verifyAudit(req, res) {
+        try {
+            res.json({ success: true, data: await this.auditLog.verify() });
+        } catch (error) {
+            this.handleError(res, error);
+        }
+    }
+
     async handleGitHubWebhook(req, res) {
         try {
             const event = req.headers['x-github-event'];
-            const payload = req.body;
-
-            if (event === 'push') {
-                // Analyze changed files
-                const results = await this.analyzeGitHubPush(payload);
-                
-                // Post results as PR comment if applicable
-                if (payload.pull_request) {
-                    await this.postGitHubComment(payload, results);
-                }
+            const signature = req.headers['x-hub-signature-256'];
+
+            if (!this.github.verifySignature(req.rawBody, signature)) {
+                return this.handleError(res, new AuthenticationError('Invalid webhook signature'));
             }
 
-            res.json({ success: true, message: 'Webhook processed' });
+            // GitHub gives up on deliveries after 10 seconds, so analysis
+            // continues after the webhook has been acknowledged
+            res.status(202).json({ success: true, message: 'Webhook accepted' });
+
+            this.track(this.github.handleEvent(event, req.body)
+                .then(outcome => outcome && this.saveWebhookReport('github', outcome))
+                .catch(error => {
+                    log.error('Webhook processing failed', { error, provider: 'github', event });
+                    this.recordWebhookAnalysis('github', event, null, error);
+                }));
         } catch (error) {
             this.handleError(res, error);
         }
     }
 
+    async saveWebhookReport(source, outcome) {
+        const report = createReport({
+            type: 'webhook',
+            source,
+            repository: outcome.repository,
+            filePaths: outcome.files.map(file => file.filePath),
+            options: { sha: outcome.sha },
+            results: outcome.files.map(file => ({ filePath: file.filePath, result: file.result }))
+        });
+        report.qualityGate = outcome.gate;
+
+        const saved = await this.reportStore.save(report);
+        this.recordWebhookAnalysis(source, null, { ...outcome, reportId: saved.id });
+        return saved;
+    }
+
+    // Webhooks are acknowledged before they are analyzed, so the analysis
+    // gets its own audit entry once it finishes or fails
+    recordWebhookAnalysis(source, event, outcome, error) {
+        this.auditLog.record({
+            actor: { type: 'webhook', id: source, tenant: null },
+            action: `webhook.${source}.analysis`,
+            target: {
+                paths: outcome ? outcome.files.map(file => file.filePath) : [],
+                repository: outcome?.repository,
+                ref: outcome?.sha
+            },
+            outcome: error ? 'failure' : 'success',
+            details: error
+                ? { event, error: error.message }
+                : { reportId: outcome.reportId, qualityGate: outcome.gate?.passed ?? null }
+        }).catch(auditError => log.error('Failed to write audit entry', { error: auditError, action: `webhook.${source}.analysis` }));
+    }
+
     async handleGitLabWebhook(req, res) {
         try {
             const event = req.headers['x-gitlab-event'];
-            const payload = req.body;
 
-            if (event === 'Push Hook') {
-                const results = await this.analyzeGitLabPush(payload);
-                // Handle GitLab-specific logic
+            if (!this.gitlab.verifyToken(req.headers['x-gitlab-token'])) {
+                return this.handleError(res, new AuthenticationError('Invalid webhook token'));
             }
 
-            res.json({ success: true, message: 'Webhook processed' });
+            res.status(202).json({ success: true, message: 'Webhook accepted' });
+
+            this.track(this.gitlab.handleEvent(event, req.body)
+                .then(outcome => outcome && this.saveWebhookReport('gitlab', outcome))
+                .catch(error => {
+                    log.error('Webhook processing failed', { error, provider: 'gitlab', event });
+                    this.recordWebhookAnalysis('gitlab', event, null, error);
+                }));
         } catch (error) {
             this.handleError(res, error);
         }
     }
 
+    // Sends `error` as `{ success: false, error, code, requestId }`. Only
+    // typed errors keep their message; anything else is logged and reported
+    // to the client as an internal error.
     handleError(res, error) {
-        console.error('API Error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
+        const sent = sendError(res, error);
+        if (sent.status >= 500) {
+            log.error('Request failed', { error, status: sent.status });
+        }
     }
 
     errorHandler(error, req, res, next) {
-        console.error('Unhandled error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            timestamp: new Date().toISOString()
-        });
+        if (res.headersSent) {
+            return next(error);
+        }
+        this.handleError(res, error);
     }
 
     start() {
-        this.app.listen(this.port, () => {
-            console.log(`🚀 CodeSaviour API Server running on port ${this.port}`);
+        return new Promise(resolve => {
+            this.server = this.app.listen(this.port, () => {
+                log.info('CodeSaviour API server listening', { port: this.server.address().port });
+                resolve(this.server);
+            });
         });
     }
+
+    // Stops accepting connections, then waits for in-flight requests,
+    // queued batch analyses and background work such as webhook processing
+    // and Jira updates to finish.
+    async stop() {
+        if (this.server) {
+            const closed = new Promise(resolve => this.server.close(() => resolve()));
+            this.server.closeIdleConnections?.();
+            await closed;
+        }
+        this.configLoader.off('reload', this.onConfigReload);
+        this.configLoader.off('reload_failed', this.onConfigReloadFailed);
+        await this.jobQueue.idle();
+        // Background work may start more of it, e.g. a webhook analysis
+        // syncing Jira
+        while (this.background.size > 0) {
+            await Promise.all(this.background);
+        }
+        await this.analysis.idle();
+        await this.auditLog.flush();
+    }
 }
 
 module.exports = APIServer;
\ No newline at end of file
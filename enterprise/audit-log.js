@@ -0,0 +1,398 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { once } = require('events');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { matchesGlob } = require('./glob.js');
+const log = require('./logger.js').logger.child({ component: 'audit' });
+
+const GENESIS = '0'.repeat(64);
+const DAY = 24 * 60 * 60 * 1000;
+const CSV_COLUMNS = ['seq', 'timestamp', 'action', 'outcome', 'status', 'actorType', 'actorId', 'tenant', 'ip',
+    'repository', 'paths', 'hashes', 'hash'];
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function contentHash(code) {
+    return `sha256:${sha256(String(code ?? ''))}`;
+}
+
+// Each entry's hash covers the previous entry's hash, so editing, removing
+// or reordering an entry breaks every hash after it. Entries written with a
+// key are HMACs (`alg: 'hmac-sha256'`), so the chain cannot be rebuilt by
+// someone who can write the file but does not hold the key.
+function entryHash(entry, key) {
+    const { hash, ...fields } = entry;
+    const content = `${entry.prevHash}\n${JSON.stringify(fields)}`;
+    return entry.alg === 'hmac-sha256'
+        ? crypto.createHmac('sha256', key).update(content).digest('hex')
+        : sha256(content);
+}
+
+// API principals and dashboard sessions both end up as `{ type, id, tenant }`
+function actorFor(req) {
+    if (req.principal) {
+        return { type: req.principal.type, id: req.principal.id, tenant: req.principal.tenant || null, ip: req.ip || null };
+    }
+    if (req.user) {
+        return { type: 'user', id: req.user.sub, tenant: null, role: req.user.role, ip: req.ip || null };
+    }
+    return { type: 'anonymous', id: 'anonymous', tenant: null, ip: req.ip || null };
+}
+
+function outcomeFor(status) {
+    if (status === 401 || status === 403) {
+        return 'denied';
+    }
+    return status < 400 ? 'success' : 'failure';
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `action` matches itself and its dotted sub-actions, `path` is a glob
+function matches(entry, filters) {
+    const { action, actor, tenant, outcome, repository, path: pathGlob, since, until } = filters;
+    return (!action || entry.action === action || entry.action.startsWith(`${action}.`))
+        && (!actor || entry.actor.id === actor)
+        && (!tenant || entry.actor.tenant === tenant)
+        && (!outcome || entry.outcome === outcome)
+        && (!repository || entry.target.repository === repository)
+        && (!pathGlob || entry.target.paths.some(target => matchesGlob(target, pathGlob)))
+        && (!since || entry.timestamp >= since)
+        && (!until || entry.timestamp <= until);
+}
+
+// Stands in for dropped entries: the next entry chains to its hash
+function anchorFor(entry, prunedAt) {
+    return { type: 'anchor', seq: entry.seq, hash: entry.hash, timestamp: entry.timestamp, prunedAt };
+}
+
+// Append-only, hash-chained audit trail stored as JSON lines. Retention
+// drops the oldest entries and replaces them with an anchor line holding
+// the last dropped hash, so the remaining chain still verifies. Only the
+// head of the chain is kept in memory; queries, exports and verification
+// read the file a line at a time. Without a `file` the log lives in memory,
+// which is what tests use.
+class AuditLog {
+    constructor(options = {}) {
+        this.file = options.file === undefined
+            ? path.join(process.cwd(), 'data', 'audit.jsonl')
+            : options.file;
+        this.key = options.key || null;
+        this.retention = options.retention ?? 365 * DAY;
+        this.retentionInterval = options.retentionInterval || 60 * 60 * 1000;
+        this.lastRetentionRun = 0;
+        this.memory = this.file ? null : { anchor: null, entries: [] };
+        // `{ seq, hash }` of the last entry, or of the anchor
+        this.head = null;
+        this.loaded = null;
+        // Appends and rewrites run one at a time so the chain stays linear
+        this.queue = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = (async () => {
+                for await (const record of this.records()) {
+                    this.head = { seq: record.seq, hash: record.hash };
+                }
+            })();
+        }
+        return this.loaded;
+    }
+
+    // Every line of the log, the anchor first if there is one
+    async *records() {
+        if (!this.file) {
+            if (this.memory.anchor) {
+                yield this.memory.anchor;
+            }
+            yield* this.memory.entries;
+            return;
+        }
+
+        const input = createReadStream(this.file, 'utf8');
+        try {
+            await once(input, 'open');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        let number = 0;
+        try {
+            for await (const line of lines) {
+                number++;
+                if (!line) {
+                    continue;
+                }
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Audit log line ${number} is not valid JSON`);
+                }
+                yield record;
+            }
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    async *entries(filters = {}) {
+        for await (const record of this.records()) {
+            if (record.type !== 'anchor' && matches(record, filters)) {
+                yield record;
+            }
+        }
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // `{ actor, action, target: { paths, repository }, hashes, outcome,
+    // status, details }`; returns the stored entry
+    async record(event) {
+        await this.load();
+        const entry = await this.enqueue(async () => {
+            const entry = {
+                seq: (this.head?.seq || 0) + 1,
+                timestamp: new Date().toISOString(),
+                actor: event.actor || { type: 'system', id: 'system', tenant: null },
+                action: event.action,
+                target: {
+                    paths: [].concat(event.target?.paths || []).filter(Boolean),
+                    repository: event.target?.repository || null,
+                    ...(event.target?.ref && { ref: event.target.ref })
+                },
+                hashes: event.hashes || {},
+                outcome: event.outcome || 'success',
+                status: event.status ?? null,
+                details: event.details || {},
+                ...(this.key && { alg: 'hmac-sha256' }),
+                prevHash: this.head?.hash || GENESIS
+            };
+            entry.hash = entryHash(entry, this.key);
+
+            if (this.file) {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+            } else {
+                this.memory.entries.push(entry);
+            }
+            this.head = { seq: entry.seq, hash: entry.hash };
+            return entry;
+        });
+
+        this.enforceRetention().catch(error => log.error('Failed to enforce audit log retention', { error }));
+        return entry;
+    }
+
+    // Newest first; only the requested page is held while reading
+    async query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+        const offset = parseInt(filters.offset) || 0;
+        const window = [];
+        let total = 0;
+
+        for await (const entry of this.entries(filters)) {
+            total++;
+            window.push(entry);
+            if (window.length > offset + limit) {
+                window.shift();
+            }
+        }
+        return { items: window.reverse().slice(offset, offset + limit), total };
+    }
+
+    // Yields the export a line at a time, oldest first, with hashes, so a
+    // JSONL export can be verified offline
+    async *export(filters = {}, format = 'jsonl') {
+        if (format === 'csv') {
+            yield `${CSV_COLUMNS.join(',')}\n`;
+        }
+        for await (const entry of this.entries(filters)) {
+            if (format === 'csv') {
+                yield `${[
+                    entry.seq, entry.timestamp, entry.action, entry.outcome, entry.status,
+                    entry.actor.type, entry.actor.id, entry.actor.tenant, entry.actor.ip,
+                    entry.target.repository, entry.target.paths.join(' '),
+                    Object.entries(entry.hashes).map(([target, hash]) => `${target}=${hash}`).join(' '), entry.hash
+                ].map(csvCell).join(',')}\n`;
+            } else {
+                yield `${JSON.stringify(entry)}\n`;
+            }
+        }
+    }
+
+    // Checks the stored chain, re-reading the file so edits made on disk are
+    // caught. Once an entry is signed with the key, unsigned entries after
+    // it are rejected; `unsigned` counts entries written before a key was
+    // configured. Returns `{ valid, checked, brokenAt, reason, unsigned }`.
+    verify() {
+        return this.enqueue(async () => {
+            let previous = { seq: 0, hash: GENESIS };
+            let anchor = null;
+            let checked = 0;
+            let unsigned = 0;
+            let signed = false;
+            const broken = (entry, reason) => ({ valid: false, checked, brokenAt: entry?.seq ?? null, reason, unsigned });
+
+            try {
+                for await (const record of this.records()) {
+                    if (record.type === 'anchor') {
+                        anchor = record;
+                        previous = { seq: record.seq, hash: record.hash };
+                        continue;
+                    }
+
+                    const keyed = record.alg === 'hmac-sha256';
+                    const reason = record.seq !== previous.seq + 1 ? `expected entry ${previous.seq + 1}`
+                        : record.prevHash !== previous.hash ? 'previous hash does not match'
+                            : keyed && !this.key ? 'entry is signed but no audit key is configured'
+                                : !keyed && signed ? 'unsigned entry after signed entries'
+                                    : entryHash(record, this.key) !== record.hash ? 'entry hash does not match its contents'
+                                        : null;
+                    if (reason) {
+                        return broken(record, reason);
+                    }
+                    signed = signed || keyed;
+                    unsigned += keyed ? 0 : 1;
+                    checked++;
+                    previous = record;
+                }
+            } catch (error) {
+                return broken(null, error.message);
+            }
+            return { valid: true, checked, brokenAt: null, reason: null, unsigned, anchor };
+        });
+    }
+
+    // Drops entries older than `retention`, then records that it did
+    async enforceRetention({ force = false, now = Date.now() } = {}) {
+        if (!this.retention || (!force && now - this.lastRetentionRun < this.retentionInterval)) {
+            return 0;
+        }
+        this.lastRetentionRun = now;
+        await this.load();
+
+        const cutoff = new Date(now - this.retention).toISOString();
+        const prunedAt = new Date(now).toISOString();
+        const removed = await this.enqueue(() => (this.file ? this.pruneFile(cutoff, prunedAt) : this.pruneMemory(cutoff, prunedAt)));
+
+        if (removed > 0) {
+            await this.record({ action: 'audit.retention', details: { removed, before: cutoff } });
+        }
+        return removed;
+    }
+
+    pruneMemory(cutoff, prunedAt) {
+        const { entries } = this.memory;
+        const keep = entries.findIndex(entry => entry.timestamp >= cutoff);
+        const count = keep === -1 ? entries.length : keep;
+        if (count > 0) {
+            this.memory.anchor = anchorFor(entries[count - 1], prunedAt);
+            this.memory.entries = entries.slice(count);
+        }
+        return count;
+    }
+
+    // Entries are in time order, so expired ones are a prefix of the file;
+    // the rest is copied line by line behind a new anchor
+    async pruneFile(cutoff, prunedAt) {
+        const tmp = `${this.file}.tmp`;
+        let anchor = null;
+        let removed = 0;
+        let output = null;
+
+        try {
+            for await (const record of this.records()) {
+                if (!output) {
+                    if (record.type === 'anchor') {
+                        continue;
+                    }
+                    if (record.timestamp < cutoff) {
+                        anchor = anchorFor(record, prunedAt);
+                        removed++;
+                        continue;
+                    }
+                    if (removed === 0) {
+                        return 0;
+                    }
+                    output = await fs.open(tmp, 'w', 0o600);
+                    await output.write(`${JSON.stringify(anchor)}\n`);
+                }
+                await output.write(`${JSON.stringify(record)}\n`);
+            }
+            if (removed === 0) {
+                return 0;
+            }
+            if (!output) {
+                output = await fs.open(tmp, 'w', 0o600);
+                await output.write(`${JSON.stringify(anchor)}\n`);
+            }
+            await output.close();
+            output = null;
+            await fs.rename(tmp, this.file);
+            return removed;
+        } finally {
+            if (output) {
+                await output.close();
+                await fs.rm(tmp, { force: true });
+            }
+        }
+    }
+
+    // Express middleware recording the request once the response is done.
+    // `describe(req)` returns `{ actor, target, hashes, details }`, all
+    // optional; handlers add to it through `res.locals.audit`.
+    middleware(action, describe = () => ({})) {
+        return (req, res, next) => {
+            res.on('close', () => {
+                let described;
+                try {
+                    described = describe(req) || {};
+                } catch (error) {
+                    described = { details: { describeError: error.message } };
+                }
+                const extra = res.locals.audit || {};
+                this.record({
+                    actor: described.actor || actorFor(req),
+                    action,
+                    target: { ...described.target, ...extra.target },
+                    hashes: { ...described.hashes, ...extra.hashes },
+                    // A client that disconnects mid-response leaves it unfinished
+                    outcome: res.writableFinished ? outcomeFor(res.statusCode) : 'aborted',
+                    status: res.statusCode,
+                    details: { ...described.details, ...extra.details }
+                }).catch(error => log.error('Failed to write audit entry', { error, action }));
+            });
+            next();
+        };
+    }
+
+    // Waits for queued writes
+    async flush() {
+        await this.queue;
+    }
+}
+
+module.exports = {
+    AuditLog,
+    actorFor,
+    outcomeFor,
+    contentHash
+};
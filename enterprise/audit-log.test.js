@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, contentHash } = require('./audit-log.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function recordSome(auditLog, count = 3) {
+    for (let i = 0; i < count; i++) {
+        await auditLog.record({ action: 'analysis.file', target: { paths: [`src/${i}.js`] }, hashes: { [`src/${i}.js`]: contentHash(i) } });
+    }
+}
+
+function withTempDir(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+        try {
+            await fn(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+describe('AuditLog.verify', () => {
+    it('verifies an intact chain', async () => {
+        const auditLog = new AuditLog({ file: null });
+        await recordSome(auditLog);
+
+        assert.deepEqual(await auditLog.verify(), { valid: true, checked: 3, brokenAt: null, reason: null, unsigned: 3, anchor: null });
+    });
+
+    it('reports the first entry whose contents changed', async () => {
+        const auditLog = new AuditLog({ file: null });
+        await recordSome(auditLog);
+        auditLog.memory.entries[1].outcome = 'failure';
+
+        const result = await auditLog.verify();
+        assert.equal(result.valid, false);
+        assert.equal(result.brokenAt, 2);
+        assert.equal(result.reason, 'entry hash does not match its contents');
+    });
+
+    it('reports removed and reordered entries', async () => {
+        const removed = new AuditLog({ file: null });
+        await recordSome(removed);
+        removed.memory.entries.splice(1, 1);
+        assert.deepEqual(await removed.verify(), { valid: false, checked: 1, brokenAt: 3, reason: 'expected entry 2', unsigned: 1 });
+
+        const reordered = new AuditLog({ file: null });
+        await recordSome(reordered);
+        reordered.memory.entries.reverse();
+        assert.equal((await reordered.verify()).brokenAt, 3);
+    });
+
+    it('detects a rehashed chain when entries are signed with a key', async () => {
+        const auditLog = new AuditLog({ file: null, key: 'audit-key' });
+        await recordSome(auditLog);
+        assert.equal((await auditLog.verify()).valid, true);
+        assert.equal(auditLog.memory.entries[0].alg, 'hmac-sha256');
+
+        const forged = new AuditLog({ file: null, key: 'guessed-key' });
+        forged.memory.entries = auditLog.memory.entries;
+        assert.equal((await forged.verify()).reason, 'entry hash does not match its contents');
+
+        const keyless = new AuditLog({ file: null });
+        keyless.memory.entries = auditLog.memory.entries;
+        assert.equal((await keyless.verify()).reason, 'entry is signed but no audit key is configured');
+    });
+
+    it('rejects unsigned entries after signed ones', async () => {
+        const auditLog = new AuditLog({ file: null });
+        await recordSome(auditLog, 1);
+        auditLog.key = 'audit-key';
+        await recordSome(auditLog, 1);
+        assert.deepEqual(await auditLog.verify(), { valid: true, checked: 2, brokenAt: null, reason: null, unsigned: 1, anchor: null });
+
+        auditLog.key = null;
+        await recordSome(auditLog, 1);
+        auditLog.key = 'audit-key';
+        const result = await auditLog.verify();
+        assert.equal(result.brokenAt, 3);
+        assert.equal(result.reason, 'unsigned entry after signed entries');
+    });
+
+    it('still verifies after retention replaces old entries with an anchor', async () => {
+        const auditLog = new AuditLog({ file: null, retention: DAY });
+        await recordSome(auditLog);
+
+        assert.equal(await auditLog.enforceRetention({ force: true, now: Date.now() + 2 * DAY }), 3);
+        const result = await auditLog.verify();
+        assert.equal(result.valid, true);
+        assert.equal(result.checked, 1);
+        assert.equal(result.anchor.seq, 3);
+        assert.equal(auditLog.memory.entries[0].action, 'audit.retention');
+    });
+
+    it('catches edits made to the file on disk', withTempDir(async dir => {
+        const file = path.join(dir, 'audit.jsonl');
+        const auditLog = new AuditLog({ file, key: 'audit-key' });
+        await recordSome(auditLog);
+        assert.equal((await auditLog.verify()).valid, true);
+
+        const original = fs.readFileSync(file, 'utf8');
+        fs.writeFileSync(file, original.replace('"success"', '"failure"'));
+        assert.equal((await new AuditLog({ file, key: 'audit-key' }).verify()).brokenAt, 1);
+
+        fs.writeFileSync(file, `${original}not json\n`);
+        assert.deepEqual(await auditLog.verify(),
+            { valid: false, checked: 3, brokenAt: null, reason: 'Audit log line 4 is not valid JSON', unsigned: 0 });
+    }));
+
+    it('continues the chain after a restart and across file retention', withTempDir(async dir => {
+        const file = path.join(dir, 'audit.jsonl');
+        await recordSome(new AuditLog({ file, key: 'audit-key' }), 2);
+
+        const restarted = new AuditLog({ file, key: 'audit-key', retention: DAY });
+        await recordSome(restarted, 1);
+        assert.equal((await restarted.verify()).checked, 3);
+
+        assert.equal(await restarted.enforceRetention({ force: true, now: Date.now() + 2 * DAY }), 3);
+        const result = await restarted.verify();
+        assert.equal(result.valid, true);
+        assert.equal(result.anchor.seq, 3);
+        assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+    }));
+});
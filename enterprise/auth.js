@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { ROLES } = require('./api-keys.js');
+const { verifyToken } = require('./tokens.js');
+const { AuthenticationError, ForbiddenError, RateLimitError, sendError } = require('./errors.js');
+
+// With auth disabled nobody is identified, so nobody may administer
+const ANONYMOUS = { id: 'anonymous', type: 'anonymous', tenant: 'default', roles: ROLES.filter(role => role !== 'admin') };
+// Past this many tracked clients, expired failure counts are dropped
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Resolves `X-API-Key` / `Authorization: Bearer` credentials to a principal
+// ({ id, type, tenant, roles, rateLimit, dailyQuota }) on `req.principal`.
+// Bearer values may be API keys or HS256 tokens signed with `jwtSecret`.
+class ApiAuth {
+    constructor(options = {}) {
+        this.enabled = Boolean(options.enabled);
+        this.keyStore = options.keyStore;
+        this.jwtSecret = options.jwtSecret;
+        this.bootstrapKey = options.bootstrapKey;
+        this.tenants = options.tenants || {};
+        this.usage = new Map();
+        // A client IP with `max` failed attempts within `windowMs` is refused
+        // until the window ends, before its credentials are looked at
+        this.failedAttempts = { windowMs: 15 * 60 * 1000, max: 20, ...options.failedAttempts };
+        this.failures = new Map();
+    }
+
+    authenticate() {
+        return async (req, res, next) => {
+            if (!this.enabled) {
+                req.principal = ANONYMOUS;
+                return next();
+            }
+
+            const retryAfter = this.retryAfter(req.ip);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return sendError(res, new RateLimitError('Too many failed authentication attempts', { code: 'auth_throttled' }));
+            }
+
+            try {
+                req.principal = await this.resolvePrincipal(req);
+            } catch (error) {
+                return next(error);
+            }
+
+            if (!req.principal) {
+                this.recordFailure(req.ip);
+                return sendError(res, new AuthenticationError('Valid API key or bearer token required'));
+            }
+            next();
+        };
+    }
+
+    // Seconds until `ip` may authenticate again; 0 when it is not throttled
+    retryAfter(ip, now = Date.now()) {
+        const entry = this.failures.get(ip);
+        if (!entry || entry.resetAt <= now || entry.count < this.failedAttempts.max) {
+            return 0;
+        }
+        return Math.ceil((entry.resetAt - now) / 1000);
+    }
+
+    recordFailure(ip, now = Date.now()) {
+        let entry = this.failures.get(ip);
+        if (!entry || entry.resetAt <= now) {
+            if (this.failures.size >= MAX_TRACKED_CLIENTS) {
+                for (const [key, value] of this.failures) {
+                    if (value.resetAt <= now) {
+                        this.failures.delete(key);
+                    }
+                }
+            }
+            entry = { count: 0, resetAt: now + this.failedAttempts.windowMs };
+            this.failures.set(ip, entry);
+        }
+        entry.count++;
+    }
+
+    async resolvePrincipal(req) {
+        const header = req.headers['authorization'] || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        const key = req.headers['x-api-key'] || (bearer && bearer.startsWith('cs_') ? bearer : null);
+
+        if (key) {
+            if (this.bootstrapKey && safeEqual(key, this.bootstrapKey)) {
+                return { id: 'bootstrap', type: 'bootstrap', tenant: '*', roles: ROLES };
+            }
+
+            const record = await this.keyStore.authenticate(key);
+            return record && {
+                id: record.id,
+                type: 'api-key',
+                tenant: record.tenant,
+                roles: record.roles,
+                rateLimit: record.rateLimit,
+                dailyQuota: record.dailyQuota
+            };
+        }
+
+        if (bearer) {
+            const claims = verifyToken(bearer, this.jwtSecret);
+            return claims && claims.sub && claims.tenant && {
+                id: claims.sub,
+                type: 'token',
+                tenant: claims.tenant,
+                roles: (claims.roles || []).filter(role => ROLES.includes(role)),
+                rateLimit: claims.rateLimit,
+                dailyQuota: claims.dailyQuota
+            };
+        }
+
+        return null;
+    }
+
+    requireRole(role) {
+        return (req, res, next) => {
+            const roles = req.principal?.roles || [];
+            if (roles.includes(role) || roles.includes('admin')) {
+                return next();
+            }
+
+            sendError(res, new ForbiddenError(`The '${role}' role is required`));
+        };
+    }
+
+    rateLimitFor(principal) {
+        return principal?.rateLimit || this.tenants[principal?.tenant]?.rateLimit || null;
+    }
+
+    rateLimitKey(req) {
+        const principal = req.principal;
+        return principal && principal.type !== 'anonymous'
+            ? `${principal.tenant}:${principal.id}`
+            : req.ip;
+    }
+
+    // Daily request quotas are counted in memory per principal and reset at
+    // UTC midnight or on restart.
+    enforceQuota() {
+        return (req, res, next) => {
+            const principal = req.principal;
+            const quota = principal?.dailyQuota || this.tenants[principal?.tenant]?.dailyQuota;
+            if (!quota) {
+                return next();
+            }
+
+            const day = new Date().toISOString().split('T')[0];
+            const key = this.rateLimitKey(req);
+            const usage = this.usage.get(key);
+            const count = usage && usage.day === day ? usage.count + 1 : 1;
+            this.usage.set(key, { day, count });
+
+            res.set('X-Quota-Limit', String(quota));
+            res.set('X-Quota-Remaining', String(Math.max(quota - count, 0)));
+
+            if (count > quota) {
+                return sendError(res, new RateLimitError('Daily quota exceeded', { code: 'quota_exceeded' }));
+            }
+            next();
+        };
+    }
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = ApiAuth;
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiAuth = require('./auth.js');
+const { ApiKeyStore } = require('./api-keys.js');
+
+async function authenticate(auth, { ip = '10.0.0.1', key } = {}) {
+    const req = { ip, headers: key ? { 'x-api-key': key } : {} };
+    const res = {
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+        }
+    };
+    let passed = false;
+    await auth.authenticate()(req, res, () => {
+        passed = true;
+    });
+    return passed
+        ? { status: 200, principal: req.principal }
+        : { status: res.statusCode, code: res.body.code, retryAfter: res.headers['Retry-After'] };
+}
+
+describe('ApiAuth', () => {
+    it('resolves API keys to a tenant principal', async () => {
+        const keyStore = new ApiKeyStore({ file: null });
+        const { key } = await keyStore.create({ tenant: 'acme', roles: ['analyze'] });
+        const auth = new ApiAuth({ enabled: true, keyStore });
+
+        const { status, principal } = await authenticate(auth, { key });
+        assert.equal(status, 200);
+        assert.equal(principal.tenant, 'acme');
+        assert.equal((await authenticate(auth, { key: 'cs_nope' })).status, 401);
+    });
+
+    it('refuses a client after repeated failures without checking its key', async () => {
+        const keyStore = new ApiKeyStore({ file: null });
+        const { key } = await keyStore.create({ tenant: 'acme' });
+        const auth = new ApiAuth({ enabled: true, keyStore, failedAttempts: { windowMs: 60000, max: 3 } });
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await authenticate(auth, { key: `cs_guess_${i}` })).status, 401);
+        }
+        let lookups = 0;
+        const lookup = keyStore.authenticate.bind(keyStore);
+        keyStore.authenticate = candidate => {
+            lookups++;
+            return lookup(candidate);
+        };
+
+        const throttled = await authenticate(auth, { key });
+        assert.equal(throttled.status, 429);
+        assert.equal(throttled.code, 'auth_throttled');
+        assert.ok(Number(throttled.retryAfter) > 0 && Number(throttled.retryAfter) <= 60);
+        assert.equal(lookups, 0);
+
+        assert.equal((await authenticate(auth, { key, ip: '10.0.0.2' })).status, 200);
+    });
+
+    it('lets a client try again once the window has passed', () => {
+        const auth = new ApiAuth({ enabled: true, failedAttempts: { windowMs: 1000, max: 1 } });
+        auth.recordFailure('10.0.0.1', 0);
+        assert.equal(auth.retryAfter('10.0.0.1', 500), 1);
+        assert.equal(auth.retryAfter('10.0.0.1', 1000), 0);
+    });
+});
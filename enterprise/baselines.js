@@ -0,0 +1,239 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { fingerprintIssue } = require('./findings.js');
+const { normalizeResults } = require('./quality-gates.js');
+
+// Collects the findings a baseline should accept from analysis results.
+// Fingerprints ignore line numbers, so identical findings in one file share
+// a fingerprint and `count` records how many of them were accepted. Issues
+// already covered by the baseline count as still present; inline and file
+// suppressions are left to those mechanisms.
+function collectFindings(results, repository) {
+    const findings = {};
+    for (const file of normalizeResults(results)) {
+        const baselined = (file.result.suppressedIssues || [])
+            .filter(issue => issue.suppression?.kind === 'baseline');
+        for (const issue of [...(file.result.issues || []), ...baselined]) {
+            const fingerprint = fingerprintIssue(issue, { filePath: file.filePath, repository });
+            if (findings[fingerprint]) {
+                findings[fingerprint].count++;
+                continue;
+            }
+            findings[fingerprint] = {
+                filePath: file.filePath,
+                rule: issue.rule || issue.type || null,
+                severity: issue.severity || null,
+                message: issue.message || null,
+                count: 1
+            };
+        }
+    }
+    return findings;
+}
+
+function baselineCounts(baseline) {
+    return new Map(Object.entries(baseline.findings || {})
+        .map(([fingerprint, finding]) => [fingerprint, finding.count || 1]));
+}
+
+// Baselines of different tenants never meet, even for the same repository
+function baselineKey(tenant, repository) {
+    return JSON.stringify([tenant || null, repository]);
+}
+
+// Per-repository snapshots of accepted findings, plus an append-only audit
+// trail of every change. Without a `file` the store lives in memory.
+// Every baseline belongs to a tenant; methods taking `tenant` only see that
+// tenant's baselines, and listing without one sees all of them.
+class BaselineStore {
+    constructor(options = {}) {
+        this.file = options.file === undefined
+            ? path.join(process.cwd(), 'data', 'baselines.json')
+            : options.file;
+        this.maxAuditEntries = options.maxAuditEntries || 5000;
+        this.baselines = new Map();
+        this.audit = [];
+        this.loaded = null;
+    }
+
+    // Concurrent callers share one read, as in ApiKeyStore
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.readFile().catch(error => {
+                this.loaded = null;
+                throw error;
+            });
+        }
+        return this.loaded;
+    }
+
+    async readFile() {
+        if (!this.file) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        for (const baseline of data.baselines || []) {
+            this.baselines.set(baselineKey(baseline.tenant, baseline.repository), baseline);
+        }
+        this.audit = data.audit || [];
+    }
+
+    async persist() {
+        if (!this.file) {
+            return;
+        }
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ baselines: [...this.baselines.values()], audit: this.audit }, null, 2));
+        await fs.rename(tmp, this.file);
+    }
+
+    record(baseline, action, { actor, reason, previous = {} }) {
+        const before = new Set(Object.keys(previous));
+        const after = Object.keys(baseline.findings || {});
+        this.audit.push({
+            id: crypto.randomUUID(),
+            tenant: baseline.tenant || null,
+            repository: baseline.repository,
+            action,
+            actor: actor || null,
+            reason: reason || null,
+            added: after.filter(fingerprint => !before.has(fingerprint)).length,
+            removed: [...before].filter(fingerprint => !baseline.findings[fingerprint]).length,
+            total: after.length,
+            timestamp: new Date().toISOString()
+        });
+        if (this.audit.length > this.maxAuditEntries) {
+            this.audit.splice(0, this.audit.length - this.maxAuditEntries);
+        }
+    }
+
+    async create({ tenant = null, repository, results, actor, reason }) {
+        await this.load();
+        if (!repository) {
+            throw new Error('Repository is required');
+        }
+        const key = baselineKey(tenant, repository);
+        if (this.baselines.has(key)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const baseline = {
+            id: crypto.randomUUID(),
+            tenant,
+            repository,
+            findings: collectFindings(results, repository),
+            createdAt: now,
+            createdBy: actor || null,
+            updatedAt: now,
+            updatedBy: actor || null
+        };
+
+        this.baselines.set(key, baseline);
+        this.record(baseline, 'created', { actor, reason });
+        await this.persist();
+        return baseline;
+    }
+
+    // `mode: 'replace'` re-snapshots from `results`; `'prune'` only drops
+    // findings missing from `results`, so fixed issues cannot come back
+    // unnoticed. `remove` drops individual fingerprints.
+    async update(repository, { tenant = null, results, mode = 'replace', remove = [], actor, reason }) {
+        await this.load();
+        const baseline = this.baselines.get(baselineKey(tenant, repository));
+        if (!baseline) {
+            return null;
+        }
+        if (!['replace', 'prune'].includes(mode)) {
+            throw new Error(`Unknown update mode: ${mode}`);
+        }
+
+        const previous = baseline.findings;
+        let findings = { ...previous };
+        if (results) {
+            const current = collectFindings(results, repository);
+            findings = mode === 'replace'
+                ? current
+                : Object.fromEntries(Object.entries(previous)
+                    .filter(([fingerprint]) => current[fingerprint])
+                    .map(([fingerprint, finding]) => [fingerprint, {
+                        ...finding,
+                        count: Math.min(finding.count || 1, current[fingerprint].count)
+                    }]));
+        }
+        for (const fingerprint of remove) {
+            delete findings[fingerprint];
+        }
+
+        baseline.findings = findings;
+        baseline.updatedAt = new Date().toISOString();
+        baseline.updatedBy = actor || null;
+        this.record(baseline, results ? mode : 'remove', { actor, reason, previous });
+        await this.persist();
+        return baseline;
+    }
+
+    async delete(repository, { tenant = null, actor, reason } = {}) {
+        await this.load();
+        const key = baselineKey(tenant, repository);
+        const baseline = this.baselines.get(key);
+        if (!baseline) {
+            return false;
+        }
+
+        this.baselines.delete(key);
+        this.record({ tenant, repository, findings: {} }, 'deleted', { actor, reason, previous: baseline.findings });
+        await this.persist();
+        return true;
+    }
+
+    async get(repository, { tenant = null } = {}) {
+        await this.load();
+        return this.baselines.get(baselineKey(tenant, repository)) || null;
+    }
+
+    async list({ tenant } = {}) {
+        await this.load();
+        return [...this.baselines.values()]
+            .filter(baseline => tenant === undefined || (baseline.tenant || null) === tenant)
+            .map(baseline => this.describe(baseline));
+    }
+
+    // Accepted occurrences by fingerprint, as `applySuppressions` expects
+    async fingerprints(repository, { tenant = null } = {}) {
+        const baseline = repository && await this.get(repository, { tenant });
+        return baseline ? baselineCounts(baseline) : null;
+    }
+
+    async auditTrail({ tenant, repository, limit = 100 } = {}) {
+        await this.load();
+        return this.audit
+            .filter(entry => tenant === undefined || (entry.tenant || null) === tenant)
+            .filter(entry => !repository || entry.repository === repository)
+            .slice(-limit)
+            .reverse();
+    }
+
+    describe(baseline) {
+        const { findings, ...summary } = baseline;
+        return { ...summary, findingCount: Object.keys(findings).length };
+    }
+}
+
+module.exports = {
+    BaselineStore,
+    collectFindings,
+    baselineCounts
+};
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BaselineStore } = require('./baselines.js');
+const { fingerprintIssue } = require('./findings.js');
+
+const finding = { rule: 'xss', severity: 'high', message: 'Unescaped output', line: 3 };
+const results = [{ filePath: 'src/app.js', result: { issues: [finding, { ...finding, line: 8 }] } }];
+const fingerprint = fingerprintIssue(finding, { filePath: 'src/app.js', repository: 'acme/app' });
+
+describe('BaselineStore', () => {
+    it('counts accepted occurrences per fingerprint', async () => {
+        const store = new BaselineStore({ file: null });
+        await store.create({ tenant: 'acme', repository: 'acme/app', results, actor: 'alice' });
+
+        assert.deepEqual(await store.fingerprints('acme/app', { tenant: 'acme' }), new Map([[fingerprint, 2]]));
+        assert.equal(await store.create({ tenant: 'acme', repository: 'acme/app', results }), null);
+    });
+
+    it('keeps tenants apart for the same repository', async () => {
+        const store = new BaselineStore({ file: null });
+        await store.create({ tenant: 'acme', repository: 'acme/app', results });
+
+        assert.equal(await store.fingerprints('acme/app', { tenant: 'globex' }), null);
+        assert.deepEqual((await store.list({ tenant: 'globex' })), []);
+        assert.equal((await store.auditTrail({ tenant: 'acme' }))[0].action, 'created');
+    });
+
+    it('prunes findings that are gone without accepting new ones', async () => {
+        const store = new BaselineStore({ file: null });
+        await store.create({ repository: 'acme/app', results });
+        const other = { rule: 'sqli', severity: 'critical', message: 'Query built from input', line: 1 };
+        await store.update('acme/app', {
+            mode: 'prune',
+            results: [{ filePath: 'src/app.js', result: { issues: [finding, other] } }]
+        });
+
+        assert.deepEqual(await store.fingerprints('acme/app'), new Map([[fingerprint, 1]]));
+    });
+
+    it('serves and keeps stored baselines while the file is still loading', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baselines-'));
+        try {
+            const file = path.join(dir, 'baselines.json');
+            await new BaselineStore({ file }).create({ tenant: 'acme', repository: 'acme/app', results });
+
+            const store = new BaselineStore({ file });
+            const [accepted] = await Promise.all([
+                store.fingerprints('acme/app', { tenant: 'acme' }),
+                store.create({ tenant: 'acme', repository: 'acme/api', results: [] })
+            ]);
+
+            assert.deepEqual(accepted, new Map([[fingerprint, 2]]));
+            const reloaded = await new BaselineStore({ file }).list({ tenant: 'acme' });
+            assert.deepEqual(reloaded.map(baseline => baseline.repository).sort(), ['acme/api', 'acme/app']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
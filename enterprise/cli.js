@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { QualityGateEvaluator, normalizeResults } = require('./quality-gates.js');
+const { getFormatter, listFormats } = require('./report-formatters.js');
+const { hashPassword } = require('./dashboard-auth.js');
+const { applySuppressions, parseSuppressionFile } = require('./suppressions.js');
+const { collectFindings, baselineCounts } = require('./baselines.js');
+const { DiffAnalyzer } = require('./diff-analysis.js');
+const { parseUnifiedDiff } = require('./diff-parser.js');
+const { isAnalyzableFile } = require('./source-files.js');
+const { FileWalker, analyzeFiles } = require('./file-walker.js');
+const { RuleRegistry } = require('./rule-plugins.js');
+const { getConfigLoader } = require('./config-loader.js');
+
+const USAGE = `Usage: node enterprise/cli.js <command> [options]
+
+Commands:
+  gates <result.json...>    Evaluate quality gates for engine results or reports
+      --branch <name>       Branch used to select gate overrides
+      --format <text|json>  Output format (default: text)
+  report <result.json...>   Render results as sarif, junit, markdown or html
+      --format <name>       Report format (required)
+      --output <file>       Write to a file instead of stdout
+      --branch <name>       Branch used to select gate overrides
+  diff                      Analyze only the lines changed between two refs
+      --base <ref>          Base ref (required unless --patch is given)
+      --head <ref>          Head ref (default: HEAD)
+      --repo <path>         Git repository (default: current directory)
+      --patch <file>        Analyze a unified diff instead of git refs
+      --base-dir <dir>      Contents before the patch (default: current directory)
+      --format <text|json>  Output format (default: text)
+  scan [dir]                Analyze every selected file in a directory
+      --ref <ref>           Scan this git ref's tree instead of the working tree
+      --include <globs>     Comma-separated globs files must match
+      --exclude <globs>     Comma-separated globs to skip, on top of the defaults
+      --no-gitignore        Do not skip .gitignored files
+      --format <text|ndjson> Output format (default: text)
+  rules                     List the plugin rules active for a repository
+      --repository <name>   Repository whose enabled rules to list
+      --format <text|json>  Output format (default: text)
+  baseline <result.json...> Snapshot current findings as a baseline file
+      --repository <name>   Repository the baseline belongs to (required)
+      --output <file>       Write to a file instead of stdout
+
+  diff and scan run the plugin rules enabled for --repository and apply the
+  repository's .codesaviour file.
+  Set CODESAVIOUR_CONFIG to read settings from a JSON or YAML file.
+  gates, report, diff and scan also accept:
+      --baseline <file>     Only report findings missing from this baseline
+      --suppressions <file> Suppression file with reasons and expiry dates
+      --repository <name>   Repository used to fingerprint findings
+  hash-password <password>  Print a passwordHash for dashboard.auth.users
+
+Exit codes: 0 passed, 1 gate failed, 2 usage or input error`;
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            args[name] = next && !next.startsWith('--') ? argv[++i] : true;
+        } else {
+            args._.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createEvaluator(settings = getConfigLoader().config) {
+    return new QualityGateEvaluator({
+        gates: settings.cicd.qualityGates,
+        overrides: settings.cicd.qualityGateOverrides
+    });
+}
+
+// A baseline file is either the CLI's own output or a saved API response
+function filterResults(results, args) {
+    if (!args.baseline && !args.suppressions) {
+        return results;
+    }
+
+    const data = args.baseline ? readJson(args.baseline) : null;
+    const baseline = data && (data.data || data);
+    const repository = args.repository || baseline?.repository;
+    const fingerprints = baseline ? baselineCounts(baseline) : null;
+    const entries = args.suppressions ? parseSuppressionFile(fs.readFileSync(args.suppressions, 'utf8')) : [];
+
+    return normalizeResults(results).map(file => ({
+        filePath: file.filePath,
+        result: applySuppressions(file.result, { filePath: file.filePath, repository, entries, baseline: fingerprints })
+    }));
+}
+
+function runGates(args) {
+    const files = args._.slice(1);
+    if (files.length === 0) {
+        throw new Error('gates requires at least one result file');
+    }
+
+    const verdict = createEvaluator().evaluate(filterResults(files.map(readJson), args), { branch: args.branch });
+
+    if (args.format === 'json') {
+        console.log(JSON.stringify(verdict, null, 2));
+    } else {
+        for (const gate of verdict.gates) {
+            console.log(`${gate.passed ? '✅' : '❌'} ${gate.reason}`);
+        }
+        console.log(verdict.passed ? '\nQuality gate passed' : '\nQuality gate failed');
+    }
+
+    return verdict.passed ? 0 : 1;
+}
+
+function runReport(args) {
+    const files = args._.slice(1);
+    if (files.length === 0) {
+        throw new Error('report requires at least one result file');
+    }
+
+    const formatter = getFormatter(args.format);
+    if (!formatter) {
+        throw new Error(`--format must be one of: ${listFormats().filter(f => f !== 'json').join(', ')}`);
+    }
+
+    const results = normalizeResults(filterResults(files.map(readJson), args));
+    const report = {
+        createdAt: new Date().toISOString(),
+        results,
+        qualityGate: createEvaluator().evaluate(results, { branch: args.branch })
+    };
+    const output = formatter.format(report);
+
+    if (args.output) {
+        fs.writeFileSync(args.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+// The engine is loaded on demand so the other commands work without it.
+// Findings from the repository's plugin rules are added like the API does.
+function createAnalyzer(args, overrides) {
+    const { CodeSaviourEngine } = require('../codesaviour-engine.js');
+    const engine = new CodeSaviourEngine();
+    const rules = new RuleRegistry(getConfigLoader().config.rules);
+    return async (code, filePath) => rules.apply(await engine.analyzeCode(code, filePath),
+        { code, filePath, repository: args.repository, enabled: overrides?.rules?.enabled });
+}
+
+function splitList(value) {
+    return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+async function runDiff(args) {
+    const { config: settings, overrides } = getConfigLoader()
+        .forRepository(path.resolve(args.patch ? args['base-dir'] || '.' : args.repo || '.'));
+    const analyzer = new DiffAnalyzer({ analyze: createAnalyzer(args, overrides) });
+
+    let files;
+    if (args.patch) {
+        const diff = fs.readFileSync(args.patch, 'utf8');
+        const baseDir = args['base-dir'] || process.cwd();
+        const baseFiles = {};
+        for (const file of parseUnifiedDiff(diff)) {
+            if (file.oldPath && file.newPath && isAnalyzableFile(file.newPath)) {
+                baseFiles[file.oldPath] = fs.readFileSync(path.join(baseDir, file.oldPath), 'utf8');
+            }
+        }
+        files = await analyzer.analyzePatch(diff, { baseFiles });
+    } else {
+        if (!args.base) {
+            throw new Error('diff requires --base <ref> or --patch <file>');
+        }
+        files = await analyzer.analyzeGit({ repositoryPath: args.repo || process.cwd(), base: args.base, head: args.head || 'HEAD' });
+    }
+
+    const results = filterResults(files.map(file => ({ filePath: file.filePath, result: file.result })), args);
+    const verdict = createEvaluator(settings).evaluate(results, { branch: args.branch });
+
+    if (args.format === 'json') {
+        console.log(JSON.stringify({ files: results, qualityGate: verdict }, null, 2));
+    } else {
+        for (const file of normalizeResults(results)) {
+            for (const issue of file.result.issues || []) {
+                console.log(`${file.filePath}:${issue.line} ${issue.severity} ${issue.rule || issue.type} ${issue.message}`);
+            }
+        }
+        console.log(verdict.passed ? '\nQuality gate passed' : `\nQuality gate failed: ${verdict.failures.join('; ')}`);
+    }
+
+    return verdict.passed ? 0 : 1;
+}
+
+// Uses the API's file selection settings so CLI and server scans agree
+async function runScan(args) {
+    const root = path.resolve(args._[1] || '.');
+    const { config: settings, overrides } = getConfigLoader().forRepository(root);
+    const analyze = createAnalyzer(args, overrides);
+    const walker = new FileWalker({
+        include: splitList(args.include),
+        exclude: [...settings.api.scan.exclude, ...splitList(args.exclude)],
+        gitignore: !args['no-gitignore'],
+        maxFileSize: settings.api.scan.maxFileSize
+    });
+
+    const results = [];
+    let failed = 0;
+    let truncated = false;
+    const events = analyzeFiles(walker.walk(root, { ref: args.ref }), analyze, { maxFiles: settings.api.scan.maxFiles });
+
+    for await (const event of events) {
+        if (event.type === 'file') {
+            results.push({ filePath: event.filePath, result: event.result });
+        } else if (event.type === 'error') {
+            failed++;
+        } else if (event.type === 'truncated') {
+            truncated = true;
+        }
+        if (args.format === 'ndjson') {
+            console.log(JSON.stringify(event));
+        } else if (event.type === 'error') {
+            console.error(`${event.filePath}: ${event.error}`);
+        } else if (event.type === 'truncated') {
+            console.error(`Stopped after ${event.maxFiles} files`);
+        }
+    }
+
+    const filtered = filterResults(results, args);
+    const verdict = createEvaluator(settings).evaluate(filtered, { branch: args.branch, incomplete: { failed, truncated } });
+
+    if (args.format === 'ndjson') {
+        console.log(JSON.stringify({ type: 'summary', analyzed: results.length, failed, truncated, qualityGate: verdict }));
+    } else {
+        for (const file of normalizeResults(filtered)) {
+            for (const issue of file.result.issues || []) {
+                console.log(`${file.filePath}:${issue.line || '-'} ${issue.severity} ${issue.rule || issue.type} ${issue.message}`);
+            }
+        }
+        console.log(`\nAnalyzed ${results.length} files`);
+        console.log(verdict.passed ? 'Quality gate passed' : `Quality gate failed: ${verdict.failures.join('; ')}`);
+    }
+
+    return verdict.passed ? 0 : 1;
+}
+
+function runRules(args) {
+    const registry = new RuleRegistry(getConfigLoader().config.rules);
+    const rules = registry.describe(args.repository);
+
+    if (args.format === 'json') {
+        console.log(JSON.stringify({ rules, errors: registry.errors }, null, 2));
+    } else {
+        for (const rule of rules) {
+            console.log(`${rule.id} ${rule.severity} ${rule.category}${rule.fixable ? ' (fixable)' : ''}`
+                + `${rule.description ? ` - ${rule.description}` : ''}`);
+        }
+        console.log(`\n${rules.length} active rules`);
+    }
+
+    return registry.errors.length > 0 ? 2 : 0;
+}
+
+function runBaseline(args) {
+    const files = args._.slice(1);
+    if (files.length === 0 || !args.repository) {
+        throw new Error('baseline requires --repository and at least one result file');
+    }
+
+    const baseline = {
+        repository: args.repository,
+        createdAt: new Date().toISOString(),
+        findings: collectFindings(files.map(readJson), args.repository)
+    };
+    const output = JSON.stringify(baseline, null, 2);
+
+    if (args.output) {
+        fs.writeFileSync(args.output, output);
+    } else {
+        console.log(output);
+    }
+    return 0;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    try {
+        switch (args._[0]) {
+            case 'gates':
+                return runGates(args);
+            case 'report':
+                return runReport(args);
+            case 'baseline':
+                return runBaseline(args);
+            case 'rules':
+                return runRules(args);
+            case 'diff':
+                return await runDiff(args);
+            case 'scan':
+                return await runScan(args);
+            case 'hash-password':
+                if (!args._[1]) {
+                    throw new Error('hash-password requires a password');
+                }
+                console.log(hashPassword(args._[1]));
+                return 0;
+            default:
+                console.error(USAGE);
+                return 2;
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 2;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,204 @@
+// Built-in defaults, the first configuration layer. config-schema.js
+// describes each setting and the environment variable that overrides it.
+module.exports = {
+    // CI/CD Configuration
+    cicd: {
+        qualityGates: {
+            minQualityScore: 80,
+            minSecurityScore: 90,
+            minPerformanceScore: 85,
+            maxCriticalIssues: 0,
+            maxHighIssues: 5
+        },
+        // e.g. { branches: ['release/*'], paths: ['legacy/**'], gates: { maxHighIssues: 20 } }
+        qualityGateOverrides: [],
+        // Findings accepted per repository; only newer findings are reported and gated
+        baselines: {
+            storeFile: 'data/baselines.json'
+        },
+        // [{ rule, paths, fingerprint, repository, reason, expires }], re-read when changed
+        suppressions: {
+            file: '.codesaviour-suppressions.json'
+        },
+        notifications: {
+            slack: {
+                webhook: null,
+                channel: '#codesaviour-alerts'
+            },
+            email: {
+                smtp: null, // host:port or smtp[s]://user:pass@host:port
+                username: null,
+                password: null,
+                from: null,
+                recipients: [],
+                // Send credentials even when the server offers no TLS
+                allowInsecureAuth: false
+            },
+            pagerduty: {
+                routingKey: null,
+                url: 'https://events.pagerduty.com/v2/enqueue'
+            },
+            webhook: {
+                url: null,
+                secret: null
+            },
+            // Matching routes are combined; null uses the defaults in notifier.js
+            routes: null,
+            retry: {
+                attempts: 3,
+                backoff: 1000 // ms, doubled per attempt
+            },
+            // ms to wait for Slack, PagerDuty and webhook receivers
+            timeout: 10000
+        }
+    },
+
+    // Performance Monitoring
+    monitoring: {
+        thresholds: {
+            analysisTime: 5000, // ms
+            memoryUsage: 512 * 1024 * 1024, // 512MB
+            cpuUsage: 80, // %
+            throughput: 1000 // chars/ms
+        },
+        // Declarative alert rules (see alert-rules.js); null derives the
+        // default rules from the thresholds above
+        alertRules: null,
+        retention: {
+            metrics: 30 * 24 * 60 * 60 * 1000, // 30 days
+            alerts: 90 * 24 * 60 * 60 * 1000, // 90 days
+            reports: 365 * 24 * 60 * 60 * 1000, // 1 year
+            silences: 30 * 24 * 60 * 60 * 1000 // 30 days after a silence ends
+        },
+        store: {
+            type: 'file', // file, memory
+            directory: 'data/metrics'
+        },
+        prometheus: {
+            token: null // optional bearer token for /metrics
+        },
+        otlp: {
+            enabled: null, // null: enabled when an endpoint is set
+            endpoint: null,
+            headers: null,
+            serviceName: 'codesaviour',
+            interval: 15000,
+            timeout: 10000 // ms per export request
+        }
+    },
+
+    // API Configuration
+    api: {
+        port: 8080,
+        bodyLimit: '10mb',
+        rateLimit: {
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 100 // requests per window
+        },
+        cors: {
+            origin: ['*']
+        },
+        auth: {
+            enabled: false,
+            jwtSecret: null,
+            bootstrapKey: null, // admin key for creating the first tenant keys
+            keyStoreFile: 'data/api-keys.json',
+            // Failed authentications allowed per client IP and window
+            failedAttempts: {
+                windowMs: 15 * 60 * 1000,
+                max: 20
+            },
+            // Per-tenant defaults, e.g. { 'team-a': { rateLimit: 500, dailyQuota: 10000 } }
+            tenants: {}
+        },
+        // Directories whose local repositories the diff and repository scan
+        // endpoints may read; empty disables reading local paths
+        repositoryRoots: [],
+        diff: {
+            maxFiles: 200
+        },
+        scan: {
+            maxFiles: 5000,
+            maxFileSize: 1024 * 1024, // bytes; larger files are skipped
+            exclude: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**']
+        },
+        jobs: {
+            concurrency: 4,
+            maxRetained: 500 // finished jobs kept in memory
+        },
+        // Analysis results keyed by content hash, engine version and options
+        cache: {
+            enabled: true,
+            type: 'memory', // 'memory' or 'file'
+            directory: 'data/cache/analysis',
+            maxEntries: 5000,
+            ttl: 7 * 24 * 60 * 60 * 1000 // 7 days
+        }
+    },
+
+    // JSON logs on stdout (warnings and errors on stderr)
+    logging: {
+        level: 'info' // debug, info, warn, error or silent
+    },
+
+    // Hash-chained record of analyses, fixes, webhooks and admin actions
+    audit: {
+        file: 'data/audit.jsonl', // null keeps the log in memory
+        key: null, // HMAC key for the hash chain; without one entries are plain SHA-256
+        retention: 365 * 24 * 60 * 60 * 1000 // 1 year
+    },
+
+    // Custom rule plugins, loaded from a directory and from npm packages
+    rules: {
+        directory: null,
+        packages: [],
+        // Rule id globs, e.g. 'acme/*'; `repositories` replaces the list per repository
+        enabled: ['**'],
+        repositories: {} // e.g. { 'acme/legacy-app': ['acme/require-header'] }
+    },
+
+    // Dashboard Configuration
+    dashboard: {
+        port: 3000,
+        auth: {
+            enabled: false,
+            secret: 'change-me',
+            sessionTtl: 8 * 60 * 60, // seconds
+            // Failed logins allowed per client IP and window
+            loginRateLimit: {
+                windowMs: 15 * 60 * 1000,
+                max: 10
+            },
+            // { username, role: 'viewer' | 'operator', tenant?, passwordHash } from `cli.js hash-password`
+            users: []
+        }
+    },
+
+    // Integration Settings
+    integrations: {
+        github: {
+            apiUrl: 'https://api.github.com',
+            token: null,
+            webhookSecret: null,
+            changedLinesOnly: true, // gate and comment on changed lines only
+            timeout: 10000 // ms to wait for each API request
+        },
+        gitlab: {
+            url: 'https://gitlab.com',
+            token: null,
+            webhookSecret: null,
+            changedLinesOnly: true,
+            timeout: 10000
+        },
+        jira: {
+            url: null,
+            username: null,
+            token: null,
+            projectKey: null,
+            issueType: 'Bug',
+            severities: ['critical', 'high'],
+            resolveTransition: 'Done',
+            timeout: 10000
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigLoader, ConfigError } = require('./config-loader.js');
+const { ValidationError } = require('./errors.js');
+const { logger } = require('./logger.js');
+const defaults = require('./config-defaults.js');
+
+function loadError(options) {
+    try {
+        new ConfigLoader({ file: null, env: {}, ...options }).load();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected the configuration to be rejected');
+}
+
+function withConfigFile(name, content, fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        try {
+            await fn(file);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+describe('ConfigLoader validation', () => {
+    it('loads the defaults without a file or environment', () => {
+        const config = new ConfigLoader({ file: null, env: {} }).load();
+        assert.equal(config.api.port, defaults.api.port);
+    });
+
+    it('converts environment variables to the setting type', () => {
+        const config = new ConfigLoader({ file: null, env: { API_PORT: '8088', API_AUTH: 'yes', ALLOWED_ORIGINS: 'a.test, b.test' } }).load();
+        assert.equal(config.api.port, 8088);
+        assert.equal(config.api.auth.enabled, true);
+        assert.deepEqual(config.api.cors.origin, ['a.test', 'b.test']);
+    });
+
+    it('names the environment variable behind an invalid value', () => {
+        const cases = [
+            [{ API_PORT: 'abc' }, 'api.port: must be an integer (from API_PORT)'],
+            [{ API_PORT: '70000' }, 'api.port: must be between 0 and 65535 (from API_PORT)'],
+            [{ API_AUTH: 'maybe' }, 'api.auth.enabled: must be true or false (from API_AUTH)'],
+            [{ METRICS_STORE: 'redis' }, 'monitoring.store.type: must be one of file, memory (from METRICS_STORE)']
+        ];
+        for (const [env, problem] of cases) {
+            const error = loadError({ env });
+            assert.ok(error instanceof ConfigError);
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.status, 400);
+            assert.equal(error.code, 'invalid_config');
+            assert.equal(error.message, `Invalid configuration:\n  - ${problem}`);
+        }
+    });
+
+    it('reports every problem in a YAML file against the file', withConfigFile('codesaviour.yaml',
+        'api:\n  port: 8080\n  colour: red\n  rateLimit:\n    max: 0\n', file => {
+            const error = loadError({ file });
+            assert.equal(error.message, [
+                'Invalid configuration:',
+                `  - api.colour: unknown setting (from ${file})`,
+                `  - api.rateLimit.max: must be at least 1 (from ${file})`
+            ].join('\n'));
+        }));
+
+    it('rejects unreadable and unparsable files', withConfigFile('codesaviour.json', '{ "api": ', file => {
+        assert.match(loadError({ file }).message, /\(root\): cannot parse: .* \(from .*codesaviour\.json\)/);
+        assert.match(loadError({ file: `${file}.missing` }).message, /\(root\): cannot read file: ENOENT/);
+    }));
+
+    it('records where settings came from and redacts secrets', withConfigFile('codesaviour.json',
+        JSON.stringify({ api: { port: 8080 } }), file => {
+            const loader = new ConfigLoader({ file, env: { SLACK_WEBHOOK_URL: 'https://hooks.example/T000/secret' } });
+            loader.load();
+            const described = loader.describe();
+
+            assert.deepEqual(described.sources, { 'api.port': 'file', 'cicd.notifications.slack.webhook': 'env:SLACK_WEBHOOK_URL' });
+            assert.equal(described.config.cicd.notifications.slack.webhook, '[redacted]');
+            assert.equal(loader.config.cicd.notifications.slack.webhook, 'https://hooks.example/T000/secret');
+        }));
+
+    it('applies reloadable settings and lists the rest as needing a restart', withConfigFile('codesaviour.json',
+        JSON.stringify({ api: { port: 8080 } }), file => {
+            const loader = new ConfigLoader({ file, env: {} });
+            const config = loader.load();
+            fs.writeFileSync(file, JSON.stringify({ api: { port: 8081, rateLimit: { max: 7 } } }));
+
+            const level = logger.root.level;
+            logger.configure({ level: 'silent' });
+            try {
+                assert.deepEqual(loader.reload(), { changed: ['api.rateLimit.max'], restartRequired: ['api.port'] });
+            } finally {
+                logger.configure({ level });
+            }
+            assert.equal(loader.config, config);
+            assert.equal(config.api.rateLimit.max, 7);
+            assert.equal(config.api.port, 8080);
+        }));
+
+    it('keeps the running configuration when a reload is invalid', withConfigFile('codesaviour.json',
+        JSON.stringify({ api: { port: 8080 } }), file => {
+            const loader = new ConfigLoader({ file, env: {} });
+            loader.load();
+            fs.writeFileSync(file, JSON.stringify({ api: { port: 'http' } }));
+
+            assert.throws(() => loader.reload(), ConfigError);
+            assert.equal(loader.config.api.port, 8080);
+        }));
+});
+
+describe('config.js', () => {
+    it('throws an invalid configuration to the requiring entry point instead of exiting', withConfigFile('codesaviour.json',
+        '{ "api": { "port": "abc" } }', file => {
+            const script = `try { require(${JSON.stringify(path.join(__dirname, 'config.js'))}); }
+                catch (error) { console.log(error.code); process.exitCode = 3; }`;
+            const child = spawnSync(process.execPath, ['-e', script], {
+                env: { ...process.env, CODESAVIOUR_CONFIG: file },
+                encoding: 'utf8',
+                timeout: 30000
+            });
+
+            assert.equal(child.status, 3);
+            assert.equal(child.stdout.trim(), 'invalid_config');
+        }));
+});
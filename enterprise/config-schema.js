@@ -0,0 +1,214 @@
+const { GATE_DEFINITIONS } = require('./quality-gates.js');
+const { validateRule } = require('./alert-rules.js');
+const { LEVELS } = require('./logger.js');
+
+// Every setting the loader accepts. Besides its type a setting can carry:
+//   env         variable(s) that override it; the first one set wins
+//   secret      value is redacted when the configuration is shown
+//   reloadable  applied by a hot reload without restarting
+//   repository  may be set by a repository's `.codesaviour` file
+//   check       function that throws when the value is invalid
+// Flags on an object apply to everything inside it.
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', min: 0, ...extra });
+const number = (extra = {}) => ({ type: 'number', min: 0, ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const map = (values, extra = {}) => ({ type: 'map', values, ...extra });
+const any = (extra = {}) => ({ type: 'any', ...extra });
+const nullable = node => ({ ...node, nullable: true });
+
+const gates = map(number(), { keys: Object.keys(GATE_DEFINITIONS) });
+
+const schema = object({
+    cicd: object({
+        qualityGates: { ...gates, reloadable: true, repository: true },
+        qualityGateOverrides: array(object({
+            branches: nullable(array(string())),
+            paths: nullable(array(string())),
+            gates
+        }), { reloadable: true, repository: true }),
+        baselines: object({
+            storeFile: nullable(string({ env: 'BASELINE_STORE' }))
+        }),
+        suppressions: object({
+            file: string({ env: 'SUPPRESSIONS_FILE' })
+        }),
+        notifications: object({
+            slack: object({
+                webhook: nullable(string({ env: 'SLACK_WEBHOOK_URL', secret: true })),
+                channel: nullable(string())
+            }),
+            email: object({
+                smtp: nullable(string({ env: 'SMTP_SERVER' })),
+                username: nullable(string({ env: 'SMTP_USERNAME' })),
+                password: nullable(string({ env: 'SMTP_PASSWORD', secret: true })),
+                from: nullable(string({ env: 'ALERT_SENDER' })),
+                recipients: array(string(), { env: 'ALERT_RECIPIENTS' }),
+                secure: nullable(boolean()),
+                allowInsecureAuth: boolean({ env: 'SMTP_ALLOW_INSECURE_AUTH' }),
+                tls: nullable(any())
+            }),
+            pagerduty: object({
+                routingKey: nullable(string({ env: ['PAGERDUTY_ROUTING_KEY', 'PAGERDUTY_API_KEY'], secret: true })),
+                url: string({ env: 'PAGERDUTY_EVENTS_URL' }),
+                source: nullable(string())
+            }),
+            webhook: object({
+                url: nullable(string({ env: 'ALERT_WEBHOOK_URL' })),
+                secret: nullable(string({ env: 'ALERT_WEBHOOK_SECRET', secret: true }))
+            }),
+            routes: nullable(array(any())),
+            retry: object({
+                attempts: integer({ min: 1 }),
+                backoff: integer()
+            }),
+            timeout: integer({ env: 'NOTIFICATION_TIMEOUT', min: 1 }),
+            maxDeliveries: nullable(integer({ min: 1 }))
+        })
+    }),
+
+    monitoring: object({
+        thresholds: object({
+            analysisTime: number(),
+            memoryUsage: number(),
+            cpuUsage: number({ max: 100 }),
+            throughput: number()
+        }, { reloadable: true }),
+        alertRules: nullable(array(any({ check: validateRule }), { reloadable: true })),
+        retention: object({
+            metrics: integer(),
+            alerts: integer(),
+            reports: integer(),
+            silences: integer()
+        }),
+        store: object({
+            type: string({ env: 'METRICS_STORE', enum: ['file', 'memory'] }),
+            directory: string({ env: 'METRICS_DIR' })
+        }),
+        prometheus: object({
+            token: nullable(string({ env: 'METRICS_TOKEN', secret: true }))
+        }),
+        otlp: object({
+            enabled: nullable(boolean({ env: 'OTEL_EXPORTER_OTLP_ENABLED' })),
+            endpoint: nullable(string({ env: 'OTEL_EXPORTER_OTLP_ENDPOINT' })),
+            headers: nullable(string({ env: 'OTEL_EXPORTER_OTLP_HEADERS', secret: true })),
+            serviceName: string({ env: 'OTEL_SERVICE_NAME' }),
+            interval: integer({ min: 1000 }),
+            timeout: integer({ env: 'OTEL_EXPORTER_OTLP_TIMEOUT', min: 1 })
+        })
+    }),
+
+    api: object({
+        port: integer({ env: 'API_PORT', max: 65535 }),
+        bodyLimit: string(),
+        rateLimit: object({
+            windowMs: integer({ min: 1000 }),
+            max: integer({ min: 1, reloadable: true })
+        }),
+        cors: object({
+            origin: array(string(), { env: 'ALLOWED_ORIGINS' })
+        }),
+        auth: object({
+            enabled: boolean({ env: 'API_AUTH' }),
+            jwtSecret: nullable(string({ env: 'API_JWT_SECRET', secret: true })),
+            bootstrapKey: nullable(string({ env: 'API_ADMIN_KEY', secret: true })),
+            keyStoreFile: nullable(string({ env: 'API_KEY_STORE' })),
+            failedAttempts: object({
+                windowMs: integer({ min: 1000 }),
+                max: integer({ min: 1 })
+            }),
+            tenants: map(object({
+                rateLimit: nullable(integer({ min: 1 })),
+                dailyQuota: nullable(integer({ min: 1 }))
+            }))
+        }),
+        repositoryRoots: array(string(), { env: 'REPOSITORY_ROOTS' }),
+        diff: object({
+            maxFiles: integer({ min: 1 })
+        }),
+        scan: object({
+            maxFiles: integer({ min: 1 }),
+            maxFileSize: integer({ min: 1, repository: true }),
+            exclude: array(string(), { repository: true })
+        }),
+        jobs: object({
+            concurrency: integer({ env: 'API_JOB_CONCURRENCY', min: 1 }),
+            maxRetained: integer()
+        }),
+        cache: object({
+            enabled: boolean({ env: 'ANALYSIS_CACHE' }),
+            type: string({ env: 'ANALYSIS_CACHE_TYPE', enum: ['memory', 'file'] }),
+            directory: string({ env: 'ANALYSIS_CACHE_DIR' }),
+            maxEntries: integer({ min: 1 }),
+            ttl: integer()
+        })
+    }),
+
+    logging: object({
+        level: string({ env: 'LOG_LEVEL', enum: Object.keys(LEVELS), reloadable: true })
+    }),
+
+    audit: object({
+        file: nullable(string({ env: 'AUDIT_LOG_FILE' })),
+        key: nullable(string({ env: 'AUDIT_LOG_KEY', secret: true })),
+        retention: integer()
+    }),
+
+    rules: object({
+        directory: nullable(string({ env: 'RULE_PLUGIN_DIR' })),
+        packages: array(string(), { env: 'RULE_PLUGIN_PACKAGES' }),
+        enabled: array(string(), { reloadable: true, repository: true }),
+        repositories: map(array(string()), { reloadable: true })
+    }),
+
+    dashboard: object({
+        port: integer({ env: 'DASHBOARD_PORT', max: 65535 }),
+        auth: object({
+            enabled: boolean({ env: 'DASHBOARD_AUTH' }),
+            secret: string({ env: 'DASHBOARD_SECRET', secret: true }),
+            sessionTtl: integer({ min: 60 }),
+            loginRateLimit: object({
+                windowMs: integer({ min: 1000 }),
+                max: integer({ min: 1 })
+            }),
+            users: array(object({
+                username: string(),
+                role: string({ enum: ['viewer', 'operator'] }),
+                tenant: nullable(string()),
+                passwordHash: string({ secret: true })
+            }), { env: 'DASHBOARD_USERS', json: true })
+        })
+    }),
+
+    integrations: object({
+        github: object({
+            apiUrl: string({ env: 'GITHUB_API_URL' }),
+            token: nullable(string({ env: 'GITHUB_TOKEN', secret: true })),
+            webhookSecret: nullable(string({ env: 'GITHUB_WEBHOOK_SECRET', secret: true })),
+            changedLinesOnly: boolean(),
+            timeout: integer({ env: 'GITHUB_TIMEOUT', min: 1 })
+        }),
+        gitlab: object({
+            url: string({ env: 'GITLAB_URL' }),
+            token: nullable(string({ env: 'GITLAB_TOKEN', secret: true })),
+            webhookSecret: nullable(string({ env: 'GITLAB_WEBHOOK_SECRET', secret: true })),
+            changedLinesOnly: boolean(),
+            timeout: integer({ env: 'GITLAB_TIMEOUT', min: 1 })
+        }),
+        jira: object({
+            url: nullable(string({ env: 'JIRA_URL' })),
+            username: nullable(string({ env: 'JIRA_USERNAME' })),
+            token: nullable(string({ env: 'JIRA_TOKEN', secret: true })),
+            projectKey: nullable(string({ env: 'JIRA_PROJECT_KEY' })),
+            issueType: string(),
+            severities: array(string({ enum: ['critical', 'high', 'medium', 'low', 'info'] })),
+            resolveTransition: string(),
+            timeout: integer({ env: 'JIRA_TIMEOUT', min: 1 })
+        })
+    })
+});
+
+module.exports = schema;
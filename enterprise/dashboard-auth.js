@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens.js');
+const { AuthenticationError, ForbiddenError, sendError } = require('./errors.js');
+
+const SESSION_COOKIE = 'cs_session';
+const ROLE_LEVELS = { viewer: 1, operator: 2 };
+const DEFAULT_SECRET = 'change-me';
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+// Sessions are HS256 tokens signed with `dashboard.auth.secret`, sent as an
+// HttpOnly cookie for the browser UI or as a bearer token for scripts. A
+// user's `tenant` limits the reports they see; users without one see all.
+class DashboardAuth {
+    constructor(options = {}) {
+        this.enabled = Boolean(options.enabled);
+        this.secret = options.secret;
+        this.users = options.users || [];
+        this.sessionTtl = options.sessionTtl || 8 * 60 * 60; // seconds
+
+        if (this.enabled && (!this.secret || this.secret === DEFAULT_SECRET)) {
+            throw new Error('Dashboard auth is enabled but dashboard.auth.secret is unset or still the default; set DASHBOARD_SECRET');
+        }
+    }
+
+    login(username, password) {
+        const user = this.users.find(u => u.username === username);
+        // Hash anyway for unknown users so timing does not reveal valid names
+        const valid = verifyPassword(password || '', user ? user.passwordHash : hashPassword('', 'unknown-user'));
+        if (!user || !valid || !ROLE_LEVELS[user.role]) {
+            return null;
+        }
+
+        const session = { sub: user.username, role: user.role, tenant: user.tenant || null };
+        return {
+            user: session,
+            token: signToken(session, this.secret, { expiresIn: this.sessionTtl })
+        };
+    }
+
+    // Returns `{ sub, role, tenant }` for a valid session and null otherwise.
+    resolveSession(headers) {
+        if (!this.enabled) {
+            return { sub: 'anonymous', role: 'operator', tenant: null };
+        }
+
+        const authorization = headers['authorization'] || '';
+        const token = authorization.startsWith('Bearer ')
+            ? authorization.slice(7).trim()
+            : parseCookies(headers['cookie'])[SESSION_COOKIE];
+
+        const claims = verifyToken(token, this.secret);
+        return claims && ROLE_LEVELS[claims.role] ? { sub: claims.sub, role: claims.role, tenant: claims.tenant || null } : null;
+    }
+
+    setSessionCookie(req, res, token) {
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: this.sessionTtl * 1000
+        });
+    }
+
+    clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE);
+    }
+
+    // Page requests without a session are sent to `loginPage` when given;
+    // API requests get a 401
+    authenticate({ loginPage } = {}) {
+        return (req, res, next) => {
+            req.user = this.resolveSession(req.headers);
+            if (req.user) {
+                return next();
+            }
+            if (loginPage && req.method === 'GET' && !req.path.startsWith('/api/')) {
+                return res.redirect(loginPage);
+            }
+
+            sendError(res, new AuthenticationError('Login required'));
+        };
+    }
+
+    requireRole(role) {
+        return (req, res, next) => {
+            if (req.user && ROLE_LEVELS[req.user.role] >= ROLE_LEVELS[role]) {
+                return next();
+            }
+
+            sendError(res, new ForbiddenError(`The '${role}' role is required`));
+        };
+    }
+
+    // socket.io middleware: browsers send the session cookie with the
+    // handshake, other clients pass `auth: { token }`.
+    authenticateSocket() {
+        return (socket, next) => {
+            const headers = { ...socket.handshake.headers };
+            if (socket.handshake.auth?.token) {
+                headers['authorization'] = `Bearer ${socket.handshake.auth.token}`;
+            }
+
+            const user = this.resolveSession(headers);
+            if (!user) {
+                return next(new Error('Login required'));
+            }
+
+            socket.data.user = user;
+            next();
+        };
+    }
+}
+
+module.exports = {
+    DashboardAuth,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DashboardAuth, hashPassword } = require('./dashboard-auth.js');
+
+const auth = new DashboardAuth({
+    enabled: true,
+    secret: 'dashboard-secret',
+    users: [
+        { username: 'ann', role: 'viewer', tenant: 'acme', passwordHash: hashPassword('pw') },
+        { username: 'root', role: 'operator', passwordHash: hashPassword('pw') }
+    ]
+});
+
+function run(middleware, req) {
+    const res = {
+        statusCode: 200,
+        redirect(location) {
+            this.location = location;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+        }
+    };
+    let passed = false;
+    middleware({ method: 'GET', headers: {}, ...req }, res, () => {
+        passed = true;
+    });
+    return { passed, res };
+}
+
+describe('DashboardAuth', () => {
+    it('carries the user\'s tenant in the session', () => {
+        const { token } = auth.login('ann', 'pw');
+        assert.deepEqual(auth.resolveSession({ authorization: `Bearer ${token}` }), { sub: 'ann', role: 'viewer', tenant: 'acme' });
+        assert.equal(auth.resolveSession({ authorization: `Bearer ${auth.login('root', 'pw').token}` }).tenant, null);
+        assert.equal(auth.login('ann', 'wrong'), null);
+    });
+
+    it('sends pages to the login page and API calls a 401', () => {
+        const middleware = auth.authenticate({ loginPage: '/login' });
+        assert.equal(run(middleware, { path: '/app.js' }).res.location, '/login');
+
+        const { passed, res } = run(middleware, { path: '/api/health' });
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+
+        const { token } = auth.login('root', 'pw');
+        assert.equal(run(middleware, { path: '/', headers: { authorization: `Bearer ${token}` } }).passed, true);
+    });
+});
@@ -1,30 +1,92 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const path = require('path');
-const fs = require('fs').promises;
-const { CodeSaviourEngine } = require('../codesaviour-engine.js');
-const PerformanceMonitor = require('./performance-monitor.js');
+const { DashboardAuth } = require('./dashboard-auth.js');
+const { createReport } = require('./report-store.js');
+const { contentHash } = require('./audit-log.js');
+const { createServices } = require('./services.js');
+const TrendEngine = require('./trend-engine.js');
+const { LiveStream } = require('./live-stream.js');
+const { getConfigLoader } = require('./config-loader.js');
+const { ValidationError, AuthenticationError, NotFoundError, RateLimitError, sendError } = require('./errors.js');
+const { logger, requestId, bindContext } = require('./logger.js');
+
+const log = logger.child({ component: 'dashboard' });
 
 class DashboardServer {
     constructor(options = {}) {
         this.app = express();
-        this.port = options.port || 3000;
-        this.engine = new CodeSaviourEngine();
-        this.monitor = new PerformanceMonitor();
+        const configLoader = options.configLoader || getConfigLoader();
+        this.config = options.config || configLoader.config;
+        this.port = options.port ?? this.config.dashboard.port;
+        this.auth = new DashboardAuth(this.config.dashboard.auth);
+        const services = createServices(this.config, { configLoader, ...options });
+        this.engine = services.engine;
+        this.notifier = services.notifier;
+        this.monitor = services.monitor;
+        this.telemetry = services.telemetry;
+        this.reportStore = services.reportStore;
+        this.auditLog = services.auditLog;
+        this.analysis = services.analysis;
+        this.trendEngine = new TrendEngine({ reportStore: this.reportStore });
+        this.jobQueue = options.jobQueue || null;
+        this.setupLiveStream();
         this.setupRoutes();
         this.setupWebSocket();
     }
 
     setupRoutes() {
+        this.app.use(requestId());
+        this.app.use(this.telemetry.middleware('dashboard'));
+        this.app.get('/metrics', this.telemetry.metricsHandler());
+        this.app.use(bindContext(express.json()));
+
+        // Session Routes; failed logins are limited per client IP
+        const loginLimiter = rateLimit({
+            ...this.config.dashboard.auth.loginRateLimit,
+            skipSuccessfulRequests: true,
+            handler: (req, res) => this.handleError(res, new RateLimitError('Too many failed logins, try again later'))
+        });
+        this.app.post('/api/login', loginLimiter, this.login.bind(this));
+        this.app.post('/api/logout', this.logout.bind(this));
+        this.app.get('/login', (req, res) => {
+            res.sendFile(path.join(__dirname, 'dashboard-ui', 'login.html'));
+        });
+
+        // Everything below requires a session, the UI's assets included
+        const operator = this.auth.requireRole('operator');
+        this.app.use(this.auth.authenticate({ loginPage: '/login' }));
+        this.app.get('/api/health', this.getHealth.bind(this));
         this.app.use(express.static(path.join(__dirname, 'dashboard-ui')));
-        this.app.use(express.json());
+        this.app.get('/api/session', (req, res) => res.json({ success: true, data: req.user }));
+        const audit = (action, describe) => this.auditLog.middleware(action, describe);
 
         // API Routes
         this.app.get('/api/metrics', this.getMetrics.bind(this));
         this.app.get('/api/reports', this.getReports.bind(this));
         this.app.get('/api/alerts', this.getAlerts.bind(this));
-        this.app.post('/api/analyze', this.analyzeCode.bind(this));
+        this.app.get('/api/alerts/silences', this.listSilences.bind(this));
+        this.app.post('/api/alerts/silences', audit('alert.silence', req => ({
+            details: { matchers: req.body.matchers, until: req.body.until, duration: req.body.duration, reason: req.body.reason }
+        })), operator, this.createSilence.bind(this));
+        this.app.delete('/api/alerts/silences/:id', audit('alert.unsilence', req => ({
+            details: { silenceId: req.params.id }
+        })), operator, this.deleteSilence.bind(this));
+        this.app.post('/api/alerts/:id/acknowledge', audit('alert.acknowledge', req => ({
+            details: { alertId: req.params.id }
+        })), operator, this.acknowledgeAlert.bind(this));
+        this.app.get('/api/notifications/deliveries', this.listDeliveries.bind(this));
+        this.app.post('/api/notifications/test', operator, this.testNotification.bind(this));
+        this.app.post('/api/analyze', audit('analyze', req => {
+            const target = req.body.filePath || 'api-request';
+            return {
+                target: { paths: [target], repository: req.body.repository },
+                hashes: typeof req.body.code === 'string' ? { [target]: contentHash(req.body.code) } : {},
+                details: { source: 'dashboard' }
+            };
+        }), operator, this.analyzeCode.bind(this));
         this.app.get('/api/trends', this.getTrends.bind(this));
-        this.app.get('/api/health', this.getHealth.bind(this));
+        this.app.get('/api/stream', this.liveStream.sseHandler());
 
         // Dashboard UI
         this.app.get('/', (req, res) => {
@@ -32,88 +94,185 @@ class DashboardServer {
         });
     }
 
+    login(req, res) {
+        const { username, password } = req.body || {};
+        const session = this.auth.login(username, password);
+
+        if (!session) {
+            return this.handleError(res, new AuthenticationError('Invalid username or password'));
+        }
+
+        this.auth.setSessionCookie(req, res, session.token);
+        res.json({ success: true, data: { user: session.user, token: session.token } });
+    }
+
+    logout(req, res) {
+        this.auth.clearSessionCookie(res);
+        res.json({ success: true });
+    }
+
     async getMetrics(req, res) {
         try {
-            const timeRange = req.query.range || '1h';
-            const metrics = this.monitor.getMetrics(timeRange);
+            const { range, from, to, resolution } = req.query;
+            const metrics = await this.monitor.queryMetrics({ range, from, to, resolution });
             res.json({
                 success: true,
-                data: metrics,
-                summary: this.calculateMetricsSummary(metrics)
+                data: metrics.points,
+                resolution: metrics.resolution,
+                range: { from: metrics.from, to: metrics.to },
+                ...(metrics.truncated && { truncated: true }),
+                summary: metrics.summary
             });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            this.handleError(res, error);
         }
     }
 
     async getReports(req, res) {
         try {
-            const reportsDir = path.join(process.cwd(), 'reports');
-            const files = await fs.readdir(reportsDir, { recursive: true });
-            const reports = [];
-
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const filePath = path.join(reportsDir, file);
-                    const content = await fs.readFile(filePath, 'utf8');
-                    reports.push({
-                        filename: file,
-                        data: JSON.parse(content),
-                        modified: (await fs.stat(filePath)).mtime
-                    });
-                }
-            }
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+            const { items, total } = await this.reportStore.list({ limit, offset, tenant: this.tenantScope(req) });
 
-            res.json({ success: true, data: reports });
+            res.json({
+                success: true,
+                data: items.map(report => this.summarizeReport(report)),
+                pagination: { total, limit, offset, hasMore: offset + items.length < total }
+            });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            this.handleError(res, error);
         }
     }
 
+    // Users without a tenant see every tenant's reports
+    tenantScope(req) {
+        return req.user.tenant || undefined;
+    }
+
     async getAlerts(req, res) {
         try {
-            const severity = req.query.severity;
-            let alerts = this.monitor.alerts;
+            const { severity, status, range, from, to } = req.query;
+            let alerts = range || from || to
+                ? await this.monitor.queryAlerts({ range, from, to })
+                : this.monitor.alerts;
             
             if (severity) {
                 alerts = alerts.filter(alert => alert.severity === severity);
             }
+            if (status) {
+                alerts = alerts.filter(alert => alert.status === status);
+            }
 
             res.json({ success: true, data: alerts });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            this.handleError(res, error);
+        }
+    }
+
+    acknowledgeAlert(req, res) {
+        const alert = this.monitor.acknowledgeAlert(req.params.id, req.user.sub);
+        if (!alert) {
+            return this.handleError(res, new NotFoundError('Alert not found'));
+        }
+        res.json({ success: true, data: alert });
+    }
+
+    listSilences(req, res) {
+        res.json({ success: true, data: this.monitor.listSilences() });
+    }
+
+    createSilence(req, res) {
+        try {
+            const { matchers, until, duration, reason } = req.body;
+            const silence = this.monitor.silenceAlerts({ matchers, until, duration, reason, createdBy: req.user.sub });
+            res.status(201).json({ success: true, data: silence });
+        } catch (error) {
+            this.handleError(res, new ValidationError(error.message));
         }
     }
 
+    deleteSilence(req, res) {
+        if (!this.monitor.removeSilence(req.params.id)) {
+            return this.handleError(res, new NotFoundError('Silence not found'));
+        }
+        res.json({ success: true, message: 'Silence removed' });
+    }
+
+    listDeliveries(req, res) {
+        const { alertId, channel, status } = req.query;
+        res.json({
+            success: true,
+            data: {
+                channels: [...this.notifier.channels.keys()],
+                deliveries: this.notifier.listDeliveries({ alertId, channel, status })
+            }
+        });
+    }
+
+    async testNotification(req, res) {
+        const { channel } = req.body;
+        if (!this.notifier.channels.has(channel)) {
+            return this.handleError(res, new ValidationError(`Channel '${channel}' is not configured`));
+        }
+
+        const delivery = await this.notifier.test(channel);
+        res.status(delivery.status === 'delivered' ? 200 : 502).json({
+            success: delivery.status === 'delivered',
+            data: delivery
+        });
+    }
+
+    // Analyzes like the API does, so the cache, rule plugins, suppressions
+    // and baselines apply here too
     async analyzeCode(req, res) {
         try {
-            const { code, filePath } = req.body;
-            const startTime = Date.now();
-            
-            const result = await this.engine.analyzeCode(code, filePath);
-            const analysisTime = Date.now() - startTime;
-            
-            // Record performance metrics
-            this.monitor.recordAnalysis(
-                filePath || 'api-request',
-                analysisTime,
-                code.length,
-                result.issues?.length || 0
-            );
+            const { code, filePath, repository } = req.body;
+            if (typeof code !== 'string' || code.length === 0) {
+                return this.handleError(res, new ValidationError('Code is required'));
+            }
+
+            const { result, analysisTime } = await this.analysis.run(code, filePath, { repository }, {
+                traceparent: req.headers['traceparent'],
+                tenant: req.user.tenant
+            });
+
+            // Keep dashboard analyses in the history trends are computed from
+            const report = await this.reportStore.save(createReport({
+                source: 'dashboard',
+                tenant: req.user.tenant,
+                repository: repository || null,
+                filePaths: [filePath || 'api-request'],
+                options: {},
+                results: [{ filePath: filePath || 'api-request', result }]
+            }));
+            this.publishReport(report);
+            res.locals.audit = { details: { reportId: report.id } };
 
             res.json({ success: true, data: result, analysisTime });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            this.handleError(res, error);
         }
     }
 
     async getTrends(req, res) {
         try {
-            const days = parseInt(req.query.days) || 7;
-            const trends = await this.calculateTrends(days);
+            const days = Math.min(parseInt(req.query.days) || 7, 365);
+            const interval = req.query.interval || 'day';
+
+            if (!['day', 'hour'].includes(interval)) {
+                return this.handleError(res, new ValidationError('interval must be day or hour'));
+            }
+
+            const trends = await this.calculateTrends(days, {
+                interval,
+                repository: req.query.repository,
+                pathPrefix: req.query.pathPrefix,
+                category: req.query.category,
+                prefixDepth: parseInt(req.query.prefixDepth) || 1
+            });
             res.json({ success: true, data: trends });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            this.handleError(res, error);
         }
     }
 
@@ -126,38 +285,73 @@ class DashboardServer {
             version: require('../package.json').version,
             metrics: {
                 totalAnalyses: this.engine.getMetrics().totalAnalyses,
-                activeAlerts: this.monitor.alerts.filter(a => a.severity === 'critical').length
+                activeAlerts: this.monitor.alerts.filter(a => a.status === 'firing' && a.severity === 'critical').length
             }
         };
 
         res.json(health);
     }
 
-    calculateMetricsSummary(metrics) {
-        const analysisMetrics = metrics.filter(m => m.filePath);
-        const systemMetrics = metrics.filter(m => m.memory);
+    async calculateTrends(days, options = {}) {
+        return this.trendEngine.calculate({ days, ...options });
+    }
 
-        return {
-            totalAnalyses: analysisMetrics.length,
-            avgAnalysisTime: analysisMetrics.reduce((sum, m) => sum + m.analysisTime, 0) / analysisMetrics.length || 0,
-            avgThroughput: analysisMetrics.reduce((sum, m) => sum + m.throughput, 0) / analysisMetrics.length || 0,
-            currentMemoryUsage: systemMetrics.length > 0 ? systemMetrics[systemMetrics.length - 1].memory.heapUsed : 0,
-            peakMemoryUsage: Math.max(...systemMetrics.map(m => m.memory.heapUsed), 0)
-        };
+    setupLiveStream() {
+        this.liveStream = new LiveStream();
+        const repoTopic = repository => repository && `repo:${repository}`;
+
+        this.liveStream.bridge(this.monitor, 'analysis_recorded', {
+            as: 'analysis_update',
+            topics: metric => ['analyses', repoTopic(metric.repository)]
+        });
+        for (const event of ['alert_created', 'alert_resolved', 'alert_acknowledged', 'alert_silenced']) {
+            this.liveStream.bridge(this.monitor, event, { as: 'alert_update', topics: () => ['alerts'] });
+        }
+        this.liveStream.bridge(this.monitor, 'report_generated', { as: 'report_update', topics: () => ['reports'] });
+
+        this.liveStream.addSnapshot('analyses', () => this.monitor.recent.filter(m => m.filePath).slice(-50));
+        this.liveStream.addSnapshot('alerts', () => this.monitor.alerts.filter(a => a.status === 'firing'));
+        this.liveStream.addSnapshot('reports', async () =>
+            (await this.reportStore.list({ limit: 20 })).items.map(report => this.summarizeReport(report)));
+        this.liveStream.addSnapshot('repo', async repository =>
+            (await this.reportStore.list({ limit: 200 })).items
+                .filter(report => report.repository === repository)
+                .slice(0, 20)
+                .map(report => this.summarizeReport(report)));
+
+        if (this.jobQueue) {
+            for (const event of ['file_processed', 'job_finished']) {
+                this.liveStream.bridge(this.jobQueue, event, {
+                    as: 'job_update',
+                    topics: job => [`job:${job.id}`, repoTopic(job.options.repository)],
+                    map: job => this.jobQueue.describe(job)
+                });
+            }
+            this.liveStream.addSnapshot('job', id => {
+                const job = this.jobQueue.get(id);
+                return job ? this.jobQueue.describe(job) : null;
+            });
+        }
     }
 
-    async calculateTrends(days) {
-        const trends = {
-            analysisVolume: [],
-            performanceScore: [],
-            securityScore: [],
-            issueTypes: {}
+    summarizeReport(report) {
+        return {
+            id: report.id,
+            type: report.type,
+            source: report.source,
+            repository: report.repository,
+            createdAt: report.createdAt,
+            filePaths: report.filePaths,
+            issues: report.results.reduce((sum, entry) => sum + (entry.result?.issues?.length || 0), 0)
         };
+    }
 
-        // Implementation for trend calculation
-        // This would analyze historical data and calculate trends
-        
-        return trends;
+    publishReport(report) {
+        this.liveStream.publish(
+            ['reports', report.repository && `repo:${report.repository}`].filter(Boolean),
+            'analysis_report',
+            this.summarizeReport(report)
+        );
     }
 
     setupWebSocket() {
@@ -166,30 +360,39 @@ class DashboardServer {
         
         this.server = http.createServer(this.app);
         this.io = socketIo(this.server);
+        this.io.use(this.auth.authenticateSocket());
 
         this.io.on('connection', (socket) => {
-            console.log('Dashboard client connected');
-            
-            // Send real-time updates
-            this.monitor.on('analysis_recorded', (metric) => {
-                socket.emit('analysis_update', metric);
-            });
-            
-            this.monitor.on('alert_created', (alert) => {
-                socket.emit('alert_update', alert);
-            });
-            
-            this.monitor.on('report_generated', (report) => {
-                socket.emit('report_update', report);
-            });
+            log.debug('Dashboard client connected', { socketId: socket.id });
+            this.liveStream.attachSocket(socket);
         });
     }
 
     start() {
-        this.server.listen(this.port, () => {
-            console.log(`📊 CodeSaviour Dashboard running on http://localhost:${this.port}`);
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                log.info('CodeSaviour dashboard listening', { port: this.server.address().port });
+                resolve(this.server);
+            });
         });
     }
+
+    // Typed errors keep their message; anything else is logged and sent as
+    // an internal error
+    handleError(res, error) {
+        const sent = sendError(res, error);
+        if (sent.status >= 500) {
+            log.error('Request failed', { error, status: sent.status });
+        }
+    }
+
+    // Ends live streams and sockets, then closes the HTTP server
+    async stop() {
+        this.liveStream.close();
+        await new Promise(resolve => this.io.close(() => resolve()));
+        await this.analysis.idle();
+        await this.auditLog.flush();
+    }
 }
 
 module.exports = DashboardServer;
\ No newline at end of file
@@ -0,0 +1,116 @@
+const { parseUnifiedDiff, applyHunks, getAddedLines } = require('./diff-parser.js');
+const { isAnalyzableFile } = require('./source-files.js');
+const { isValidRef, resolveRepositoryPath, runGit } = require('./local-repository.js');
+const { ValidationError } = require('./errors.js');
+
+function touchesLines(issue, lines) {
+    if (!issue.line) {
+        return false;
+    }
+    for (let line = issue.line; line <= (issue.endLine || issue.line); line++) {
+        if (lines.has(line)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Keeps only the issues (and suppressed issues) that touch one of `lines`
+// in the new file. Issues without a line cannot be placed in the diff and
+// are dropped; `outsideDiff` says how many issues were removed.
+function restrictToLines(result, lines) {
+    const issues = (result.issues || []).filter(issue => touchesLines(issue, lines));
+    const suppressedIssues = (result.suppressedIssues || []).filter(issue => touchesLines(issue, lines));
+    return {
+        ...result,
+        issues,
+        suppressedIssues,
+        outsideDiff: (result.issues || []).length - issues.length
+    };
+}
+
+// Analyzes the files a change touches and reports only the issues on added
+// or modified lines, numbered as in the new file. `analyze(code, filePath,
+// options, context)` is the analysis function, so cache, suppressions and
+// baselines apply as they do for whole files; `context` is passed through.
+// `repositoryRoots` limits which local repositories `analyzeGit` may read;
+// null allows any.
+class DiffAnalyzer {
+    constructor(options = {}) {
+        this.analyze = options.analyze;
+        this.repositoryRoots = options.repositoryRoots === undefined ? null : options.repositoryRoots;
+        this.maxFiles = options.maxFiles || 200;
+    }
+
+    // `baseFiles` maps each modified file's old path to its contents before
+    // the change; added files need no entry.
+    async analyzePatch(diff, { baseFiles = {}, options = {}, context = {} } = {}) {
+        if (typeof diff !== 'string') {
+            throw new ValidationError('diff must be a string');
+        }
+        if (baseFiles === null || typeof baseFiles !== 'object' || Array.isArray(baseFiles)) {
+            throw new ValidationError('baseFiles must be an object mapping paths to file contents');
+        }
+        const changes = this.selectFiles(parseUnifiedDiff(diff)).map(file => {
+            const base = file.status === 'added' ? '' : baseFiles[file.oldPath];
+            if (typeof base !== 'string') {
+                throw new ValidationError(`Base contents are required for ${file.oldPath}`);
+            }
+            let code;
+            try {
+                code = applyHunks(base, file.hunks);
+            } catch (error) {
+                throw new ValidationError(`${file.newPath}: ${error.message}`);
+            }
+            return { file, code };
+        });
+
+        return this.analyzeChanges(changes, options, context);
+    }
+
+    async analyzeGit({ repositoryPath, base, head }, options = {}, context = {}) {
+        const cwd = resolveRepositoryPath(repositoryPath, this.repositoryRoots);
+        for (const ref of [base, head]) {
+            if (!isValidRef(ref)) {
+                throw new ValidationError(`Invalid git ref: ${ref}`);
+            }
+        }
+
+        const diff = await runGit(cwd, ['diff', '--no-color', '--no-ext-diff', '-M', base, head, '--']);
+
+        const changes = [];
+        for (const file of this.selectFiles(parseUnifiedDiff(diff))) {
+            changes.push({ file, code: await runGit(cwd, ['show', `${head}:${file.newPath}`]) });
+        }
+        return this.analyzeChanges(changes, options, context);
+    }
+
+    selectFiles(files) {
+        const selected = files.filter(file => file.newPath && !file.binary && isAnalyzableFile(file.newPath));
+        if (selected.length > this.maxFiles) {
+            throw new ValidationError(`Diff touches ${selected.length} files (limit ${this.maxFiles})`);
+        }
+        return selected;
+    }
+
+    async analyzeChanges(changes, options, context = {}) {
+        const files = [];
+        for (const { file, code } of changes) {
+            const lines = getAddedLines(file.patch);
+            const result = await this.analyze(code, file.newPath, options, context);
+            files.push({
+                filePath: file.newPath,
+                oldPath: file.oldPath,
+                status: file.status,
+                changedLines: [...lines],
+                result: restrictToLines(result, lines)
+            });
+        }
+        return files;
+    }
+}
+
+module.exports = {
+    DiffAnalyzer,
+    restrictToLines
+};
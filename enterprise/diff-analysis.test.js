@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiffAnalyzer } = require('./diff-analysis.js');
+const { ValidationError } = require('./errors.js');
+
+// Reports an issue on every line calling `bad()`, plus one without a line
+async function analyze(code) {
+    const issues = code.split('\n')
+        .map((line, index) => line.includes('bad()') && { type: 'security', severity: 'high', line: index + 1 })
+        .filter(Boolean);
+    return { issues: [...issues, { type: 'style', severity: 'low' }] };
+}
+
+const patch = [
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -1,2 +1,3 @@',
+    ' bad();',
+    '+bad();',
+    ' ok();',
+    '--- a/README.md',
+    '+++ b/README.md',
+    '@@ -1 +1 @@',
+    '-old',
+    '+new'
+].join('\n');
+
+describe('DiffAnalyzer', () => {
+    it('reports only issues on added lines, numbered as in the new file', async () => {
+        const analyzer = new DiffAnalyzer({ analyze });
+        const [file, ...others] = await analyzer.analyzePatch(patch, { baseFiles: { 'src/a.js': 'bad();\nok();' } });
+
+        assert.equal(others.length, 0);
+        assert.equal(file.filePath, 'src/a.js');
+        assert.deepEqual(file.changedLines, [2]);
+        assert.deepEqual(file.result.issues, [{ type: 'security', severity: 'high', line: 2 }]);
+        assert.equal(file.result.outsideDiff, 2);
+    });
+
+    it('requires base contents that the patch applies to', async () => {
+        const analyzer = new DiffAnalyzer({ analyze });
+        await assert.rejects(analyzer.analyzePatch(patch), /Base contents are required for src\/a.js/);
+        await assert.rejects(analyzer.analyzePatch(patch, { baseFiles: { 'src/a.js': 'other();\nok();' } }),
+            error => error instanceof ValidationError && error.message === 'src/a.js: Patch does not apply at line 1');
+    });
+
+    it('analyzes the change between two refs of a local repository', async () => {
+        const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'diff-analysis-')));
+        const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir });
+        try {
+            git('init', '-q');
+            fs.writeFileSync(path.join(dir, 'a.js'), 'bad();\nok();\n');
+            git('add', '.');
+            git('commit', '-qm', 'base');
+            fs.writeFileSync(path.join(dir, 'a.js'), 'bad();\nok();\nbad();\n');
+            git('commit', '-qam', 'head');
+
+            const analyzer = new DiffAnalyzer({ analyze, repositoryRoots: [dir] });
+            const [file] = await analyzer.analyzeGit({ repositoryPath: dir, base: 'HEAD~1', head: 'HEAD' });
+            assert.deepEqual(file.result.issues.map(issue => issue.line), [3]);
+            await assert.rejects(analyzer.analyzeGit({ repositoryPath: dir, base: '--output=x', head: 'HEAD' }), /Invalid git ref/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,181 @@
+const { ValidationError } = require('./errors.js');
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Parses the hunks of a single-file unified diff, such as the `patch` field
+// GitHub returns for pull request files or the `diff` field from GitLab.
+function parseHunks(patch) {
+    const hunks = [];
+    let current = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const line of (patch || '').split('\n')) {
+        const header = line.match(HUNK_HEADER);
+        if (header) {
+            current = {
+                oldStart: parseInt(header[1]),
+                oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+                newStart: parseInt(header[3]),
+                newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+                lines: []
+            };
+            hunks.push(current);
+            oldLine = current.oldStart;
+            newLine = current.newStart;
+            continue;
+        }
+
+        if (!current || line === '' || line.startsWith('\\')) {
+            continue;
+        }
+
+        if (line.startsWith('+')) {
+            current.lines.push({ type: 'add', content: line.slice(1), newLine: newLine++ });
+        } else if (line.startsWith('-')) {
+            current.lines.push({ type: 'remove', content: line.slice(1), oldLine: oldLine++ });
+        } else {
+            current.lines.push({ type: 'context', content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+        }
+    }
+
+    return hunks;
+}
+
+function getAddedLines(patch) {
+    const added = new Set();
+    for (const hunk of parseHunks(patch)) {
+        for (const line of hunk.lines) {
+            if (line.type === 'add') {
+                added.add(line.newLine);
+            }
+        }
+    }
+    return added;
+}
+
+// `--- a/src/x.js\t2024-01-01 ...` -> 'src/x.js'; /dev/null -> null
+function parsePath(value) {
+    const file = value.split('\t')[0].trim();
+    return file === '/dev/null' ? null : file.replace(/^[ab]\//, '');
+}
+
+// Splits a multi-file unified diff (`git diff` or `diff -u` output) into
+// `{ oldPath, newPath, status, binary, patch, hunks }` per file. Hunk line
+// counts decide where a hunk ends, so removed lines that look like
+// `--- ` headers are not mistaken for the next file.
+function parseUnifiedDiff(diff) {
+    const files = [];
+    let file = null;
+    let oldLeft = 0;
+    let newLeft = 0;
+
+    const startFile = () => {
+        file = { oldPath: undefined, newPath: undefined, status: null, binary: false, patchLines: [] };
+        files.push(file);
+    };
+
+    for (const line of (diff || '').split('\n')) {
+        if (oldLeft > 0 || newLeft > 0) {
+            if (line.startsWith('\\')) {
+                continue;
+            }
+            file.patchLines.push(line);
+            if (line.startsWith('+')) {
+                newLeft--;
+            } else if (line.startsWith('-')) {
+                oldLeft--;
+            } else {
+                oldLeft--;
+                newLeft--;
+            }
+            continue;
+        }
+
+        const header = line.match(HUNK_HEADER);
+        if (header && file) {
+            oldLeft = header[2] === undefined ? 1 : parseInt(header[2]);
+            newLeft = header[4] === undefined ? 1 : parseInt(header[4]);
+            file.patchLines.push(line);
+        } else if (line.startsWith('diff --git ')) {
+            startFile();
+            const paths = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+            if (paths) {
+                file.oldPath = paths[1];
+                file.newPath = paths[2];
+            }
+        } else if (line.startsWith('--- ')) {
+            if (!file || file.patchLines.length > 0) {
+                startFile();
+            }
+            file.oldPath = parsePath(line.slice(4));
+        } else if (line.startsWith('+++ ') && file) {
+            file.newPath = parsePath(line.slice(4));
+        } else if (file && line.startsWith('new file mode')) {
+            file.oldPath = null;
+        } else if (file && line.startsWith('deleted file mode')) {
+            file.newPath = null;
+        } else if (file && line.startsWith('rename from ')) {
+            file.oldPath = line.slice('rename from '.length);
+        } else if (file && line.startsWith('rename to ')) {
+            file.newPath = line.slice('rename to '.length);
+        } else if (file && /^Binary files .* differ$/.test(line)) {
+            file.binary = true;
+        }
+    }
+
+    return files.map(({ patchLines, ...entry }) => {
+        const patch = patchLines.join('\n');
+        let status = 'modified';
+        if (entry.oldPath === null) {
+            status = 'added';
+        } else if (entry.newPath === null) {
+            status = 'deleted';
+        } else if (entry.oldPath !== entry.newPath) {
+            status = 'renamed';
+        }
+        return { ...entry, status, patch, hunks: parseHunks(patch) };
+    });
+}
+
+// Rebuilds the new file from its base contents and parsed hunks. Throws a
+// ValidationError when the base does not match the diff's context.
+function applyHunks(base, hunks) {
+    const source = (base || '').split('\n');
+    const output = [];
+    let cursor = 0;
+
+    for (const hunk of hunks) {
+        // A hunk that only adds lines starts after `oldStart`, not on it
+        const start = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        if (start < cursor || start > source.length) {
+            throw new ValidationError(`Hunk at line ${hunk.oldStart} is out of order or past the end of the file`);
+        }
+        output.push(...source.slice(cursor, start));
+        cursor = start;
+
+        for (const line of hunk.lines) {
+            if (line.type === 'add') {
+                output.push(line.content);
+                continue;
+            }
+            if (source[cursor] !== line.content) {
+                throw new ValidationError(`Patch does not apply at line ${cursor + 1}`);
+            }
+            if (line.type === 'context') {
+                output.push(source[cursor]);
+            }
+            cursor++;
+        }
+    }
+
+    output.push(...source.slice(cursor));
+    return output.join('\n');
+}
+
+module.exports = {
+    parseHunks,
+    parseUnifiedDiff,
+    applyHunks,
+    getAddedLines
+};
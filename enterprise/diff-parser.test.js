@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnifiedDiff, applyHunks, getAddedLines } = require('./diff-parser.js');
+const { ValidationError } = require('./errors.js');
+
+const diff = [
+    'diff --git a/src/a.js b/src/a.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -1,3 +1,3 @@',
+    ' const a = 1;',
+    '--- not a header',
+    '+const b = 2;',
+    ' module.exports = a;',
+    'diff --git a/old.js b/new.js',
+    'similarity index 100%',
+    'rename from old.js',
+    'rename to new.js',
+    'diff --git a/src/added.js b/src/added.js',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/src/added.js',
+    '@@ -0,0 +1,2 @@',
+    '+one();',
+    '+two();',
+    '\\ No newline at end of file',
+    'diff --git a/logo.png b/logo.png',
+    'deleted file mode 100644',
+    'Binary files a/logo.png and /dev/null differ',
+    ''
+].join('\n');
+
+describe('parseUnifiedDiff', () => {
+    it('splits files and recognizes their status', () => {
+        const files = parseUnifiedDiff(diff);
+
+        assert.deepEqual(files.map(file => [file.oldPath, file.newPath, file.status, file.binary]), [
+            ['src/a.js', 'src/a.js', 'modified', false],
+            ['old.js', 'new.js', 'renamed', false],
+            [null, 'src/added.js', 'added', false],
+            ['logo.png', null, 'deleted', true]
+        ]);
+    });
+
+    it('keeps removed lines that look like file headers inside their hunk', () => {
+        const [modified] = parseUnifiedDiff(diff);
+        assert.deepEqual(modified.hunks[0].lines.map(line => [line.type, line.content]), [
+            ['context', 'const a = 1;'],
+            ['remove', '-- not a header'],
+            ['add', 'const b = 2;'],
+            ['context', 'module.exports = a;']
+        ]);
+        assert.deepEqual([...getAddedLines(modified.patch)], [2]);
+    });
+});
+
+describe('applyHunks', () => {
+    it('rebuilds modified and added files from their base', () => {
+        const [modified, , added] = parseUnifiedDiff(diff);
+        const base = 'const a = 1;\n-- not a header\nmodule.exports = a;\n';
+
+        assert.equal(applyHunks(base, modified.hunks), 'const a = 1;\nconst b = 2;\nmodule.exports = a;\n');
+        assert.equal(applyHunks('', added.hunks), 'one();\ntwo();\n');
+    });
+
+    it('rejects a base the diff does not apply to', () => {
+        const [modified] = parseUnifiedDiff(diff);
+        assert.throws(() => applyHunks('const a = 2;\n-- not a header\nmodule.exports = a;', modified.hunks),
+            error => error instanceof ValidationError && error.message === 'Patch does not apply at line 1');
+    });
+});
@@ -0,0 +1,114 @@
+const { currentRequestId } = require('./logger.js');
+
+// Errors clients are meant to see. Each carries an HTTP status and a
+// stable `code` clients can match on; `details` are added to the response
+// body as-is. Anything else reaching a client is reported as a bare
+// `internal_error` so internal messages never leak.
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'internal_error', details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details || null;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 400, code: 'invalid_request', ...options });
+    }
+}
+
+class AuthenticationError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 401, code: 'unauthenticated', ...options });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 403, code: 'forbidden', ...options });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 404, code: 'not_found', ...options });
+    }
+}
+
+class NotAcceptableError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 406, code: 'not_acceptable', ...options });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 409, code: 'conflict', ...options });
+    }
+}
+
+class UnprocessableError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 422, code: 'unprocessable', ...options });
+    }
+}
+
+class RateLimitError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 429, code: 'rate_limited', ...options });
+    }
+}
+
+class UpstreamError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status: 502, code: 'upstream_failed', ...options });
+    }
+}
+
+// Typed errors keep their message; anything else becomes a 500
+function toAppError(error) {
+    if (error instanceof AppError) {
+        return error;
+    }
+    // body-parser marks malformed and oversized bodies with a 4xx status
+    if (error?.expose && error.status >= 400 && error.status < 500) {
+        return new AppError(error.message, { status: error.status, code: error.type?.replace(/\./g, '_') || 'invalid_request', cause: error });
+    }
+    return new AppError('Internal server error', { cause: error });
+}
+
+function errorBody(error) {
+    return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        requestId: currentRequestId(),
+        ...error.details
+    };
+}
+
+// Responds with `{ success: false, error, code, requestId, ...details }`
+// and returns the AppError that was sent
+function sendError(res, error) {
+    const appError = toAppError(error);
+    res.status(appError.status).json(errorBody(appError));
+    return appError;
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    NotAcceptableError,
+    ConflictError,
+    UnprocessableError,
+    RateLimitError,
+    UpstreamError,
+    toAppError,
+    sendError
+};
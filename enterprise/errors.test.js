@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError, RateLimitError, toAppError, sendError } = require('./errors.js');
+const { runWithRequestId } = require('./logger.js');
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+describe('errors', () => {
+    it('gives typed errors their status and code', () => {
+        const error = new RateLimitError('Too many attempts', { code: 'auth_throttled' });
+        assert.equal(error.name, 'RateLimitError');
+        assert.equal(error.status, 429);
+        assert.equal(error.code, 'auth_throttled');
+        assert.equal(new ValidationError('bad').status, 400);
+    });
+
+    it('hides the message of unexpected errors', () => {
+        const unexpected = toAppError(new Error('ENOENT /etc/secret'));
+        assert.equal(unexpected.status, 500);
+        assert.equal(unexpected.message, 'Internal server error');
+
+        const parser = toAppError(Object.assign(new Error('request entity too large'), { expose: true, status: 413, type: 'entity.too.large' }));
+        assert.equal(parser.status, 413);
+        assert.equal(parser.code, 'entity_too_large');
+    });
+
+    it('sends the error body with details and the request id', () => {
+        const res = fakeResponse();
+        runWithRequestId('req-9', () => sendError(res, new ValidationError('Invalid options', { details: { field: 'options' } })));
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body, { success: false, error: 'Invalid options', code: 'invalid_request', requestId: 'req-9', field: 'options' });
+    });
+});
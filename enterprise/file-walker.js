@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp, matchesGlob } = require('./glob.js');
+const { detectLanguage, isAnalyzableFile } = require('./source-files.js');
+const { isValidRef, runGit } = require('./local-repository.js');
+const { ValidationError, toAppError } = require('./errors.js');
+const log = require('./logger.js').logger.child({ component: 'scan' });
+
+// Same heuristic as git: a NUL byte early in the file means binary
+const BINARY_SAMPLE = 8000;
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+function isBinary(buffer) {
+    return buffer.subarray(0, BINARY_SAMPLE).includes(0);
+}
+
+// Rules from one .gitignore; `base` is the directory it lives in, relative
+// to the scan root. Character classes are not supported.
+function parseGitignore(content, base = '') {
+    const rules = [];
+    for (const raw of content.split(/\r?\n/)) {
+        let line = raw.replace(/\s+$/, '');
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const negate = line.startsWith('!');
+        if (negate) {
+            line = line.slice(1);
+        }
+        if (line.startsWith('\\')) {
+            line = line.slice(1);
+        }
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) {
+            line = line.slice(0, -1);
+        }
+        // A slash anywhere but the end anchors the pattern to `base`
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+
+        rules.push({ regex: globToRegExp(anchored ? line : `**/${line}`), negate, dirOnly, base });
+    }
+    return rules;
+}
+
+// The last matching rule wins, as in git
+function isIgnored(rules, relativePath, isDirectory) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) {
+            continue;
+        }
+        let local = relativePath;
+        if (rule.base) {
+            if (!relativePath.startsWith(`${rule.base}/`)) {
+                continue;
+            }
+            local = relativePath.slice(rule.base.length + 1);
+        }
+        if (rule.regex.test(local)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+// Walks a directory, or the tree of `ref` in a git repository, and yields
+// `{ path, language, size, content }` for each selected file, or
+// `{ path, skipped }` where skipped is 'unsupported-language', 'too-large'
+// or 'binary'. Paths are relative to `root` with forward slashes.
+//
+// Files must match an `include` glob (when given) and no `exclude` glob.
+// Excluded and .gitignored directories are not descended into. Tracked
+// files in a git ref are never treated as ignored.
+class FileWalker {
+    constructor(options = {}) {
+        this.include = [].concat(options.include || []);
+        this.exclude = [].concat(options.exclude || []);
+        this.gitignore = options.gitignore !== false;
+        this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+        // Yield files the engine cannot analyze as skipped, without reading them
+        this.analyzableOnly = options.analyzableOnly !== false;
+    }
+
+    selects(relativePath) {
+        return (this.include.length === 0 || matchesGlob(relativePath, this.include))
+            && !(this.exclude.length > 0 && matchesGlob(relativePath, this.exclude));
+    }
+
+    walk(root, { ref } = {}) {
+        return ref ? this.walkGitTree(root, ref) : this.walkDirectory(root);
+    }
+
+    // Throws a ValidationError when `root` or `ref` cannot be walked, so callers
+    // can reject a request before they start streaming results
+    async verify(root, { ref } = {}) {
+        const stat = await fs.stat(root).catch(() => null);
+        if (!stat || !stat.isDirectory()) {
+            throw new ValidationError(`Not a directory: ${root}`);
+        }
+        if (ref) {
+            if (!isValidRef(ref)) {
+                throw new ValidationError(`Invalid git ref: ${ref}`);
+            }
+            await runGit(root, ['rev-parse', '--verify', `${ref}^{tree}`]);
+        }
+    }
+
+    async *walkDirectory(root) {
+        await this.verify(root);
+        yield* this.walkFrom(root, '', []);
+    }
+
+    async *walkFrom(directory, relative, rules) {
+        const entries = (await fs.readdir(directory, { withFileTypes: true }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        if (this.gitignore && entries.some(entry => entry.name === '.gitignore' && entry.isFile())) {
+            const content = await fs.readFile(path.join(directory, '.gitignore'), 'utf8');
+            rules = [...rules, ...parseGitignore(content, relative)];
+        }
+
+        for (const entry of entries) {
+            const relativePath = relative ? `${relative}/${entry.name}` : entry.name;
+            const absolutePath = path.join(directory, entry.name);
+
+            // Symlinks are skipped so a scan cannot leave the root
+            if (entry.isDirectory()) {
+                const excluded = this.exclude.length > 0 && matchesGlob(`${relativePath}/`, this.exclude);
+                if (entry.name !== '.git' && !excluded && !isIgnored(rules, relativePath, true)) {
+                    yield* this.walkFrom(absolutePath, relativePath, rules);
+                }
+            } else if (entry.isFile() && !isIgnored(rules, relativePath, false) && this.selects(relativePath)) {
+                yield await this.readEntry(relativePath, async () => (await fs.stat(absolutePath)).size,
+                    () => fs.readFile(absolutePath));
+            }
+        }
+    }
+
+    async *walkGitTree(repository, ref) {
+        await this.verify(repository, { ref });
+
+        // `<mode> <type> <object> <size>\t<path>` records, NUL-separated
+        const listing = await runGit(repository, ['ls-tree', '-r', '-l', '-z', ref, '--']);
+        for (const record of listing.split('\0').filter(Boolean)) {
+            const tab = record.indexOf('\t');
+            const [mode, type, object, size] = record.slice(0, tab).split(/\s+/);
+            const relativePath = record.slice(tab + 1);
+
+            // Symlinks (120000) and submodules are not files to analyze
+            if (type !== 'blob' || mode === '120000' || !this.selects(relativePath)) {
+                continue;
+            }
+            yield await this.readEntry(relativePath, async () => parseInt(size),
+                () => runGit(repository, ['cat-file', 'blob', object], { encoding: 'buffer' }));
+        }
+    }
+
+    async readEntry(relativePath, getSize, read) {
+        if (this.analyzableOnly && !isAnalyzableFile(relativePath)) {
+            return { path: relativePath, language: detectLanguage(relativePath), skipped: 'unsupported-language' };
+        }
+
+        const size = await getSize();
+        if (size > this.maxFileSize) {
+            return { path: relativePath, size, skipped: 'too-large' };
+        }
+
+        const buffer = await read();
+        if (isBinary(buffer)) {
+            return { path: relativePath, size, skipped: 'binary' };
+        }
+
+        return {
+            path: relativePath,
+            language: detectLanguage(relativePath),
+            size,
+            content: buffer.toString('utf8')
+        };
+    }
+}
+
+// Analyzes walked files one at a time, yielding `file`, `skipped` and
+// `error` events, then `truncated` if more than `maxFiles` files remain.
+// `analyze(code, filePath)` resolves to an analysis result.
+async function* analyzeFiles(entries, analyze, { maxFiles = Infinity } = {}) {
+    let analyzed = 0;
+    for await (const entry of entries) {
+        if (entry.skipped) {
+            yield { type: 'skipped', filePath: entry.path, language: entry.language, reason: entry.skipped };
+            continue;
+        }
+        if (analyzed >= maxFiles) {
+            yield { type: 'truncated', filePath: entry.path, maxFiles };
+            return;
+        }
+        analyzed++;
+
+        try {
+            const result = await analyze(entry.content, entry.path);
+            yield { type: 'file', filePath: entry.path, language: entry.language, size: entry.size, result };
+        } catch (error) {
+            // Only typed errors keep their message, as in API error responses
+            const failure = toAppError(error);
+            if (failure.status >= 500) {
+                log.error('File analysis failed', { error, filePath: entry.path });
+            }
+            yield { type: 'error', filePath: entry.path, error: failure.message, code: failure.code };
+        }
+    }
+}
+
+module.exports = {
+    FileWalker,
+    analyzeFiles,
+    parseGitignore,
+    isIgnored
+};
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGitignore, isIgnored } = require('./file-walker.js');
+
+describe('parseGitignore and isIgnored', () => {
+    const rules = parseGitignore([
+        '# build output',
+        '',
+        'node_modules/',
+        '*.log   ',
+        '!keep.log',
+        '/build',
+        'docs/*.md',
+        '\\#notes'
+    ].join('\n'));
+
+    it('skips comments and blank lines', () => {
+        assert.equal(rules.length, 6);
+    });
+
+    it('matches unanchored patterns at any depth', () => {
+        assert.equal(isIgnored(rules, 'debug.log', false), true);
+        assert.equal(isIgnored(rules, 'src/deep/debug.log', false), true);
+        assert.equal(isIgnored(rules, 'src/debug.js', false), false);
+    });
+
+    it('applies directory-only patterns to directories', () => {
+        assert.equal(isIgnored(rules, 'node_modules', true), true);
+        assert.equal(isIgnored(rules, 'packages/a/node_modules', true), true);
+        assert.equal(isIgnored(rules, 'node_modules', false), false);
+    });
+
+    it('anchors patterns with a leading or inner slash', () => {
+        assert.equal(isIgnored(rules, 'build', true), true);
+        assert.equal(isIgnored(rules, 'src/build', true), false);
+        assert.equal(isIgnored(rules, 'docs/intro.md', false), true);
+        assert.equal(isIgnored(rules, 'src/docs/intro.md', false), false);
+        assert.equal(isIgnored(rules, 'docs/guide/intro.md', false), false);
+    });
+
+    it('lets the last matching rule win, so negations re-include', () => {
+        assert.equal(isIgnored(rules, 'logs/keep.log', false), false);
+        const reversed = parseGitignore('!keep.log\n*.log');
+        assert.equal(isIgnored(reversed, 'keep.log', false), true);
+    });
+
+    it('treats an escaped # as a literal', () => {
+        assert.equal(isIgnored(rules, '#notes', false), true);
+    });
+
+    it('applies nested .gitignore rules relative to their directory', () => {
+        const nested = parseGitignore('*.tmp\n/out', 'pkg');
+        assert.equal(isIgnored(nested, 'pkg/a.tmp', false), true);
+        assert.equal(isIgnored(nested, 'pkg/src/a.tmp', false), true);
+        assert.equal(isIgnored(nested, 'a.tmp', false), false);
+        assert.equal(isIgnored(nested, 'pkg/out', true), true);
+        assert.equal(isIgnored(nested, 'pkg/src/out', true), false);
+        assert.equal(isIgnored(nested, 'out', true), false);
+    });
+
+    it('accepts CRLF line endings', () => {
+        const crlf = parseGitignore('*.log\r\ndist/\r\n');
+        assert.equal(isIgnored(crlf, 'a.log', false), true);
+        assert.equal(isIgnored(crlf, 'dist', true), true);
+    });
+});
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+// Line numbers are deliberately left out so a finding keeps its identity
+// when unrelated edits move it up or down the file. A tenant, when given,
+// is prepended; without one fingerprints are unchanged.
+function fingerprintIssue(issue, { filePath, repository, tenant } = {}) {
+    const message = (issue.message || '').replace(/\s+/g, ' ').trim();
+    return hash(scoped(tenant, [repository || '', filePath || '', issue.rule || issue.type || '', message]));
+}
+
+function fingerprintFile(filePath, repository, tenant) {
+    return hash(scoped(tenant, [repository || '', filePath]));
+}
+
+function scoped(tenant, parts) {
+    return (tenant ? [tenant, ...parts] : parts).join('|');
+}
+
+module.exports = {
+    fingerprintIssue,
+    fingerprintFile
+};
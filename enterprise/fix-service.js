@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { fingerprintIssue } = require('./findings.js');
+const { parseHunks, parseUnifiedDiff, applyHunks } = require('./diff-parser.js');
+const { createHunks, formatHunk, formatPatch } = require('./line-diff.js');
+const { ValidationError } = require('./errors.js');
+
+const run = promisify(execFile);
+
+// Extensions `node --check` understands; other files skip the syntax check
+const CHECKABLE_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+
+function summarizeIssue(issue) {
+    return {
+        rule: issue.rule || issue.type || null,
+        severity: issue.severity || null,
+        line: issue.line || null,
+        message: issue.message || null
+    };
+}
+
+// Issues are matched by fingerprint, which ignores line numbers, so a fix
+// that shifts lines does not count as resolving and reintroducing issues.
+function issueDelta(before, after, filePath) {
+    const remaining = new Map();
+    for (const issue of before) {
+        const key = fingerprintIssue(issue, { filePath });
+        remaining.set(key, [...(remaining.get(key) || []), issue]);
+    }
+
+    const introduced = [];
+    for (const issue of after) {
+        const matches = remaining.get(fingerprintIssue(issue, { filePath }));
+        if (matches && matches.length > 0) {
+            matches.shift();
+        } else {
+            introduced.push(issue);
+        }
+    }
+    const resolved = [...remaining.values()].flat();
+
+    const bySeverity = {};
+    for (const [issues, sign] of [[resolved, -1], [introduced, 1]]) {
+        for (const issue of issues) {
+            const severity = issue.severity || 'unknown';
+            bySeverity[severity] = (bySeverity[severity] || 0) + sign;
+        }
+    }
+
+    return {
+        before: before.length,
+        after: after.length,
+        resolved: resolved.map(summarizeIssue),
+        introduced: introduced.map(summarizeIssue),
+        bySeverity
+    };
+}
+
+// Runs `node --check` on a temporary copy, the same check as
+// scripts/parser-check.ts. Returns `{ checked, passed, error }`.
+async function syntaxCheck(code, filePath, timeout) {
+    const extension = path.extname(filePath || '').toLowerCase();
+    if (!CHECKABLE_EXTENSIONS.includes(extension)) {
+        return { checked: false, passed: true, error: null };
+    }
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'codesaviour-fix-'));
+    const file = path.join(directory, `check${extension}`);
+    try {
+        await fs.writeFile(file, code);
+        await run(process.execPath, ['--check', file], { timeout });
+        return { checked: true, passed: true, error: null };
+    } catch (error) {
+        const detail = (error.stderr || error.message).split('\n').find(line => /Error/.test(line)) || error.message;
+        return { checked: true, passed: false, error: detail.trim() };
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+// Engine fixes arrive as a whole file, with autofixes from plugin `rules`
+// applied on top. This turns them into per-hunk and per-issue unified diffs
+// and only hands back code that passed verification: the fixed file must
+// still parse (when the original did) and re-analysis must not find issues
+// the original did not have.
+class FixService {
+    constructor(options = {}) {
+        this.engine = options.engine;
+        this.analyze = options.analyze || ((code, filePath, analysisOptions) =>
+            this.engine.analyzeCode(code, filePath, analysisOptions));
+        this.rules = options.rules || null;
+        this.checkTimeout = options.checkTimeout || 10000;
+    }
+
+    async propose(code, filePath, options = {}) {
+        const before = await this.analyze(code, filePath, options);
+        const fix = await this.engine.fixCode(code, { ...options, filePath });
+        const engineCode = typeof fix === 'string' ? fix : fix?.fixedCode ?? fix?.code;
+        const ruleFix = this.rules
+            ? await this.rules.fix(typeof engineCode === 'string' ? engineCode : code, { filePath, repository: options.repository })
+            : null;
+        const fixedCode = ruleFix ? ruleFix.code : engineCode;
+
+        if (typeof fixedCode !== 'string' || fixedCode === code) {
+            return { status: 'unchanged', filePath, patch: null, hunks: [], issues: [], fixedCode: code };
+        }
+
+        const hunks = createHunks(code, fixedCode).map((hunk, index) => ({ id: `hunk-${index + 1}`, ...hunk }));
+        const issues = (before.issues || []).map(issue => {
+            const covering = hunks.filter(hunk => this.hunkCovers(hunk, issue.line));
+            return {
+                issue: summarizeIssue(issue),
+                hunks: covering.map(hunk => hunk.id),
+                patch: covering.length > 0 ? formatPatch(filePath || 'file', covering) : null
+            };
+        });
+
+        const verification = await this.verify(code, fixedCode, filePath, options, before);
+        return {
+            status: verification.passed ? 'verified' : 'rejected',
+            filePath,
+            patch: formatPatch(filePath || 'file', hunks),
+            hunks: hunks.map(hunk => ({
+                id: hunk.id,
+                patch: formatHunk(hunk),
+                issues: issues.filter(entry => entry.hunks.includes(hunk.id)).map(entry => entry.issue)
+            })),
+            issues,
+            fixedCode: verification.passed ? fixedCode : null,
+            verification,
+            engine: fix?.fixes,
+            rules: ruleFix?.fixes
+        };
+    }
+
+    // Applies the accepted hunks of a patch returned by `propose`. Hunk ids
+    // follow their order in the patch. Without `accept` every hunk not in
+    // `reject` is applied.
+    async apply(code, filePath, patch, { accept, reject = [], options = {} } = {}) {
+        const files = parseUnifiedDiff(patch);
+        const hunks = (files.length > 0 ? files[0].hunks : parseHunks(patch))
+            .map((hunk, index) => ({ id: `hunk-${index + 1}`, ...hunk }));
+        const unknown = [...(accept || []), ...reject].filter(id => !hunks.some(hunk => hunk.id === id));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown hunks: ${unknown.join(', ')}`);
+        }
+
+        const selected = hunks.filter(hunk => (accept ? accept.includes(hunk.id) : true) && !reject.includes(hunk.id));
+        const fixedCode = applyHunks(code, selected);
+        const verification = await this.verify(code, fixedCode, filePath, options);
+
+        return {
+            status: verification.passed ? 'verified' : 'rejected',
+            filePath,
+            applied: selected.map(hunk => hunk.id),
+            // A rejected fix rolls back to the original code
+            fixedCode: verification.passed ? fixedCode : code,
+            verification
+        };
+    }
+
+    async verify(code, fixedCode, filePath, options, before = null) {
+        const [original, fixed] = await Promise.all([
+            syntaxCheck(code, filePath, this.checkTimeout),
+            syntaxCheck(fixedCode, filePath, this.checkTimeout)
+        ]);
+        const originalResult = before || await this.analyze(code, filePath, options);
+        const fixedResult = await this.analyze(fixedCode, filePath, options);
+        const delta = issueDelta(originalResult.issues || [], fixedResult.issues || [], filePath);
+
+        const reasons = [];
+        // A file that did not parse before cannot be judged by parsing after
+        if (original.passed && !fixed.passed) {
+            reasons.push(`Fixed code does not parse: ${fixed.error}`);
+        }
+        if (delta.introduced.length > 0) {
+            reasons.push(`Fix introduces ${delta.introduced.length} new issues`);
+        }
+
+        return {
+            passed: reasons.length === 0,
+            reasons,
+            syntax: { before: original, after: fixed },
+            delta
+        };
+    }
+
+    // Pure insertions are matched against the lines on either side
+    hunkCovers(hunk, line) {
+        if (!line) {
+            return false;
+        }
+        const changed = hunk.lines.filter(entry => entry.type === 'remove').map(entry => entry.oldLine);
+        if (changed.length === 0) {
+            const index = hunk.lines.findIndex(entry => entry.type === 'add');
+            const previous = hunk.lines.slice(0, index).reverse().find(entry => entry.type === 'context');
+            const anchor = previous ? previous.oldLine : hunk.oldStart;
+            return line === anchor || line === anchor + 1;
+        }
+        return line >= Math.min(...changed) && line <= Math.max(...changed);
+    }
+}
+
+module.exports = {
+    FixService,
+    issueDelta,
+    syntaxCheck
+};
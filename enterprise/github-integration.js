@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { getAddedLines } = require('./diff-parser.js');
+const { restrictToLines } = require('./diff-analysis.js');
+const { isAnalyzableFile } = require('./source-files.js');
+const { formatIssueComment, formatReviewSummary } = require('./review-comments.js');
+
+const STATUS_CONTEXT = 'codesaviour/quality-gate';
+const NULL_SHA = '0000000000000000000000000000000000000000';
+
+class GitHubIntegration {
+    constructor(options = {}) {
+        this.apiUrl = (options.apiUrl || 'https://api.github.com').replace(/\/$/, '');
+        this.token = options.token;
+        this.webhookSecret = options.webhookSecret;
+        this.gateEvaluator = options.gateEvaluator;
+        this.analyze = options.analyze;
+        this.maxComments = options.maxComments || 50;
+        this.changedLinesOnly = options.changedLinesOnly !== false;
+        this.timeout = options.timeout || 10000;
+    }
+
+    // Without a configured secret no delivery can be trusted, so every
+    // delivery is rejected
+    verifySignature(rawBody, signature) {
+        if (!this.webhookSecret || !signature || !rawBody) {
+            return false;
+        }
+
+        const expected = 'sha256=' + crypto
+            .createHmac('sha256', this.webhookSecret)
+            .update(rawBody)
+            .digest('hex');
+
+        const a = Buffer.from(signature);
+        const b = Buffer.from(expected);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    async handleEvent(event, payload) {
+        if (event === 'push') {
+            return this.handlePush(payload);
+        }
+        if (event === 'pull_request' && ['opened', 'synchronize', 'reopened'].includes(payload.action)) {
+            return this.handlePullRequest(payload);
+        }
+        return null;
+    }
+
+    async handlePush(payload) {
+        const repo = payload.repository.full_name;
+        const sha = payload.after;
+        const branch = (payload.ref || '').replace(/^refs\/heads\//, '');
+
+        if (payload.deleted || !sha || sha === NULL_SHA) {
+            return null;
+        }
+
+        const changed = new Set();
+        const removed = new Set();
+        for (const commit of payload.commits || []) {
+            [...(commit.added || []), ...(commit.modified || [])].forEach(file => changed.add(file));
+            (commit.removed || []).forEach(file => removed.add(file));
+        }
+        const paths = [...changed].filter(file => !removed.has(file) && isAnalyzableFile(file));
+
+        return this.withStatus(repo, sha, async () => {
+            const files = [];
+            for (const filePath of paths) {
+                const code = await this.getFileContent(repo, filePath, sha);
+                files.push({ filePath, result: await this.analyze(code, filePath, { repository: repo }) });
+            }
+
+            return this.completeStatus(repo, sha, files, branch);
+        });
+    }
+
+    async handlePullRequest(payload) {
+        const repo = payload.repository.full_name;
+        const pr = payload.pull_request;
+        const sha = pr.head.sha;
+        const branch = pr.base?.ref;
+
+        return this.withStatus(repo, sha, async () => {
+            const changedFiles = (await this.getPullRequestFiles(repo, pr.number))
+                .filter(file => file.status !== 'removed' && isAnalyzableFile(file.filename));
+
+            const files = [];
+            for (const file of changedFiles) {
+                const code = await this.getFileContent(repo, file.filename, sha);
+                const result = await this.analyze(code, file.filename, { repository: repo });
+                // GitHub omits `patch` for very large diffs; those keep every issue
+                files.push({
+                    filePath: file.filename,
+                    patch: file.patch,
+                    result: this.changedLinesOnly && file.patch ? restrictToLines(result, getAddedLines(file.patch)) : result
+                });
+            }
+
+            const outcome = await this.completeStatus(repo, sha, files, branch);
+            await this.postReview(repo, pr.number, sha, files, outcome.gate);
+            return outcome;
+        });
+    }
+
+    async withStatus(repo, sha, analyzeChanges) {
+        await this.setStatus(repo, sha, 'pending', 'CodeSaviour analysis in progress');
+
+        try {
+            return await analyzeChanges();
+        } catch (error) {
+            await this.setStatus(repo, sha, 'error', 'CodeSaviour analysis failed').catch(() => {});
+            throw error;
+        }
+    }
+
+    async completeStatus(repo, sha, files, branch) {
+        const gate = this.gateEvaluator.evaluate(files, { branch });
+        const description = gate.passed
+            ? `Quality gate passed (${files.length} files analyzed)`
+            : `Quality gate failed: ${gate.failures.join('; ')}`;
+
+        await this.setStatus(repo, sha, gate.passed ? 'success' : 'failure', description);
+        return { repository: repo, sha, branch, files, gate };
+    }
+
+    async postReview(repo, number, sha, files, gate) {
+        const comments = [];
+
+        for (const file of files) {
+            const addedLines = getAddedLines(file.patch);
+            for (const issue of file.result.issues || []) {
+                // GitHub rejects review comments on lines outside the diff
+                if (issue.line && addedLines.has(issue.line)) {
+                    comments.push({
+                        path: file.filePath,
+                        line: issue.line,
+                        side: 'RIGHT',
+                        body: formatIssueComment(issue)
+                    });
+                }
+            }
+        }
+
+        return this.request('POST', `/repos/${repo}/pulls/${number}/reviews`, {
+            commit_id: sha,
+            event: 'COMMENT',
+            body: formatReviewSummary(files, gate),
+            comments: comments.slice(0, this.maxComments)
+        });
+    }
+
+    async getPullRequestFiles(repo, number) {
+        const files = [];
+        for (let page = 1; ; page++) {
+            const batch = await this.request('GET', `/repos/${repo}/pulls/${number}/files?per_page=100&page=${page}`);
+            files.push(...batch);
+            if (batch.length < 100) {
+                return files;
+            }
+        }
+    }
+
+    async getFileContent(repo, filePath, ref) {
+        const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+        return this.request('GET', `/repos/${repo}/contents/${encodedPath}?ref=${ref}`, null, {
+            accept: 'application/vnd.github.raw'
+        });
+    }
+
+    async setStatus(repo, sha, state, description) {
+        return this.request('POST', `/repos/${repo}/statuses/${sha}`, {
+            state,
+            description: description.slice(0, 140),
+            context: STATUS_CONTEXT
+        });
+    }
+
+    async request(method, apiPath, body, options = {}) {
+        const accept = options.accept || 'application/vnd.github+json';
+        const headers = {
+            'Accept': accept,
+            'User-Agent': 'CodeSaviour-Enterprise',
+            'X-GitHub-Api-Version': '2022-11-28'
+        };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        // A stalled API must not hold a webhook delivery open indefinitely
+        const response = await fetch(`${this.apiUrl}${apiPath}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        }).catch(error => {
+            if (error.name === 'TimeoutError') {
+                throw new Error(`GitHub API ${method} ${apiPath} did not respond within ${this.timeout} ms`);
+            }
+            throw error;
+        });
+
+        if (!response.ok) {
+            throw new Error(`GitHub API ${method} ${apiPath} failed with ${response.status}`);
+        }
+        return accept === 'application/vnd.github.raw' ? response.text() : response.json();
+    }
+}
+
+module.exports = GitHubIntegration;
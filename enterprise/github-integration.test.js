@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const GitHubIntegration = require('./github-integration.js');
+
+const BODY = Buffer.from(JSON.stringify({ action: 'opened', number: 1 }));
+
+function signature(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+describe('GitHubIntegration.verifySignature', () => {
+    const github = new GitHubIntegration({ webhookSecret: 'hook-secret' });
+
+    it('accepts the HMAC of the raw body', () => {
+        assert.equal(github.verifySignature(BODY, signature(BODY, 'hook-secret')), true);
+    });
+
+    it('rejects other secrets, other bodies and malformed signatures', () => {
+        assert.equal(github.verifySignature(BODY, signature(BODY, 'other')), false);
+        assert.equal(github.verifySignature(Buffer.from(`${BODY} `), signature(BODY, 'hook-secret')), false);
+        assert.equal(github.verifySignature(BODY, signature(BODY, 'hook-secret').replace('sha256=', 'sha1=')), false);
+        assert.equal(github.verifySignature(BODY, 'sha256=abc'), false);
+        assert.equal(github.verifySignature(BODY, undefined), false);
+        assert.equal(github.verifySignature(undefined, signature(BODY, 'hook-secret')), false);
+    });
+
+    it('fails closed without a configured secret', () => {
+        const unconfigured = new GitHubIntegration({});
+        assert.equal(unconfigured.verifySignature(BODY, signature(BODY, '')), false);
+        assert.equal(unconfigured.verifySignature(BODY, signature(BODY, 'undefined')), false);
+    });
+});
+
+describe('GitHubIntegration.request', () => {
+    let server;
+    let apiUrl;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url.startsWith('/hang')) {
+                return;
+            }
+            res.statusCode = req.headers.authorization === 'Bearer t0ken' ? 200 : 401;
+            res.end(JSON.stringify({ path: req.url }));
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        apiUrl = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('sends the token and parses the response', async () => {
+        const github = new GitHubIntegration({ apiUrl, token: 't0ken' });
+        assert.deepEqual(await github.request('GET', '/repos/acme/app'), { path: '/repos/acme/app' });
+        await assert.rejects(new GitHubIntegration({ apiUrl }).request('GET', '/repos/acme/app'), /failed with 401/);
+    });
+
+    it('gives up on an API that does not answer within the timeout', async () => {
+        const github = new GitHubIntegration({ apiUrl, token: 't0ken', timeout: 100 });
+        const started = Date.now();
+
+        await assert.rejects(github.request('GET', '/hang'), { message: 'GitHub API GET /hang did not respond within 100 ms' });
+        assert.ok(Date.now() - started < 2000);
+    });
+});
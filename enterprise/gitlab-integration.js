@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { getAddedLines } = require('./diff-parser.js');
+const { restrictToLines } = require('./diff-analysis.js');
+const { isAnalyzableFile } = require('./source-files.js');
+const { formatIssueComment, formatReviewSummary } = require('./review-comments.js');
+
+const STATUS_NAME = 'codesaviour/quality-gate';
+const NULL_SHA = '0000000000000000000000000000000000000000';
+
+class GitLabIntegration {
+    constructor(options = {}) {
+        this.apiUrl = `${(options.url || 'https://gitlab.com').replace(/\/$/, '')}/api/v4`;
+        this.token = options.token;
+        this.webhookSecret = options.webhookSecret;
+        this.gateEvaluator = options.gateEvaluator;
+        this.analyze = options.analyze;
+        this.maxDiscussions = options.maxDiscussions || 50;
+        this.changedLinesOnly = options.changedLinesOnly !== false;
+        this.timeout = options.timeout || 10000;
+    }
+
+    // Without a configured secret no delivery can be trusted, so every
+    // delivery is rejected. Both sides are hashed first so the comparison
+    // takes the same time whatever the token's length.
+    verifyToken(token) {
+        if (!this.webhookSecret || typeof token !== 'string' || !token) {
+            return false;
+        }
+
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.webhookSecret));
+    }
+
+    async handleEvent(event, payload) {
+        if (event === 'Push Hook') {
+            return this.handlePush(payload);
+        }
+        if (event === 'Merge Request Hook') {
+            const attributes = payload.object_attributes || {};
+            // `update` also fires for title or label edits; only new commits carry `oldrev`
+            if (['open', 'reopen'].includes(attributes.action) || (attributes.action === 'update' && attributes.oldrev)) {
+                return this.handleMergeRequest(payload);
+            }
+        }
+        return null;
+    }
+
+    async handlePush(payload) {
+        const projectId = payload.project_id || payload.project.id;
+        const sha = payload.checkout_sha || payload.after;
+        const branch = (payload.ref || '').replace(/^refs\/heads\//, '');
+
+        if (!sha || sha === NULL_SHA) {
+            return null;
+        }
+
+        const changed = new Set();
+        const removed = new Set();
+        for (const commit of payload.commits || []) {
+            [...(commit.added || []), ...(commit.modified || [])].forEach(file => changed.add(file));
+            (commit.removed || []).forEach(file => removed.add(file));
+        }
+        const paths = [...changed].filter(file => !removed.has(file) && isAnalyzableFile(file));
+        const repository = payload.project?.path_with_namespace || String(projectId);
+
+        return this.withStatus(projectId, sha, async () => {
+            const files = [];
+            for (const filePath of paths) {
+                const code = await this.getFileContent(projectId, filePath, sha);
+                files.push({ filePath, result: await this.analyze(code, filePath, { repository }) });
+            }
+
+            return this.completeStatus(projectId, repository, sha, files, branch);
+        });
+    }
+
+    async handleMergeRequest(payload) {
+        const projectId = payload.project.id;
+        const repository = payload.project.path_with_namespace;
+        const iid = payload.object_attributes.iid;
+        const sha = payload.object_attributes.last_commit.id;
+        const branch = payload.object_attributes.target_branch;
+
+        return this.withStatus(projectId, sha, async () => {
+            const mergeRequest = await this.request('GET', `/projects/${projectId}/merge_requests/${iid}`);
+            const diffRefs = mergeRequest.diff_refs;
+
+            const changedFiles = (await this.getMergeRequestDiffs(projectId, iid))
+                .filter(diff => !diff.deleted_file && isAnalyzableFile(diff.new_path));
+
+            const files = [];
+            for (const diff of changedFiles) {
+                const code = await this.getFileContent(projectId, diff.new_path, diffRefs.head_sha);
+                const result = await this.analyze(code, diff.new_path, { repository });
+                files.push({
+                    filePath: diff.new_path,
+                    oldPath: diff.old_path,
+                    patch: diff.diff,
+                    result: this.changedLinesOnly && diff.diff ? restrictToLines(result, getAddedLines(diff.diff)) : result
+                });
+            }
+
+            const outcome = await this.completeStatus(projectId, repository, sha, files, branch);
+            await this.postDiscussions(projectId, iid, diffRefs, files, outcome.gate);
+            return outcome;
+        });
+    }
+
+    async withStatus(projectId, sha, analyzeChanges) {
+        await this.setStatus(projectId, sha, 'running', 'CodeSaviour analysis in progress');
+
+        try {
+            return await analyzeChanges();
+        } catch (error) {
+            await this.setStatus(projectId, sha, 'failed', 'CodeSaviour analysis failed').catch(() => {});
+            throw error;
+        }
+    }
+
+    async completeStatus(projectId, repository, sha, files, branch) {
+        const gate = this.gateEvaluator.evaluate(files, { branch });
+        const description = gate.passed
+            ? `Quality gate passed (${files.length} files analyzed)`
+            : `Quality gate failed: ${gate.failures.join('; ')}`;
+
+        await this.setStatus(projectId, sha, gate.passed ? 'success' : 'failed', description);
+        return { repository, sha, branch, files, gate };
+    }
+
+    async postDiscussions(projectId, iid, diffRefs, files, gate) {
+        const basePath = `/projects/${projectId}/merge_requests/${iid}`;
+        let posted = 0;
+
+        for (const file of files) {
+            const addedLines = getAddedLines(file.patch);
+            for (const issue of file.result.issues || []) {
+                // Positions must point at a line that is part of the MR diff
+                if (posted >= this.maxDiscussions || !issue.line || !addedLines.has(issue.line)) {
+                    continue;
+                }
+
+                await this.request('POST', `${basePath}/discussions`, {
+                    body: formatIssueComment(issue),
+                    position: {
+                        position_type: 'text',
+                        base_sha: diffRefs.base_sha,
+                        start_sha: diffRefs.start_sha,
+                        head_sha: diffRefs.head_sha,
+                        old_path: file.oldPath,
+                        new_path: file.filePath,
+                        new_line: issue.line
+                    }
+                });
+                posted++;
+            }
+        }
+
+        await this.request('POST', `${basePath}/notes`, { body: formatReviewSummary(files, gate) });
+    }
+
+    async getMergeRequestDiffs(projectId, iid) {
+        const diffs = [];
+        for (let page = 1; ; page++) {
+            const batch = await this.request('GET', `/projects/${projectId}/merge_requests/${iid}/diffs?per_page=100&page=${page}`);
+            diffs.push(...batch);
+            if (batch.length < 100) {
+                return diffs;
+            }
+        }
+    }
+
+    async getFileContent(projectId, filePath, ref) {
+        return this.request('GET', `/projects/${projectId}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${ref}`, null, {
+            raw: true
+        });
+    }
+
+    async setStatus(projectId, sha, state, description) {
+        return this.request('POST', `/projects/${projectId}/statuses/${sha}`, {
+            state,
+            name: STATUS_NAME,
+            description: description.slice(0, 255)
+        });
+    }
+
+    async request(method, apiPath, body, options = {}) {
+        const headers = { 'User-Agent': 'CodeSaviour-Enterprise' };
+        if (this.token) {
+            headers['PRIVATE-TOKEN'] = this.token;
+        }
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.apiUrl}${apiPath}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        }).catch(error => {
+            if (error.name === 'TimeoutError') {
+                throw new Error(`GitLab API ${method} ${apiPath} did not respond within ${this.timeout} ms`);
+            }
+            throw error;
+        });
+
+        if (!response.ok) {
+            throw new Error(`GitLab API ${method} ${apiPath} failed with ${response.status}`);
+        }
+        return options.raw ? response.text() : response.json();
+    }
+}
+
+module.exports = GitLabIntegration;
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const GitLabIntegration = require('./gitlab-integration.js');
+
+describe('GitLabIntegration.verifyToken', () => {
+    const gitlab = new GitLabIntegration({ webhookSecret: 'hook-secret' });
+
+    it('accepts the configured token', () => {
+        assert.equal(gitlab.verifyToken('hook-secret'), true);
+    });
+
+    it('rejects other tokens, including prefixes and non-strings', () => {
+        for (const token of ['hook-secre', 'hook-secret ', 'HOOK-SECRET', '', undefined, null, ['hook-secret']]) {
+            assert.equal(gitlab.verifyToken(token), false, `token ${JSON.stringify(token)}`);
+        }
+    });
+
+    it('fails closed without a configured secret', () => {
+        const unconfigured = new GitLabIntegration({});
+        assert.equal(unconfigured.verifyToken(''), false);
+        assert.equal(unconfigured.verifyToken('undefined'), false);
+    });
+});
+
+describe('GitLabIntegration.request', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url.startsWith('/api/v4/hang')) {
+                return;
+            }
+            res.statusCode = req.headers['private-token'] === 't0ken' ? 200 : 401;
+            res.end(JSON.stringify({ path: req.url }));
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('sends the token to the v4 API and parses the response', async () => {
+        const gitlab = new GitLabIntegration({ url, token: 't0ken' });
+        assert.deepEqual(await gitlab.request('GET', '/projects/1'), { path: '/api/v4/projects/1' });
+        await assert.rejects(new GitLabIntegration({ url }).request('GET', '/projects/1'), /failed with 401/);
+    });
+
+    it('gives up on an API that does not answer within the timeout', async () => {
+        const gitlab = new GitLabIntegration({ url, token: 't0ken', timeout: 100 });
+        const started = Date.now();
+
+        await assert.rejects(gitlab.request('GET', '/hang'), { message: 'GitLab API GET /hang did not respond within 100 ms' });
+        assert.ok(Date.now() - started < 2000);
+    });
+});
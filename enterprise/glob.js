@@ -0,0 +1,62 @@
+// Compiled patterns, least recently used first. Patterns also arrive with
+// requests, so the cache is bounded.
+const MAX_CACHED = 500;
+const cache = new Map();
+
+// Minimal glob support for path filters in config: `**` spans directories,
+// `*` and `?` stay within one path segment and `{a,b}` picks alternatives.
+function globToRegExp(pattern) {
+    const cached = cache.get(pattern);
+    if (cached) {
+        cache.delete(pattern);
+        cache.set(pattern, cached);
+        return cached;
+    }
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const options = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+            source += `(?:${options.join('|')})`;
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    const regex = new RegExp(`^${source}$`);
+    cache.set(pattern, regex);
+    if (cache.size > MAX_CACHED) {
+        cache.delete(cache.keys().next().value);
+    }
+    return regex;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesGlob(filePath, patterns) {
+    const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+    return [].concat(patterns).some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob
+};
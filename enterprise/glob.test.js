@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, matchesGlob } = require('./glob.js');
+
+describe('matchesGlob', () => {
+    it('spans directories with ** and stays in one segment with * and ?', () => {
+        assert.equal(matchesGlob('src/a/b/c.js', 'src/**/*.js'), true);
+        assert.equal(matchesGlob('src/c.js', 'src/**/*.js'), true);
+        assert.equal(matchesGlob('src/a/c.js', 'src/*.js'), false);
+        assert.equal(matchesGlob('src/ab.js', 'src/a?.js'), true);
+        assert.equal(matchesGlob('./src\\a.ts', ['**/*.{js,ts}']), true);
+        assert.equal(matchesGlob('src/a.jsx', '**/*.{js,ts}'), false);
+    });
+});
+
+describe('globToRegExp', () => {
+    it('keeps recently used patterns and evicts the rest past a bound', () => {
+        const first = globToRegExp('lru/first/**');
+        const kept = globToRegExp('lru/kept/**');
+        for (let i = 0; i < 1000; i++) {
+            globToRegExp(`lru/${i}/*.js`);
+            if (i % 100 === 0) {
+                assert.equal(globToRegExp('lru/kept/**'), kept);
+            }
+        }
+
+        assert.equal(globToRegExp('lru/kept/**'), kept);
+        assert.notEqual(globToRegExp('lru/first/**'), first);
+    });
+});
@@ -0,0 +1,273 @@
+const { fingerprintIssue, fingerprintFile } = require('./findings.js');
+
+const PRIORITY_MAP = {
+    critical: 'Highest',
+    high: 'High'
+};
+
+// Tickets are tagged with labels so de-duplication and resolution work from
+// Jira itself and survive restarts: `cs-fp-*` identifies the finding and
+// `cs-file-*` the file it was found in, both scoped to the tenant and
+// repository. `cs-resolve-manually` marks tickets already asked to be
+// resolved by hand, so they are only asked once.
+const MANUAL_RESOLVE_LABEL = 'cs-resolve-manually';
+const PAGE_SIZE = 100;
+// Keeps a batch's JQL well under URL length limits
+const LABELS_PER_SEARCH = 50;
+
+class JiraIntegration {
+    constructor(options = {}) {
+        this.url = (options.url || '').replace(/\/$/, '');
+        this.username = options.username;
+        this.token = options.token;
+        this.projectKey = options.projectKey;
+        this.issueType = options.issueType || 'Bug';
+        this.severities = options.severities || ['critical', 'high'];
+        this.resolveTransition = options.resolveTransition || 'Done';
+        this.timeout = options.timeout || 10000;
+        this.inFlight = new Set();
+    }
+
+    isEnabled() {
+        return Boolean(this.url && this.token && this.projectKey);
+    }
+
+    async syncAnalysis(analysis) {
+        return this.syncAnalyses([analysis]);
+    }
+
+    // Syncs the findings of several analyzed files, each
+    // `{ filePath, repository, tenant, result }`. One search fetches the open
+    // tickets of all of them, which both de-duplicates new findings and finds
+    // those no longer reported.
+    async syncAnalyses(analyses) {
+        const files = analyses.filter(analysis => analysis.filePath);
+        if (!this.isEnabled() || files.length === 0) {
+            return { created: [], resolved: [] };
+        }
+
+        const labels = [...new Set(files.map(fileLabel))];
+        const open = [];
+        for (let i = 0; i < labels.length; i += LABELS_PER_SEARCH) {
+            const list = labels.slice(i, i + LABELS_PER_SEARCH).map(label => `"${label}"`).join(', ');
+            open.push(...await this.search(`project = "${this.projectKey}" AND labels in (${list}) AND statusCategory != Done`));
+        }
+
+        const created = [];
+        const resolved = [];
+        for (const file of files) {
+            const label = fileLabel(file);
+            const outcome = await this.syncFile(file, open.filter(ticket => (ticket.fields.labels || []).includes(label)));
+            created.push(...outcome.created);
+            resolved.push(...outcome.resolved);
+        }
+        return { created, resolved };
+    }
+
+    // `open` is the file's unresolved tickets. Without a repository the file
+    // could be any repository's, so nothing is resolved.
+    async syncFile({ filePath, repository, tenant = null, result }, open) {
+        const scope = { filePath, repository, tenant };
+        const findings = (result.issues || [])
+            .filter(issue => this.severities.includes(issue.severity))
+            .map(issue => ({ issue, fingerprint: fingerprintIssue(issue, scope) }));
+        const ticketed = new Set(open.map(findingOf).filter(Boolean));
+
+        const created = [];
+        for (const { issue, fingerprint } of findings) {
+            const key = await this.openTicket(fingerprint, () => this.buildIssueFields(issue, { ...scope, fingerprint }), ticketed);
+            if (key) {
+                created.push(key);
+                ticketed.add(fingerprint);
+            }
+        }
+
+        const resolved = repository
+            ? await this.resolveMissing(filePath, open, new Set(findings.map(f => f.fingerprint)))
+            : [];
+        return { created, resolved };
+    }
+
+    async reportAlert(alert) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const fingerprint = fingerprintIssue({ rule: alert.type, message: alert.type }, { filePath: 'performance-monitor' });
+        return this.openTicket(fingerprint, () => ({
+            summary: `[CodeSaviour] ${alert.severity} alert: ${alert.type}`,
+            description: [
+                alert.message,
+                '',
+                `Alert: ${alert.id}`,
+                `Raised at: ${alert.timestamp}`,
+                `Fingerprint: ${fingerprint}`
+            ].join('\n'),
+            labels: ['codesaviour', 'codesaviour-alert', `cs-fp-${fingerprint}`],
+            priority: PRIORITY_MAP[alert.severity]
+        }));
+    }
+
+    // Creates a ticket unless an unresolved one with the same fingerprint
+    // exists. `ticketed`, when given, holds the fingerprints already known to
+    // have one and replaces the search. Returns the new issue key, or null
+    // when it was a duplicate.
+    async openTicket(fingerprint, buildFields, ticketed = null) {
+        if (this.inFlight.has(fingerprint) || ticketed?.has(fingerprint)) {
+            return null;
+        }
+        this.inFlight.add(fingerprint);
+
+        try {
+            if (!ticketed) {
+                const existing = await this.search(`labels = "cs-fp-${fingerprint}" AND statusCategory != Done`);
+                if (existing.length > 0) {
+                    return null;
+                }
+            }
+
+            const { priority, ...fields } = buildFields();
+            const created = await this.request('POST', '/rest/api/2/issue', {
+                fields: {
+                    project: { key: this.projectKey },
+                    issuetype: { name: this.issueType },
+                    ...(priority && { priority: { name: priority } }),
+                    ...fields
+                }
+            });
+            return created.key;
+        } finally {
+            this.inFlight.delete(fingerprint);
+        }
+    }
+
+    async resolveMissing(filePath, open, currentFingerprints) {
+        const resolved = [];
+
+        for (const ticket of open) {
+            const fingerprint = findingOf(ticket);
+            if (!fingerprint) {
+                continue;
+            }
+            const flagged = (ticket.fields.labels || []).includes(MANUAL_RESOLVE_LABEL);
+            if (currentFingerprints.has(fingerprint)) {
+                // The finding is back, so a later disappearance is news again
+                if (flagged) {
+                    await this.updateLabels(ticket.key, { remove: MANUAL_RESOLVE_LABEL });
+                }
+                continue;
+            }
+
+            const message = `CodeSaviour no longer reports this finding in ${filePath} as of ${new Date().toISOString()}.`;
+            const transitioned = await this.transition(ticket.key, this.resolveTransition);
+            if (transitioned) {
+                await this.request('POST', `/rest/api/2/issue/${ticket.key}/comment`, { body: message });
+            } else if (flagged) {
+                continue;
+            } else {
+                await this.request('POST', `/rest/api/2/issue/${ticket.key}/comment`, {
+                    body: `${message} The "${this.resolveTransition}" transition is not available, please resolve manually.`
+                });
+                await this.updateLabels(ticket.key, { add: MANUAL_RESOLVE_LABEL });
+            }
+            resolved.push(ticket.key);
+        }
+
+        return resolved;
+    }
+
+    buildIssueFields(issue, { filePath, repository, tenant, fingerprint }) {
+        const rule = issue.rule || issue.type || 'unknown';
+        const location = issue.line ? `${filePath}:${issue.line}` : filePath;
+
+        return {
+            summary: `[CodeSaviour] ${issue.severity}: ${issue.message}`.slice(0, 255),
+            description: [
+                `*Repository:* ${repository || 'n/a'}`,
+                `*File:* ${location}`,
+                `*Rule:* ${rule}`,
+                `*Severity:* ${issue.severity}`,
+                '',
+                issue.message,
+                '',
+                `*Suggested fix:* ${issue.suggestion || issue.fix || 'n/a'}`,
+                '',
+                `Fingerprint: ${fingerprint}`
+            ].join('\n'),
+            labels: [
+                'codesaviour',
+                `cs-fp-${fingerprint}`,
+                fileLabel({ filePath, repository, tenant })
+            ],
+            priority: PRIORITY_MAP[issue.severity]
+        };
+    }
+
+    async transition(key, name) {
+        const { transitions } = await this.request('GET', `/rest/api/2/issue/${key}/transitions`);
+        const target = (transitions || []).find(t => t.name.toLowerCase() === name.toLowerCase());
+        if (!target) {
+            return false;
+        }
+
+        await this.request('POST', `/rest/api/2/issue/${key}/transitions`, { transition: { id: target.id } });
+        return true;
+    }
+
+    async updateLabels(key, change) {
+        await this.request('PUT', `/rest/api/2/issue/${key}`, { update: { labels: [change] } });
+    }
+
+    // Follows every page, so a file with many open tickets is seen whole
+    async search(jql) {
+        const issues = [];
+        for (;;) {
+            const query = new URLSearchParams({ jql, fields: 'labels,status', startAt: String(issues.length), maxResults: String(PAGE_SIZE) });
+            const page = await this.request('GET', `/rest/api/2/search?${query}`);
+            issues.push(...(page.issues || []));
+            if (!page.issues?.length || issues.length >= (page.total ?? 0)) {
+                return issues;
+            }
+        }
+    }
+
+    async request(method, apiPath, body) {
+        const auth = Buffer.from(`${this.username}:${this.token}`).toString('base64');
+        const headers = {
+            'Accept': 'application/json',
+            'Authorization': `Basic ${auth}`
+        };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.url}${apiPath}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        }).catch(error => {
+            if (error.name === 'TimeoutError') {
+                throw new Error(`Jira API ${method} ${apiPath} did not respond within ${this.timeout} ms`);
+            }
+            throw error;
+        });
+
+        if (!response.ok) {
+            throw new Error(`Jira API ${method} ${apiPath} failed with ${response.status}`);
+        }
+        return response.status === 204 ? {} : response.json();
+    }
+}
+
+function fileLabel({ filePath, repository, tenant }) {
+    return `cs-file-${fingerprintFile(filePath, repository, tenant)}`;
+}
+
+// The finding fingerprint a ticket was opened for, if any
+function findingOf(ticket) {
+    const label = (ticket.fields.labels || []).find(l => l.startsWith('cs-fp-'));
+    return label ? label.slice('cs-fp-'.length) : null;
+}
+
+module.exports = JiraIntegration;
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const JiraIntegration = require('./jira-integration.js');
+
+describe('JiraIntegration.request', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url.startsWith('/hang')) {
+                return;
+            }
+            const expected = `Basic ${Buffer.from('bot:t0ken').toString('base64')}`;
+            res.statusCode = req.headers.authorization === expected ? 200 : 401;
+            res.end(JSON.stringify({ path: req.url }));
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('authenticates with basic auth and parses the response', async () => {
+        const jira = new JiraIntegration({ url, username: 'bot', token: 't0ken' });
+        assert.deepEqual(await jira.request('GET', '/rest/api/2/myself'), { path: '/rest/api/2/myself' });
+        await assert.rejects(new JiraIntegration({ url, username: 'bot', token: 'x' }).request('GET', '/rest/api/2/myself'), /failed with 401/);
+    });
+
+    it('gives up on a Jira that does not answer within the timeout', async () => {
+        const jira = new JiraIntegration({ url, username: 'bot', token: 't0ken', timeout: 100 });
+        const started = Date.now();
+
+        await assert.rejects(jira.request('GET', '/hang'), { message: 'Jira API GET /hang did not respond within 100 ms' });
+        assert.ok(Date.now() - started < 2000);
+    });
+});
+
+// Keeps issues in memory and answers the few endpoints the integration uses.
+// JQL is reduced to its quoted `cs-*` labels.
+function fakeJira() {
+    const state = { issues: [], searches: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://jira');
+            const json = body ? JSON.parse(body) : {};
+            const issue = state.issues.find(candidate => url.pathname.split('/')[5] === candidate.key);
+            let reply = {};
+
+            if (url.pathname === '/rest/api/2/search') {
+                const jql = url.searchParams.get('jql');
+                state.searches.push(jql);
+                const labels = [...jql.matchAll(/"(cs-[^"]+)"/g)].map(match => match[1]);
+                const matches = state.issues.filter(candidate => !candidate.done && candidate.labels.some(label => labels.includes(label)));
+                const startAt = Number(url.searchParams.get('startAt'));
+                const issues = matches.slice(startAt, startAt + Number(url.searchParams.get('maxResults')))
+                    .map(({ key, labels: issueLabels }) => ({ key, fields: { labels: issueLabels } }));
+                reply = { issues, total: matches.length };
+            } else if (url.pathname === '/rest/api/2/issue' && req.method === 'POST') {
+                reply = { key: `CS-${state.issues.length + 1}` };
+                state.issues.push({ key: reply.key, labels: json.fields.labels, done: false });
+            } else if (url.pathname.endsWith('/transitions') && req.method === 'GET') {
+                reply = { transitions: [{ id: '31', name: 'Done' }] };
+            } else if (url.pathname.endsWith('/transitions')) {
+                issue.done = true;
+            }
+            res.end(JSON.stringify(reply));
+        });
+    });
+    return { server, state };
+}
+
+describe('JiraIntegration.syncAnalyses', () => {
+    let fake;
+    let url;
+    const high = message => ({ rule: 'sqli', severity: 'high', message, line: 1 });
+
+    before(async () => {
+        fake = fakeJira();
+        fake.server.listen(0, '127.0.0.1');
+        await once(fake.server, 'listening');
+        url = `http://127.0.0.1:${fake.server.address().port}`;
+    });
+
+    after(() => {
+        fake.server.closeAllConnections();
+        fake.server.close();
+    });
+
+    const jira = () => new JiraIntegration({ url, username: 'bot', token: 't0ken', projectKey: 'CS' });
+
+    it('opens one ticket per finding with a single search per sync', async () => {
+        const analysis = { filePath: 'src/db.js', repository: 'acme/app', tenant: 'acme', result: { issues: [high('Query built from input'), high('Query built from input')] } };
+        fake.state.searches.length = 0;
+
+        assert.equal((await jira().syncAnalysis(analysis)).created.length, 1);
+        assert.deepEqual(await jira().syncAnalysis(analysis), { created: [], resolved: [] });
+        assert.equal(fake.state.searches.length, 2);
+        assert.match(fake.state.searches[0], /^project = "CS" AND labels in \("cs-file-[0-9a-f]{16}"\) AND statusCategory != Done$/);
+    });
+
+    it('keeps tenants and repositories apart', async () => {
+        const finding = { filePath: 'src/auth.js', result: { issues: [high('Weak hash')] } };
+        const { created: [acme] } = await jira().syncAnalysis({ ...finding, repository: 'acme/app', tenant: 'acme' });
+        const { created: [globex] } = await jira().syncAnalysis({ ...finding, repository: 'acme/app', tenant: 'globex' });
+        const { created: [other] } = await jira().syncAnalysis({ ...finding, repository: 'acme/api', tenant: 'acme' });
+        assert.equal(new Set([acme, globex, other]).size, 3);
+
+        const { resolved } = await jira().syncAnalysis({ ...finding, repository: 'acme/app', tenant: 'globex', result: { issues: [] } });
+        assert.deepEqual(resolved, [globex]);
+        assert.equal(fake.state.issues.find(issue => issue.key === acme).done, false);
+    });
+
+    it('resolves nothing for a file outside a repository', async () => {
+        const finding = { filePath: 'snippet.js', tenant: 'acme', result: { issues: [high('Eval of input')] } };
+        await jira().syncAnalysis(finding);
+
+        assert.deepEqual(await jira().syncAnalysis({ ...finding, result: { issues: [] } }), { created: [], resolved: [] });
+    });
+
+    it('syncs a batch of files with one search per 50 files', async () => {
+        const files = Array.from({ length: 120 }, (_, i) => ({
+            filePath: `src/batch/${i}.js`, repository: 'acme/app', tenant: 'acme', result: { issues: [high(`Finding ${i}`)] }
+        }));
+        await jira().syncAnalyses(files);
+        fake.state.searches.length = 0;
+
+        const { created, resolved } = await jira().syncAnalyses(files.map((file, i) => (i % 2 ? file : { ...file, result: { issues: [] } })));
+        assert.equal(created.length, 0);
+        assert.equal(resolved.length, 60);
+        assert.equal(fake.state.searches.length, 3);
+    });
+});
@@ -0,0 +1,213 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { currentRequestId, runWithRequestId } = require('./logger.js');
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.worker = options.worker;
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.maxRetainedJobs = options.maxRetainedJobs || 500;
+        this.jobs = new Map();
+        this.pending = [];
+        this.active = 0;
+    }
+
+    submit(files, options = {}, { tenant = null } = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            tenant,
+            // Files are analyzed under the id of the request that submitted them
+            requestId: currentRequestId(),
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            options,
+            files: files.map((file, index) => ({
+                index,
+                path: file?.path || `file-${index}`,
+                code: file?.code,
+                status: 'queued',
+                attempts: 0,
+                result: null,
+                error: null
+            }))
+        };
+
+        this.jobs.set(job.id, job);
+        this.evictFinishedJobs();
+
+        for (const file of job.files) {
+            this.pending.push({ job, file });
+        }
+        this.drain();
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || FINISHED_STATES.includes(job.status)) {
+            return job || null;
+        }
+
+        this.pending = this.pending.filter(task => task.job !== job);
+        for (const file of job.files) {
+            if (file.status === 'queued') {
+                file.status = 'cancelled';
+                file.code = undefined;
+            }
+        }
+
+        job.status = 'cancelled';
+        if (!job.files.some(file => file.status === 'running')) {
+            this.finish(job);
+        }
+        return job;
+    }
+
+    retryFailed(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        const failed = job.files.filter(file => file.status === 'failed');
+        if (failed.length === 0 || !FINISHED_STATES.includes(job.status)) {
+            return job;
+        }
+
+        job.status = 'queued';
+        job.finishedAt = null;
+        for (const file of failed) {
+            file.status = 'queued';
+            file.error = null;
+            this.pending.push({ job, file });
+        }
+        this.drain();
+
+        return job;
+    }
+
+    // Resolves once nothing is queued or running
+    idle() {
+        const isIdle = () => this.active === 0 && this.pending.length === 0;
+        if (isIdle()) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const check = () => {
+                if (isIdle()) {
+                    this.off('file_processed', check);
+                    this.off('job_finished', check);
+                    resolve();
+                }
+            };
+            this.on('file_processed', check);
+            this.on('job_finished', check);
+        });
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.pending.length > 0) {
+            const { job, file } = this.pending.shift();
+            runWithRequestId(job.requestId, () => this.run(job, file));
+        }
+    }
+
+    async run(job, file) {
+        this.active++;
+        if (job.status === 'queued') {
+            job.status = 'running';
+            job.startedAt = job.startedAt || new Date().toISOString();
+        }
+
+        file.status = 'running';
+        file.attempts++;
+
+        try {
+            if (typeof file.code !== 'string' || file.code.length === 0) {
+                throw new Error('File code is required');
+            }
+            file.result = await this.worker(file, job.options, job);
+            file.status = 'completed';
+            // Only failed files can be retried, so finished jobs hold on to
+            // the source of those alone
+            file.code = undefined;
+        } catch (error) {
+            file.status = 'failed';
+            file.error = error.message;
+        }
+
+        this.active--;
+        this.emit('file_processed', job, file);
+
+        if (!job.files.some(f => f.status === 'queued' || f.status === 'running')) {
+            this.finish(job);
+        }
+        this.drain();
+    }
+
+    finish(job) {
+        if (job.status !== 'cancelled') {
+            const allFailed = job.files.every(file => file.status === 'failed');
+            job.status = allFailed ? 'failed' : 'completed';
+        }
+        job.finishedAt = new Date().toISOString();
+        this.emit('job_finished', job);
+    }
+
+    evictFinishedJobs() {
+        if (this.jobs.size <= this.maxRetainedJobs) {
+            return;
+        }
+
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size <= this.maxRetainedJobs) {
+                break;
+            }
+            if (FINISHED_STATES.includes(job.status)) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    describe(job) {
+        const count = status => job.files.filter(file => file.status === status).length;
+
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            reportId: job.reportId || null,
+            qualityGate: job.qualityGate || null,
+            progress: {
+                total: job.files.length,
+                completed: count('completed'),
+                failed: count('failed'),
+                running: count('running'),
+                queued: count('queued'),
+                cancelled: count('cancelled')
+            },
+            files: job.files.map(file => ({
+                filePath: file.path,
+                status: file.status,
+                attempts: file.attempts,
+                result: file.result,
+                error: file.error
+            }))
+        };
+    }
+}
+
+module.exports = JobQueue;
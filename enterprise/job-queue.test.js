@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('./job-queue.js');
+
+describe('JobQueue', () => {
+    it('keeps source code only for files that can still be retried', async () => {
+        const queue = new JobQueue({
+            concurrency: 1,
+            worker: async file => {
+                if (file.code.includes('boom')) {
+                    throw new Error('boom');
+                }
+                return { issues: [] };
+            }
+        });
+        queue.on('file_processed', (job, file) => file.path === 'bad.js' && queue.cancel(job.id));
+        const job = queue.submit([{ path: 'ok.js', code: 'ok()' }, { path: 'bad.js', code: 'boom()' }, { path: 'later.js', code: 'later()' }]);
+        await queue.idle();
+
+        assert.deepEqual(job.files.map(file => [file.status, file.code]), [
+            ['completed', undefined],
+            ['failed', 'boom()'],
+            ['cancelled', undefined]
+        ]);
+    });
+
+    it('never runs more files at once than its concurrency', async () => {
+        let running = 0;
+        let peak = 0;
+        const queue = new JobQueue({
+            concurrency: 2,
+            worker: async () => {
+                running++;
+                peak = Math.max(peak, running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                return { issues: [] };
+            }
+        });
+        const job = queue.submit(Array.from({ length: 6 }, (_, i) => ({ path: `f${i}.js`, code: 'x()' })));
+        await queue.idle();
+
+        assert.equal(peak, 2);
+        assert.equal(job.status, 'completed');
+        assert.equal(queue.describe(job).progress.completed, 6);
+    });
+
+    it('retries only the failed files of a finished job', async () => {
+        let flaky = true;
+        const calls = [];
+        const queue = new JobQueue({
+            worker: async file => {
+                calls.push(file.path);
+                if (file.path === 'flaky.js' && flaky) {
+                    throw new Error('engine unavailable');
+                }
+                return { issues: [] };
+            }
+        });
+        const job = queue.submit([{ path: 'ok.js', code: 'ok()' }, { path: 'flaky.js', code: 'flaky()' }, { path: 'empty.js', code: '' }]);
+        await queue.idle();
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.files.map(file => file.error), [null, 'engine unavailable', 'File code is required']);
+
+        flaky = false;
+        assert.equal(queue.retryFailed(job.id), job);
+        await queue.idle();
+
+        assert.deepEqual(calls.sort(), ['flaky.js', 'flaky.js', 'ok.js']);
+        assert.deepEqual(job.files.map(file => [file.status, file.attempts]), [['completed', 1], ['completed', 2], ['failed', 2]]);
+        assert.equal(job.status, 'completed');
+        assert.equal(queue.retryFailed('missing'), null);
+    });
+});
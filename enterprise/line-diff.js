@@ -0,0 +1,171 @@
+// Beyond this many edits the changed region is emitted as one replacement
+// instead of a minimal diff. The search keeps one snapshot per edit, each
+// holding only the 2d+1 diagonals step d can reach, so it holds at most
+// about MAX_EDITS² entries (16 MB) however long the files are.
+const MAX_EDITS = 2000;
+
+// Myers' O((N+M)D) diff over lines. Returns `{ type, content }` operations
+// where type is 'equal', 'remove' or 'add'.
+function diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > prefix && newEnd > prefix && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const equal = lines => lines.map(content => ({ type: 'equal', content }));
+    return [
+        ...equal(oldLines.slice(0, prefix)),
+        ...myers(oldLines.slice(prefix, oldEnd), newLines.slice(prefix, newEnd)),
+        ...equal(oldLines.slice(oldEnd))
+    ];
+}
+
+function myers(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const trace = [];
+    let v = new Int32Array(2 * max + 2);
+
+    const replaceAll = () => [
+        ...a.map(content => ({ type: 'remove', content })),
+        ...b.map(content => ({ type: 'add', content }))
+    ];
+
+    for (let d = 0; d <= max; d++) {
+        if (d > MAX_EDITS) {
+            return replaceAll();
+        }
+        // Diagonals -d..d, as backtrack reads them for step d
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+    return replaceAll();
+}
+
+function backtrack(a, b, trace) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        // Snapshot d starts at diagonal -d
+        const v = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && v[d + k - 1] < v[d + k + 1]) ? k + 1 : k - 1;
+        const prevX = v[d + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', content: a[--x] });
+            y--;
+        }
+        if (prevK === k + 1) {
+            ops.push({ type: 'add', content: b[--y] });
+        } else {
+            ops.push({ type: 'remove', content: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'equal', content: a[--x] });
+        y--;
+    }
+
+    return ops.reverse();
+}
+
+// Builds hunks shaped like `parseHunks` output. Every run of changes gets
+// its own hunk and context never overlaps a neighbour's, so any subset of
+// the hunks still applies cleanly to the old text.
+function createHunks(oldText, newText, { context = 3 } = {}) {
+    const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+        const line = { type: op.type === 'equal' ? 'context' : op.type, content: op.content };
+        if (op.type !== 'add') {
+            line.oldLine = oldLine++;
+        }
+        if (op.type !== 'remove') {
+            line.newLine = newLine++;
+        }
+        return line;
+    });
+
+    // [start, end) index ranges of consecutive changed lines
+    const blocks = [];
+    numbered.forEach((line, index) => {
+        if (line.type === 'context') {
+            return;
+        }
+        const last = blocks[blocks.length - 1];
+        if (last && last.end === index) {
+            last.end++;
+        } else {
+            blocks.push({ start: index, end: index + 1 });
+        }
+    });
+
+    return blocks.map((block, i) => {
+        const previousEnd = i > 0 ? blocks[i - 1].end : 0;
+        const nextStart = i < blocks.length - 1 ? blocks[i + 1].start : numbered.length;
+        const gapBefore = block.start - previousEnd;
+        const gapAfter = nextStart - block.end;
+        // The gap to the previous block was split when that block was built
+        const before = i > 0 ? Math.min(context, gapBefore - Math.min(context, Math.floor(gapBefore / 2))) : Math.min(context, gapBefore);
+        const after = i < blocks.length - 1 ? Math.min(context, Math.floor(gapAfter / 2)) : Math.min(context, gapAfter);
+
+        const lines = numbered.slice(block.start - before, block.end + after);
+        const oldLines = lines.filter(line => line.type !== 'add');
+        const newLines = lines.filter(line => line.type !== 'remove');
+        const precedingOld = numbered.slice(0, block.start - before).filter(line => line.type !== 'add').length;
+        const precedingNew = numbered.slice(0, block.start - before).filter(line => line.type !== 'remove').length;
+
+        return {
+            // Unified diff convention: an empty range starts at the line before it
+            oldStart: oldLines.length > 0 ? oldLines[0].oldLine : precedingOld,
+            oldLines: oldLines.length,
+            newStart: newLines.length > 0 ? newLines[0].newLine : precedingNew,
+            newLines: newLines.length,
+            lines
+        };
+    });
+}
+
+function formatHunk(hunk) {
+    const prefix = { context: ' ', add: '+', remove: '-' };
+    return [
+        `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        ...hunk.lines.map(line => prefix[line.type] + line.content)
+    ].join('\n');
+}
+
+function formatPatch(filePath, hunks) {
+    return [`--- a/${filePath}`, `+++ b/${filePath}`, ...hunks.map(formatHunk)].join('\n') + '\n';
+}
+
+module.exports = {
+    diffLines,
+    createHunks,
+    formatHunk,
+    formatPatch
+};
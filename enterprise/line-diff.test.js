@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, createHunks, formatPatch } = require('./line-diff.js');
+const { applyHunks, parseUnifiedDiff } = require('./diff-parser.js');
+
+// Deterministic pseudo-random lines from a small alphabet, so inputs share
+// plenty of lines
+function randomLines(seed, count) {
+    let state = seed;
+    return Array.from({ length: count }, () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return 'abcde'[state % 5];
+    });
+}
+
+function lcsLength(a, b) {
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            table[i][j] = a[i - 1] === b[j - 1] ? table[i - 1][j - 1] + 1 : Math.max(table[i - 1][j], table[i][j - 1]);
+        }
+    }
+    return table[a.length][b.length];
+}
+
+const side = (ops, skip) => ops.filter(op => op.type !== skip).map(op => op.content);
+
+describe('diffLines', () => {
+    it('produces a minimal edit script that rebuilds both sides', () => {
+        for (let seed = 1; seed <= 40; seed++) {
+            const a = randomLines(seed, 5 + (seed % 13));
+            const b = randomLines(seed * 7, 3 + (seed % 11));
+            const ops = diffLines(a, b);
+
+            assert.deepEqual(side(ops, 'add'), a);
+            assert.deepEqual(side(ops, 'remove'), b);
+            assert.equal(ops.filter(op => op.type === 'equal').length, lcsLength(a, b), `seed ${seed}`);
+        }
+    });
+
+    it('keeps common prefixes and suffixes as equal lines', () => {
+        assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c']), [
+            { type: 'equal', content: 'a' },
+            { type: 'remove', content: 'b' },
+            { type: 'add', content: 'x' },
+            { type: 'equal', content: 'c' }
+        ]);
+        assert.deepEqual(diffLines([], ['a']), [{ type: 'add', content: 'a' }]);
+    });
+
+    it('replaces a large rewrite wholesale instead of searching it', () => {
+        const a = Array.from({ length: 50000 }, (_, i) => `old ${i}`);
+        const b = Array.from({ length: 50000 }, (_, i) => `new ${i}`);
+        const heapBefore = process.memoryUsage().heapUsed;
+        const ops = diffLines(a, b);
+
+        assert.equal(ops.length, 100000);
+        assert.deepEqual(side(ops, 'add'), a);
+        assert.deepEqual(side(ops, 'remove'), b);
+        assert.ok(process.memoryUsage().heapUsed - heapBefore < 256 * 1024 * 1024);
+    });
+});
+
+describe('createHunks', () => {
+    const before = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    const after = [...before];
+    after[2] = 'changed 3';
+    after.splice(15, 1);
+    after.splice(25, 0, 'inserted');
+    const oldText = before.join('\n');
+    const newText = after.join('\n');
+
+    it('splits separate changes into hunks that rebuild the new text', () => {
+        const hunks = createHunks(oldText, newText);
+        assert.equal(hunks.length, 3);
+        assert.equal(applyHunks(oldText, hunks), newText);
+    });
+
+    it('lets any subset of hunks apply on its own', () => {
+        const hunks = createHunks(oldText, newText, { context: 3 });
+        for (let mask = 0; mask < 2 ** hunks.length; mask++) {
+            const subset = hunks.filter((_, i) => mask & (1 << i));
+            assert.doesNotThrow(() => applyHunks(oldText, subset), `subset ${mask}`);
+        }
+        assert.equal(applyHunks(oldText, [hunks[1]]).split('\n').length, 29);
+    });
+
+    it('formats a patch that parses back to the same change', () => {
+        const patch = formatPatch('src/a.js', createHunks(oldText, newText));
+        const [file] = parseUnifiedDiff(patch);
+
+        assert.equal(file.newPath, 'src/a.js');
+        assert.equal(applyHunks(oldText, file.hunks), newText);
+    });
+});
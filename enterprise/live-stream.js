@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+const TOPIC_PATTERN = /^(analyses|alerts|reports|(job|repo):[^\s]+)$/;
+const DEFAULT_TOPICS = ['analyses', 'alerts', 'reports'];
+const HEARTBEAT_INTERVAL = 25000;
+
+// An empty list means `fallback`: the default topics when connecting,
+// nothing when changing topics later
+function parseTopics(value, fallback = DEFAULT_TOPICS) {
+    const topics = Array.isArray(value)
+        ? value
+        : String(value || '').split(',').map(topic => topic.trim()).filter(Boolean);
+    return topics.length > 0 ? topics : fallback;
+}
+
+function topicKind(topic) {
+    return topic.includes(':') ? topic.slice(0, topic.indexOf(':')) : topic;
+}
+
+// Fans monitor and job events out to dashboard clients by topic. The hub
+// listens to each source once, however many clients are connected, so
+// connections only add and remove entries in `subscribers`.
+class LiveStream {
+    constructor() {
+        this.subscribers = new Map();
+        this.bridges = [];
+        this.snapshots = new Map();
+        this.sseResponses = new Set();
+    }
+
+    // `topics(...args)` picks the topics an event is published on and
+    // `map(...args)` the payload sent to clients (the first argument by default)
+    bridge(emitter, sourceEvent, { as, topics, map = payload => payload }) {
+        const listener = (...args) => this.publish(topics(...args).filter(Boolean), as, map(...args));
+        emitter.on(sourceEvent, listener);
+        this.bridges.push(() => emitter.off(sourceEvent, listener));
+    }
+
+    // Registers the backfill for a topic kind ('alerts', 'job', ...); `fn`
+    // receives the part after the colon for parameterised topics.
+    addSnapshot(kind, fn) {
+        this.snapshots.set(kind, fn);
+    }
+
+    publish(topics, event, payload) {
+        for (const subscriber of this.subscribers.values()) {
+            if (topics.some(topic => subscriber.topics.has(topic))) {
+                subscriber.send(event, payload);
+            }
+        }
+    }
+
+    // `send(event, payload)` delivers one message to the client. Returns a
+    // handle for changing topics and closing the subscription.
+    subscribe(send, topics = DEFAULT_TOPICS) {
+        const subscriber = { id: crypto.randomUUID(), send, topics: new Set() };
+        this.subscribers.set(subscriber.id, subscriber);
+
+        const handle = {
+            id: subscriber.id,
+            topics: () => [...subscriber.topics],
+            add: requested => this.addTopics(subscriber, requested),
+            remove: requested => requested.forEach(topic => subscriber.topics.delete(topic)),
+            close: () => this.subscribers.delete(subscriber.id)
+        };
+        return this.addTopics(subscriber, topics).then(() => handle, error => {
+            handle.close();
+            throw error;
+        });
+    }
+
+    async addTopics(subscriber, topics) {
+        const invalid = topics.filter(topic => !TOPIC_PATTERN.test(topic));
+        if (invalid.length > 0) {
+            throw new Error(`Unknown topics: ${invalid.join(', ')}`);
+        }
+
+        for (const topic of topics) {
+            if (subscriber.topics.has(topic)) {
+                continue;
+            }
+            subscriber.topics.add(topic);
+
+            const snapshot = this.snapshots.get(topicKind(topic));
+            if (snapshot) {
+                const data = await snapshot(topic.includes(':') ? topic.slice(topic.indexOf(':') + 1) : undefined);
+                // The client may have gone away while the snapshot loaded
+                if (this.subscribers.has(subscriber.id)) {
+                    subscriber.send('snapshot', { topic, data });
+                }
+            }
+        }
+    }
+
+    // Express handler for the Server-Sent Events fallback
+    sseHandler() {
+        return async (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write('retry: 5000\n\n');
+            this.sseResponses.add(res);
+
+            let sequence = 0;
+            const send = (event, payload) => {
+                res.write(`id: ${++sequence}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+            };
+
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+            let subscription = null;
+            let closed = false;
+            req.on('close', () => {
+                closed = true;
+                clearInterval(heartbeat);
+                this.sseResponses.delete(res);
+                if (subscription) {
+                    subscription.close();
+                }
+            });
+
+            try {
+                subscription = await this.subscribe(send, parseTopics(req.query.topics));
+                if (closed) {
+                    subscription.close();
+                }
+            } catch (error) {
+                send('stream_error', { error: error.message });
+                res.end();
+            }
+        };
+    }
+
+    // socket.io connection handler. Clients choose topics with
+    // `auth: { topics }` or `?topics=` and change them with
+    // `subscribe`/`unsubscribe` events.
+    attachSocket(socket) {
+        const requested = parseTopics(socket.handshake.auth?.topics || socket.handshake.query?.topics);
+        const subscribing = this.subscribe((event, payload) => socket.emit(event, payload), requested);
+
+        subscribing.catch(error => {
+            socket.emit('stream_error', { error: error.message });
+            socket.disconnect(true);
+        });
+
+        const reply = (ack, promise) => promise
+            .then(subscription => typeof ack === 'function' && ack({ success: true, topics: subscription.topics() }))
+            .catch(error => typeof ack === 'function' && ack({ success: false, error: error.message }));
+
+        socket.on('subscribe', (topics, ack) => reply(ack,
+            subscribing.then(subscription => subscription.add(parseTopics(topics, [])).then(() => subscription))));
+        socket.on('unsubscribe', (topics, ack) => reply(ack,
+            subscribing.then(subscription => {
+                subscription.remove(parseTopics(topics, []));
+                return subscription;
+            })));
+        socket.on('disconnect', () => {
+            subscribing.then(subscription => subscription.close()).catch(() => {});
+        });
+    }
+
+    close() {
+        for (const remove of this.bridges.splice(0)) {
+            remove();
+        }
+        this.subscribers.clear();
+        // Open event streams would otherwise keep the HTTP server from closing
+        for (const res of this.sseResponses) {
+            res.end();
+        }
+        this.sseResponses.clear();
+    }
+}
+
+module.exports = {
+    LiveStream,
+    parseTopics,
+    DEFAULT_TOPICS
+};
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { LiveStream, parseTopics } = require('./live-stream.js');
+
+function fakeSocket(auth = {}) {
+    const handlers = {};
+    return {
+        handshake: { auth, query: {} },
+        sent: [],
+        emit(event, payload) {
+            this.sent.push({ event, payload });
+        },
+        on(event, handler) {
+            handlers[event] = handler;
+        },
+        // Calls the client-side event and resolves with its acknowledgement
+        request(event, topics) {
+            return new Promise(resolve => handlers[event](topics, resolve));
+        },
+        disconnect() {
+            this.disconnected = true;
+        }
+    };
+}
+
+describe('LiveStream', () => {
+    it('publishes bridged events to subscribers of their topics only', async () => {
+        const stream = new LiveStream();
+        const monitor = new EventEmitter();
+        stream.bridge(monitor, 'alert_created', { as: 'alert_update', topics: alert => ['alerts', alert.repository && `repo:${alert.repository}`] });
+        const alerts = [];
+        const repos = [];
+        await stream.subscribe((event, payload) => alerts.push({ event, payload }), ['alerts']);
+        await stream.subscribe((event, payload) => repos.push(payload), ['repo:acme/app']);
+
+        monitor.emit('alert_created', { id: 1 });
+        monitor.emit('alert_created', { id: 2, repository: 'acme/app' });
+
+        assert.deepEqual(alerts, [{ event: 'alert_update', payload: { id: 1 } }, { event: 'alert_update', payload: { id: 2, repository: 'acme/app' } }]);
+        assert.deepEqual(repos, [{ id: 2, repository: 'acme/app' }]);
+
+        stream.close();
+        monitor.emit('alert_created', { id: 3 });
+        assert.equal(alerts.length, 2);
+    });
+
+    it('backfills each new topic with its snapshot', async () => {
+        const stream = new LiveStream();
+        stream.addSnapshot('job', id => ({ id, status: 'running' }));
+        const sent = [];
+        await stream.subscribe((event, payload) => sent.push({ event, payload }), ['job:42']);
+
+        assert.deepEqual(sent, [{ event: 'snapshot', payload: { topic: 'job:42', data: { id: '42', status: 'running' } } }]);
+        await assert.rejects(stream.subscribe(() => {}, ['jobs']), /Unknown topics: jobs/);
+        assert.equal(stream.subscribers.size, 1);
+    });
+
+    it('changes socket topics on request and ignores empty lists', async () => {
+        const stream = new LiveStream();
+        const socket = fakeSocket({ topics: ['alerts', 'reports'] });
+        stream.attachSocket(socket);
+
+        assert.deepEqual(await socket.request('unsubscribe', []), { success: true, topics: ['alerts', 'reports'] });
+        assert.deepEqual(await socket.request('subscribe', ''), { success: true, topics: ['alerts', 'reports'] });
+        assert.deepEqual(await socket.request('subscribe', 'repo:acme/app'), { success: true, topics: ['alerts', 'reports', 'repo:acme/app'] });
+        assert.deepEqual(await socket.request('unsubscribe', ['alerts']), { success: true, topics: ['reports', 'repo:acme/app'] });
+        assert.deepEqual(await socket.request('subscribe', ['nope']), { success: false, error: 'Unknown topics: nope' });
+    });
+
+    it('defaults connections without topics to analyses, alerts and reports', () => {
+        assert.deepEqual(parseTopics(undefined), ['analyses', 'alerts', 'reports']);
+        assert.deepEqual(parseTopics(' alerts, job:1 ,'), ['alerts', 'job:1']);
+        assert.deepEqual(parseTopics([], []), []);
+    });
+});
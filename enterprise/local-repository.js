@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { ValidationError } = require('./errors.js');
+
+const run = promisify(execFile);
+
+// Branches, tags, SHAs and `HEAD~2`-style expressions; never an option
+const REF_PATTERN = /^(?!-)[\w./~^@{}-]+$/;
+
+function isValidRef(ref) {
+    return typeof ref === 'string' && REF_PATTERN.test(ref);
+}
+
+// Resolves a caller-supplied path and checks it lies under one of `roots`.
+// A null `roots` allows any path (the CLI); an empty list allows none.
+// Symlinks are followed on both sides before comparing, so a link inside a
+// root cannot lead out of it.
+function resolveRepositoryPath(repositoryPath, roots) {
+    if (!repositoryPath) {
+        throw new ValidationError('A repository path is required');
+    }
+
+    const resolved = realpath(path.resolve(repositoryPath));
+    if (!resolved) {
+        throw new ValidationError('Repository path does not exist');
+    }
+    if (roots) {
+        const allowed = roots.map(root => realpath(path.resolve(root))).filter(Boolean).some(root => {
+            const relative = path.relative(root, resolved);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+        if (!allowed) {
+            throw new ValidationError('Repository path is outside the allowed repository roots');
+        }
+    }
+    return resolved;
+}
+
+// Null for paths that do not exist
+function realpath(target) {
+    try {
+        return fs.realpathSync(target);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Runs git in `cwd` and returns stdout. Unknown refs and paths that are not
+// repositories are caller errors, so failures surface as ValidationErrors.
+async function runGit(cwd, args, { encoding = 'utf8' } = {}) {
+    try {
+        return (await run('git', args, { cwd, encoding, maxBuffer: 64 * 1024 * 1024 })).stdout;
+    } catch (error) {
+        const detail = String(error.stderr || error.message).trim().split('\n')[0];
+        throw new ValidationError(`git ${args[0]} failed: ${detail}`);
+    }
+}
+
+module.exports = {
+    isValidRef,
+    resolveRepositoryPath,
+    runGit
+};
@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveRepositoryPath, isValidRef } = require('./local-repository.js');
+const { ValidationError } = require('./errors.js');
+
+describe('resolveRepositoryPath', () => {
+    let dir;
+    let root;
+
+    before(() => {
+        dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'local-repository-')));
+        root = path.join(dir, 'repos');
+        fs.mkdirSync(path.join(root, 'app'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'secret'));
+        fs.symlinkSync(path.join(dir, 'secret'), path.join(root, 'escape'));
+        fs.symlinkSync(root, path.join(dir, 'linked-root'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('accepts repositories under a root', () => {
+        assert.equal(resolveRepositoryPath(path.join(root, 'app'), [root]), path.join(root, 'app'));
+        assert.equal(resolveRepositoryPath(path.join(dir, 'secret'), null), path.join(dir, 'secret'));
+    });
+
+    it('follows symlinks before checking containment', () => {
+        assert.throws(() => resolveRepositoryPath(path.join(root, 'escape'), [root]), /outside the allowed repository roots/);
+        assert.equal(resolveRepositoryPath(path.join(root, 'app'), [path.join(dir, 'linked-root')]), path.join(root, 'app'));
+    });
+
+    it('rejects paths outside every root and paths that do not exist', () => {
+        assert.throws(() => resolveRepositoryPath(path.join(root, '..', 'secret'), [root]), ValidationError);
+        assert.throws(() => resolveRepositoryPath(path.join(root, 'app'), []), ValidationError);
+        assert.throws(() => resolveRepositoryPath(path.join(root, 'missing'), [root]), /does not exist/);
+        assert.throws(() => resolveRepositoryPath('', [root]), /is required/);
+    });
+});
+
+describe('isValidRef', () => {
+    it('accepts refs and rejects options', () => {
+        assert.equal(isValidRef('main'), true);
+        assert.equal(isValidRef('HEAD~2'), true);
+        assert.equal(isValidRef('--output=/tmp/x'), false);
+        assert.equal(isValidRef('a b'), false);
+    });
+});
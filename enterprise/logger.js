@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REQUEST_ID_HEADER = 'x-request-id';
+const REDACTED = '[redacted]';
+
+// Field names whose values are never written out: secrets are replaced,
+// source code is reduced to its length. Secret names must be whole words
+// of the key, so `webhookSecret` and `x-api-key` match but `passed` and
+// `bypass` do not.
+const SECRET_KEY = /(?:^|[^a-z])(?:passwords?|passwd|secrets?|tokens?|authorization|cookies?|credentials?|api[-_]?keys?|private[-_]?keys?)(?:[^a-z]|$)/i;
+const CODE_KEY = /^(code|fixedCode|content|patch|diff|baseFiles)$/;
+const URL_CREDENTIALS = /(\/\/)[^/\s:@]+:[^/\s@]+@/g;
+const BEARER = /\b(Bearer\s+)[\w.~+/=-]+/g;
+const API_KEY = /\bcs_[0-9a-f]{12}_[0-9a-f]{48}\b/g;
+
+const requestContext = new AsyncLocalStorage();
+
+// camelCase keys are split into words first
+function isSecretKey(key) {
+    return SECRET_KEY.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+}
+
+function redactString(value) {
+    return value
+        .replace(URL_CREDENTIALS, `$1${REDACTED}@`)
+        .replace(BEARER, `$1${REDACTED}`)
+        .replace(API_KEY, REDACTED);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(String(error.message)),
+        ...(error.code && { code: error.code }),
+        ...(error.stack && { stack: redactString(error.stack) })
+    };
+}
+
+function redact(value, key = '', depth = 0) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (isSecretKey(key)) {
+        return REDACTED;
+    }
+    if (CODE_KEY.test(key)) {
+        const length = typeof value === 'string' ? value.length : JSON.stringify(value)?.length || 0;
+        return `[${length} chars]`;
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= 6) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, '', depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+// The id of the request being handled, if any. It follows promises and
+// callbacks started while handling the request, so engine calls, webhook
+// processing and alerts raised by a request all see it.
+function currentRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+// Express middleware giving every request an id, taken from a well-formed
+// X-Request-Id header or generated, and echoing it back in the response
+function requestId() {
+    return (req, res, next) => {
+        const header = req.headers[REQUEST_ID_HEADER];
+        req.id = typeof header === 'string' && /^[\w.:-]{1,128}$/.test(header) ? header : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+        runWithRequestId(req.id, next);
+    };
+}
+
+// Body parsers call `next` from stream events, outside the request's
+// context; this runs the rest of the chain back inside it
+function bindContext(middleware) {
+    return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// Writes one JSON object per line: `timestamp`, `level`, `message`, the
+// current request id and any fields, with secrets and code redacted.
+// Children share their parent's level and add fields of their own.
+class Logger {
+    constructor(options = {}) {
+        this.root = options.root || this;
+        this.fields = options.fields || {};
+        if (this.root === this) {
+            this.level = options.level || 'info';
+            this.stream = options.stream || process.stdout;
+            this.errorStream = options.errorStream || options.stream || process.stderr;
+        }
+    }
+
+    configure({ level } = {}) {
+        if (level) {
+            this.root.level = level;
+        }
+        return this;
+    }
+
+    child(fields) {
+        return new Logger({ root: this.root, fields: { ...this.fields, ...fields } });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= (LEVELS[this.root.level] ?? LEVELS.info);
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.enabled(level)) {
+            return;
+        }
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message: redactString(String(message)),
+            ...redact({ requestId: currentRequestId() || undefined, ...this.fields, ...fields })
+        };
+        const stream = LEVELS[level] >= LEVELS.warn ? this.root.errorStream : this.root.stream;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+const logger = new Logger();
+
+module.exports = {
+    Logger,
+    LEVELS,
+    logger,
+    redact,
+    requestId,
+    bindContext,
+    currentRequestId,
+    runWithRequestId
+};
@@ -0,0 +1,163 @@
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help || name;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    seriesFor(labels = {}) {
+        const values = this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, this.createSeries(Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]))));
+        }
+        return this.series.get(key);
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} cannot decrease`);
+        }
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    createSeries(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = super.render().slice(0, 2);
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+// A minimal Prometheus-compatible registry. Collectors run before every
+// render or snapshot so point-in-time gauges (heap, RSS) stay current.
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    collect() {
+        for (const collector of this.collectors) {
+            collector();
+        }
+        return [...this.metrics.values()];
+    }
+
+    render() {
+        return this.collect().flatMap(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    DEFAULT_BUCKETS
+};
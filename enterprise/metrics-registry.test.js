@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('./metrics-registry.js');
+
+describe('MetricsRegistry', () => {
+    it('renders counters and gauges in the Prometheus text format', () => {
+        const registry = new MetricsRegistry();
+        const requests = registry.counter({ name: 'http_requests_total', help: 'HTTP requests', labelNames: ['route', 'status'] });
+        requests.inc({ route: '/api/v1/analyze', status: 200 });
+        requests.inc({ route: '/api/v1/analyze', status: 200 }, 2);
+        requests.inc({ route: 'say "hi"\n', status: 500 });
+        let heap = 0;
+        const gauge = registry.gauge({ name: 'heap_bytes', help: 'Heap in use' });
+        registry.addCollector(() => gauge.set({}, ++heap));
+
+        assert.equal(registry.render(), [
+            '# HELP http_requests_total HTTP requests',
+            '# TYPE http_requests_total counter',
+            'http_requests_total{route="/api/v1/analyze",status="200"} 3',
+            'http_requests_total{route="say \\"hi\\"\\n",status="500"} 1',
+            '# HELP heap_bytes Heap in use',
+            '# TYPE heap_bytes gauge',
+            'heap_bytes 1',
+            ''
+        ].join('\n'));
+        assert.match(registry.render(), /^heap_bytes 2$/m);
+    });
+
+    it('renders cumulative histogram buckets with sum and count', () => {
+        const registry = new MetricsRegistry();
+        const duration = registry.histogram({ name: 'analysis_seconds', labelNames: ['cached'], buckets: [1, 0.1] });
+        for (const value of [0.05, 0.5, 3]) {
+            duration.observe({ cached: false }, value);
+        }
+
+        assert.deepEqual(duration.render().slice(2), [
+            'analysis_seconds_bucket{cached="false",le="0.1"} 1',
+            'analysis_seconds_bucket{cached="false",le="1"} 2',
+            'analysis_seconds_bucket{cached="false",le="+Inf"} 3',
+            'analysis_seconds_sum{cached="false"} 3.55',
+            'analysis_seconds_count{cached="false"} 3'
+        ]);
+    });
+
+    it('rejects duplicate metrics and decreasing counters', () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter({ name: 'jobs_total' });
+        assert.throws(() => registry.gauge({ name: 'jobs_total' }), /already registered/);
+        assert.throws(() => counter.inc({}, -1), /cannot decrease/);
+    });
+});
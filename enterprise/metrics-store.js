@@ -0,0 +1,225 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const KINDS = ['metrics', 'alerts', 'reports', 'silences'];
+
+function dayOf(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Metrics carry epoch milliseconds, alerts and reports ISO strings
+function timeOf(record) {
+    return typeof record.timestamp === 'number' ? record.timestamp : Date.parse(record.timestamp);
+}
+
+function inRange(record, from, to) {
+    const time = timeOf(record);
+    return time >= from && time < to;
+}
+
+// Bounded in-memory store, used in tests and when durability is not needed.
+class MemoryMetricsStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 50000;
+        this.records = Object.fromEntries(KINDS.map(kind => [kind, []]));
+    }
+
+    async append(kind, record) {
+        const records = this.records[kind];
+        records.push(record);
+        if (records.length > this.maxEntries) {
+            records.splice(0, records.length - this.maxEntries);
+        }
+    }
+
+    async query(kind, { from = 0, to = Infinity } = {}) {
+        return this.records[kind].filter(record => inRange(record, from, to));
+    }
+
+    async *scan(kind, { from = 0, to = Infinity } = {}) {
+        for (const record of this.records[kind]) {
+            if (inRange(record, from, to)) {
+                yield record;
+            }
+        }
+    }
+
+    async enforceRetention(kind, maxAge) {
+        const cutoff = Date.now() - maxAge;
+        const records = this.records[kind];
+        const kept = records.filter(record => timeOf(record) >= cutoff);
+        this.records[kind] = kept;
+        return records.length - kept.length;
+    }
+}
+
+// Append-only JSON lines, one segment per kind and UTC day
+// (`<directory>/<kind>/YYYY-MM-DD.jsonl`). Retention drops whole segments,
+// so existing lines are never rewritten.
+class FileMetricsStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(process.cwd(), 'data', 'metrics');
+    }
+
+    segmentPath(kind, day) {
+        return path.join(this.directory, kind, `${day}.jsonl`);
+    }
+
+    async append(kind, record) {
+        await fs.mkdir(path.join(this.directory, kind), { recursive: true });
+        await fs.appendFile(this.segmentPath(kind, dayOf(timeOf(record))), JSON.stringify(record) + '\n');
+    }
+
+    async segments(kind) {
+        try {
+            return (await fs.readdir(path.join(this.directory, kind)))
+                .filter(file => file.endsWith('.jsonl'))
+                .map(file => file.slice(0, -'.jsonl'.length))
+                .sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async query(kind, range = {}) {
+        const records = [];
+        for await (const record of this.scan(kind, range)) {
+            records.push(record);
+        }
+        return records;
+    }
+
+    // Yields records in [from, to) one line at a time, so long ranges are
+    // never held in memory
+    async *scan(kind, { from = 0, to = Infinity } = {}) {
+        const firstDay = dayOf(from);
+        const lastDay = to === Infinity ? '9999-12-31' : dayOf(to);
+
+        for (const day of await this.segments(kind)) {
+            if (day < firstDay || day > lastDay) {
+                continue;
+            }
+
+            const lines = readline.createInterface({
+                input: createReadStream(this.segmentPath(kind, day), 'utf8'),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                if (!line) {
+                    continue;
+                }
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A torn final line from a crash mid-append is skipped
+                    continue;
+                }
+                if (inRange(record, from, to)) {
+                    yield record;
+                }
+            }
+        }
+    }
+
+    async enforceRetention(kind, maxAge) {
+        const cutoffDay = dayOf(Date.now() - maxAge);
+        let removed = 0;
+
+        for (const day of await this.segments(kind)) {
+            if (day < cutoffDay) {
+                await fs.unlink(this.segmentPath(kind, day));
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+// Averages analysis and system samples into fixed buckets for long ranges.
+// Samples are added one at a time and each bucket keeps only running
+// totals, so memory grows with the number of buckets, not samples.
+class Downsampler {
+    constructor(bucketSize) {
+        this.bucketSize = bucketSize;
+        this.buckets = new Map();
+    }
+
+    add(record) {
+        const start = Math.floor(record.timestamp / this.bucketSize) * this.bucketSize;
+        let bucket = this.buckets.get(start);
+        if (!bucket) {
+            bucket = {
+                analysis: { count: 0, totalTime: 0, maxTime: 0, totalThroughput: 0, totalIssues: 0 },
+                system: { samples: 0, totalHeapUsed: 0, maxHeapUsed: 0, totalRss: 0 }
+            };
+            this.buckets.set(start, bucket);
+        }
+
+        if (record.filePath) {
+            const analysis = bucket.analysis;
+            analysis.count++;
+            analysis.totalTime += record.analysisTime;
+            analysis.maxTime = Math.max(analysis.maxTime, record.analysisTime);
+            analysis.totalThroughput += record.throughput;
+            analysis.totalIssues += record.issues;
+        } else {
+            const system = bucket.system;
+            system.samples++;
+            system.totalHeapUsed += record.memory.heapUsed;
+            system.maxHeapUsed = Math.max(system.maxHeapUsed, record.memory.heapUsed);
+            system.totalRss += record.memory.rss;
+        }
+    }
+
+    points() {
+        const avg = (total, count) => count > 0 ? total / count : 0;
+
+        return [...this.buckets.entries()].sort(([a], [b]) => a - b).map(([start, { analysis, system }]) => ({
+            timestamp: start,
+            bucketSize: this.bucketSize,
+            analysis: {
+                count: analysis.count,
+                avgTime: avg(analysis.totalTime, analysis.count),
+                maxTime: analysis.maxTime,
+                avgThroughput: avg(analysis.totalThroughput, analysis.count),
+                totalIssues: analysis.totalIssues
+            },
+            system: {
+                samples: system.samples,
+                avgHeapUsed: avg(system.totalHeapUsed, system.samples),
+                maxHeapUsed: system.maxHeapUsed,
+                avgRss: avg(system.totalRss, system.samples)
+            }
+        }));
+    }
+}
+
+function downsample(records, bucketSize) {
+    const downsampler = new Downsampler(bucketSize);
+    for (const record of records) {
+        downsampler.add(record);
+    }
+    return downsampler.points();
+}
+
+function createMetricsStore(options = {}) {
+    if (options.type === 'memory') {
+        return new MemoryMetricsStore(options);
+    }
+    return new FileMetricsStore(options);
+}
+
+module.exports = {
+    KINDS,
+    MemoryMetricsStore,
+    FileMetricsStore,
+    createMetricsStore,
+    Downsampler,
+    downsample
+};
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryMetricsStore, FileMetricsStore, downsample } = require('./metrics-store.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('FileMetricsStore', () => {
+    it('queries records across daily segments in [from, to)', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-'));
+        try {
+            const store = new FileMetricsStore({ directory });
+            const start = Date.parse('2024-03-01T23:00:00Z');
+            for (let hour = 0; hour < 4; hour++) {
+                await store.append('metrics', { id: hour, timestamp: start + hour * 60 * 60 * 1000 });
+            }
+            await store.append('alerts', { id: 'alert_1', timestamp: new Date(start).toISOString() });
+
+            assert.deepEqual(fs.readdirSync(path.join(directory, 'metrics')), ['2024-03-01.jsonl', '2024-03-02.jsonl']);
+            const records = await store.query('metrics', { from: start + 60 * 60 * 1000, to: start + 3 * 60 * 60 * 1000 });
+            assert.deepEqual(records.map(record => record.id), [1, 2]);
+            assert.deepEqual((await store.query('alerts')).map(alert => alert.id), ['alert_1']);
+            assert.deepEqual(await store.query('reports'), []);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('skips a torn final line and drops whole segments past retention', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-'));
+        try {
+            const store = new FileMetricsStore({ directory });
+            const now = Date.now();
+            await store.append('metrics', { id: 'old', timestamp: now - 10 * DAY });
+            await store.append('metrics', { id: 'new', timestamp: now });
+            fs.appendFileSync(store.segmentPath('metrics', new Date(now).toISOString().split('T')[0]), '{"id":"torn","timest');
+
+            assert.deepEqual((await store.query('metrics')).map(record => record.id), ['old', 'new']);
+            assert.equal(await store.enforceRetention('metrics', 5 * DAY), 1);
+            assert.deepEqual((await store.query('metrics')).map(record => record.id), ['new']);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('MemoryMetricsStore', () => {
+    it('keeps the newest records up to its bound and applies retention', async () => {
+        const store = new MemoryMetricsStore({ maxEntries: 2 });
+        const now = Date.now();
+        for (const [id, age] of [['a', 0], ['b', 3 * DAY], ['c', 0]]) {
+            await store.append('metrics', { id, timestamp: now - age });
+        }
+
+        assert.deepEqual((await store.query('metrics')).map(record => record.id), ['b', 'c']);
+        assert.equal(await store.enforceRetention('metrics', DAY), 1);
+        assert.deepEqual((await store.query('metrics')).map(record => record.id), ['c']);
+    });
+});
+
+describe('downsample', () => {
+    it('averages analysis and system samples per bucket', () => {
+        const points = downsample([
+            { timestamp: 1000, filePath: 'a.js', analysisTime: 10, throughput: 4, issues: 1 },
+            { timestamp: 1500, filePath: 'b.js', analysisTime: 30, throughput: 2, issues: 2 },
+            { timestamp: 2500, memory: { heapUsed: 100, rss: 300 } },
+            { timestamp: 2900, memory: { heapUsed: 200, rss: 500 } }
+        ], 1000);
+
+        assert.deepEqual(points.map(point => point.timestamp), [1000, 2000]);
+        assert.deepEqual(points[0].analysis, { count: 2, avgTime: 20, maxTime: 30, avgThroughput: 3, totalIssues: 3 });
+        assert.deepEqual(points[1].system, { samples: 2, avgHeapUsed: 150, maxHeapUsed: 200, avgRss: 400 });
+    });
+});
@@ -0,0 +1,188 @@
+const os = require('os');
+const crypto = require('crypto');
+const { SmtpClient, parseSmtpServer } = require('./smtp-client.js');
+
+const PAGERDUTY_SEVERITIES = {
+    critical: 'critical',
+    error: 'error',
+    warning: 'warning',
+    info: 'info'
+};
+
+const DEFAULT_TIMEOUT = 10000;
+
+const channels = new Map();
+
+// A factory takes the channel's config section, with the shared `timeout`
+// in ms, and returns an object with `isConfigured()` and
+// `send(alert, event)`; `event` is 'firing' or 'resolved'.
+function registerChannel(name, factory) {
+    channels.set(name, factory);
+}
+
+function createChannels(config = {}) {
+    const created = new Map();
+    for (const [name, factory] of channels) {
+        const channel = factory({ timeout: config.timeout || DEFAULT_TIMEOUT, ...config[name] });
+        if (channel.isConfigured()) {
+            created.set(name, channel);
+        }
+    }
+    return created;
+}
+
+function deliveryError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+// Webhook URLs often carry their secret in the path or query, so errors
+// name only the host
+function describeUrl(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return 'invalid URL';
+    }
+}
+
+// Client errors other than 429 will not succeed on retry; a receiver that
+// does not answer within `timeout` ms is retried like a 5xx
+async function postJson(url, body, { headers = {}, timeout = DEFAULT_TIMEOUT } = {}) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: payload,
+            signal: AbortSignal.timeout(timeout)
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw deliveryError(`${describeUrl(url)} did not respond within ${timeout} ms`, true);
+        }
+        throw error;
+    }
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw deliveryError(`${describeUrl(url)} responded ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`,
+            response.status >= 500 || response.status === 429);
+    }
+    return response;
+}
+
+function summarize(alert, event) {
+    return event === 'resolved'
+        ? `Resolved: ${alert.type}`
+        : `${alert.severity.toUpperCase()}: ${alert.type}`;
+}
+
+registerChannel('slack', config => ({
+    isConfigured: () => Boolean(config.webhook),
+    async send(alert, event) {
+        const resolved = event === 'resolved';
+        await postJson(config.webhook, {
+            ...(config.channel && { channel: config.channel }),
+            text: `${resolved ? '✅' : '🚨'} CodeSaviour ${summarize(alert, event)}`,
+            attachments: [{
+                color: resolved ? 'good' : alert.severity === 'critical' ? 'danger' : 'warning',
+                fields: [
+                    { title: 'Message', value: resolved ? alert.resolution?.message || alert.message : alert.message, short: false },
+                    { title: 'Severity', value: alert.severity, short: true },
+                    { title: 'Time', value: resolved ? alert.resolvedAt : alert.timestamp, short: true }
+                ]
+            }]
+        }, { timeout: config.timeout });
+    }
+}));
+
+registerChannel('email', config => {
+    const server = parseSmtpServer(config.smtp);
+    const recipients = config.recipients || [];
+
+    return {
+        isConfigured: () => Boolean(server && recipients.length > 0),
+        async send(alert, event) {
+            const client = new SmtpClient({
+                ...server,
+                username: config.username || server.username,
+                password: config.password || server.password,
+                ...(config.secure !== undefined && { secure: config.secure }),
+                allowInsecureAuth: config.allowInsecureAuth,
+                tls: config.tls
+            });
+
+            const lines = [
+                `Alert:     ${alert.type}`,
+                `Severity:  ${alert.severity}`,
+                `Status:    ${event}`,
+                `Fired at:  ${alert.timestamp}`,
+                ...(alert.resolvedAt ? [`Resolved:  ${alert.resolvedAt}`] : []),
+                '',
+                alert.message,
+                ...(alert.resolution ? ['', alert.resolution.message] : [])
+            ];
+
+            try {
+                await client.send({
+                    from: config.from || `codesaviour@${os.hostname()}`,
+                    to: recipients,
+                    subject: `[CodeSaviour] ${summarize(alert, event)}`,
+                    text: lines.join('\n')
+                });
+            } catch (error) {
+                // 5xx SMTP replies are permanent failures
+                throw deliveryError(error.message, !/ failed: 5\d\d /.test(error.message));
+            }
+        }
+    };
+});
+
+// PagerDuty Events API v2; the dedup key ties a resolve to its trigger
+registerChannel('pagerduty', config => ({
+    isConfigured: () => Boolean(config.routingKey),
+    async send(alert, event) {
+        const dedupKey = `codesaviour-${alert.id}`;
+        const body = event === 'resolved'
+            ? { routing_key: config.routingKey, event_action: 'resolve', dedup_key: dedupKey }
+            : {
+                routing_key: config.routingKey,
+                event_action: 'trigger',
+                dedup_key: dedupKey,
+                payload: {
+                    summary: `${alert.type}: ${alert.message}`.slice(0, 1024),
+                    source: config.source || os.hostname(),
+                    severity: PAGERDUTY_SEVERITIES[alert.severity] || 'warning',
+                    timestamp: alert.timestamp,
+                    component: 'codesaviour',
+                    class: alert.type,
+                    custom_details: { rule: alert.rule, value: alert.value, threshold: alert.threshold }
+                }
+            };
+        await postJson(config.url || 'https://events.pagerduty.com/v2/enqueue', body, { timeout: config.timeout });
+    }
+}));
+
+// Receivers verify `X-CodeSaviour-Signature` as an HMAC-SHA256 of
+// "<X-CodeSaviour-Timestamp>.<raw body>" with the shared secret.
+registerChannel('webhook', config => ({
+    isConfigured: () => Boolean(config.url),
+    async send(alert, event) {
+        const timestamp = String(Date.now());
+        const body = JSON.stringify({ event, alert, sentAt: new Date(Number(timestamp)).toISOString() });
+        const headers = { 'X-CodeSaviour-Event': `alert.${event}`, 'X-CodeSaviour-Timestamp': timestamp };
+        if (config.secret) {
+            const signature = crypto.createHmac('sha256', config.secret).update(`${timestamp}.${body}`).digest('hex');
+            headers['X-CodeSaviour-Signature'] = `sha256=${signature}`;
+        }
+        await postJson(config.url, body, { headers, timeout: config.timeout });
+    }
+}));
+
+module.exports = {
+    registerChannel,
+    createChannels
+};
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { createChannels } = require('./notification-channels.js');
+
+const alert = { id: 'alert_1', type: 'HIGH_MEMORY', severity: 'critical', message: 'Heap above 512MB', timestamp: new Date().toISOString() };
+
+describe('webhook notification channels', () => {
+    let server;
+    let base;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ url: req.url, headers: req.headers, body });
+                if (req.url.startsWith('/hang')) {
+                    return;
+                }
+                res.statusCode = Number(req.url.split('/')[1]) || 200;
+                res.end(res.statusCode === 200 ? '' : 'nope');
+            });
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('gives up on a receiver that does not answer within the timeout', async () => {
+        const { webhook } = Object.fromEntries(createChannels({ timeout: 100, webhook: { url: `${base}/hang/token-in-path` } }));
+        const started = Date.now();
+
+        await assert.rejects(webhook.send(alert, 'firing'), error => {
+            assert.equal(error.message, `127.0.0.1:${server.address().port} did not respond within 100 ms`);
+            assert.equal(error.retryable, true);
+            return true;
+        });
+        assert.ok(Date.now() - started < 2000);
+    });
+
+    it('marks client errors as permanent and server errors as retryable, naming only the host', async () => {
+        const permanent = createChannels({ slack: { webhook: `${base}/400/T000/secret` } }).get('slack');
+        await assert.rejects(permanent.send(alert, 'firing'), error => !error.retryable && !error.message.includes('secret'));
+
+        const retryable = createChannels({ slack: { webhook: `${base}/503/T000/secret` } }).get('slack');
+        await assert.rejects(retryable.send(alert, 'firing'), error => error.retryable === true);
+    });
+
+    it('signs webhook deliveries with the shared secret', async () => {
+        const webhook = createChannels({ webhook: { url: `${base}/200`, secret: 'shared' } }).get('webhook');
+        await webhook.send(alert, 'resolved');
+
+        const { headers, body } = received[received.length - 1];
+        const expected = crypto.createHmac('sha256', 'shared').update(`${headers['x-codesaviour-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-codesaviour-signature'], `sha256=${expected}`);
+        assert.equal(headers['x-codesaviour-event'], 'alert.resolved');
+        assert.equal(JSON.parse(body).alert.id, 'alert_1');
+    });
+
+    it('only creates configured channels', () => {
+        assert.deepEqual([...createChannels({ webhook: { url: `${base}/200` } }).keys()], ['webhook']);
+    });
+});
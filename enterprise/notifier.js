@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { createChannels } = require('./notification-channels.js');
+const log = require('./logger.js').logger.child({ component: 'notifier' });
+
+// PagerDuty only pages for critical alerts unless routes say otherwise
+const DEFAULT_ROUTES = [
+    { severities: ['critical'], channels: ['pagerduty', 'slack', 'email', 'webhook'] },
+    { severities: ['warning', 'info'], channels: ['slack', 'email', 'webhook'] }
+];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function matchesRoute(route, alert, event) {
+    return (!route.severities || route.severities.includes(alert.severity))
+        && (!route.types || route.types.includes(alert.type))
+        && (!route.events || route.events.includes(event));
+}
+
+// Routes alerts to the configured channels. Each delivery is retried with
+// exponential backoff and its outcome kept for the delivery log.
+class Notifier {
+    constructor(config = {}) {
+        this.channels = config.channels || createChannels(config);
+        this.routes = config.routes || DEFAULT_ROUTES;
+        this.retry = { attempts: 3, backoff: 1000, ...config.retry };
+        this.maxDeliveries = config.maxDeliveries || 500;
+        this.deliveries = [];
+    }
+
+    channelsFor(alert, event) {
+        const names = new Set(this.routes
+            .filter(route => matchesRoute(route, alert, event))
+            .flatMap(route => route.channels));
+        return [...names].filter(name => this.channels.has(name));
+    }
+
+    async notify(alert, event = 'firing') {
+        return Promise.all(this.channelsFor(alert, event)
+            .map(name => this.deliver(name, alert, event)));
+    }
+
+    async deliver(name, alert, event) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            alertId: alert.id,
+            channel: name,
+            event,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+        this.record(delivery);
+
+        while (delivery.status === 'pending') {
+            delivery.attempts++;
+            try {
+                await this.channels.get(name).send(alert, event);
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date().toISOString();
+            } catch (error) {
+                delivery.error = error.message;
+                if (error.retryable === false || delivery.attempts >= this.retry.attempts) {
+                    delivery.status = 'failed';
+                    log.error('Alert delivery failed', { alertId: alert.id, type: alert.type, channel: name, error: error.message });
+                } else {
+                    await sleep(this.retry.backoff * 2 ** (delivery.attempts - 1));
+                }
+            }
+        }
+
+        return delivery;
+    }
+
+    record(delivery) {
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > this.maxDeliveries) {
+            this.deliveries.splice(0, this.deliveries.length - this.maxDeliveries);
+        }
+    }
+
+    listDeliveries({ alertId, channel, status } = {}) {
+        return this.deliveries.filter(delivery => (!alertId || delivery.alertId === alertId)
+            && (!channel || delivery.channel === channel)
+            && (!status || delivery.status === status));
+    }
+
+    // Sends a synthetic alert through one channel, bypassing routing
+    async test(name) {
+        if (!this.channels.has(name)) {
+            throw new Error(`Channel '${name}' is not configured`);
+        }
+
+        return this.deliver(name, {
+            id: `test_${Date.now()}`,
+            type: 'TEST',
+            message: 'Test notification from CodeSaviour',
+            severity: 'info',
+            timestamp: new Date().toISOString()
+        }, 'firing');
+    }
+}
+
+module.exports = Notifier;
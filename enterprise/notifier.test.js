@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Notifier = require('./notifier.js');
+const { logger } = require('./logger.js');
+
+const alert = { id: 'alert_1', type: 'HIGH_CPU', severity: 'warning', message: 'CPU above 80%' };
+
+function channel(failures = []) {
+    const sent = [];
+    return {
+        sent,
+        send: async (delivered, event) => {
+            sent.push(event);
+            const error = failures.shift();
+            if (error) {
+                throw error;
+            }
+        }
+    };
+}
+
+function retryable(message) {
+    return Object.assign(new Error(message), { retryable: true });
+}
+
+describe('Notifier', () => {
+    it('routes alerts by severity to configured channels only', async () => {
+        const slack = channel();
+        const pagerduty = channel();
+        const notifier = new Notifier({ channels: new Map([['slack', slack], ['pagerduty', pagerduty]]) });
+
+        assert.deepEqual(notifier.channelsFor(alert, 'firing'), ['slack']);
+        assert.deepEqual(notifier.channelsFor({ ...alert, severity: 'critical' }, 'firing'), ['pagerduty', 'slack']);
+        await notifier.notify(alert, 'resolved');
+        assert.deepEqual(slack.sent, ['resolved']);
+        assert.deepEqual(pagerduty.sent, []);
+    });
+
+    it('retries retryable failures with exponential backoff', async () => {
+        const slack = channel([retryable('503'), retryable('503')]);
+        const notifier = new Notifier({ channels: new Map([['slack', slack]]), retry: { attempts: 3, backoff: 20 } });
+        const started = Date.now();
+
+        const [delivery] = await notifier.notify(alert);
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 3);
+        assert.ok(Date.now() - started >= 55, 'backs off 20 ms, then 40 ms');
+    });
+
+    it('stops at permanent failures and after the last attempt', async () => {
+        const level = logger.level;
+        logger.configure({ level: 'silent' });
+        try {
+            const rejected = channel([Object.assign(new Error('400'), { retryable: false })]);
+            const down = channel([retryable('503'), retryable('503')]);
+            const notifier = new Notifier({ channels: new Map([['slack', rejected], ['email', down]]), retry: { attempts: 2, backoff: 1 } });
+
+            await notifier.notify(alert);
+            assert.deepEqual(notifier.listDeliveries({ status: 'failed' }).map(delivery => [delivery.channel, delivery.attempts, delivery.error]),
+                [['slack', 1, '400'], ['email', 2, '503']]);
+        } finally {
+            logger.configure({ level });
+        }
+    });
+
+    it('sends test notifications through one channel', async () => {
+        const webhook = channel();
+        const notifier = new Notifier({ channels: new Map([['webhook', webhook]]) });
+
+        assert.equal((await notifier.test('webhook')).status, 'delivered');
+        await assert.rejects(notifier.test('slack'), /Channel 'slack' is not configured/);
+    });
+});
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { version } = require('../package.json');
+const log = require('./logger.js').logger.child({ component: 'otlp' });
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+const AGGREGATION_CUMULATIVE = 2;
+
+function toNanos(milliseconds) {
+    return (BigInt(Math.round(milliseconds * 1000)) * 1000n).toString();
+}
+
+function toAttributes(values = {}) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+            if (typeof value === 'boolean') {
+                return { key, value: { boolValue: value } };
+            }
+            if (typeof value === 'number') {
+                return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+            }
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+// "key1=value1,key2=value2", as in OTEL_EXPORTER_OTLP_HEADERS
+function parseHeaders(value) {
+    const headers = {};
+    for (const pair of (value || '').split(',')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+    }
+    return headers;
+}
+
+// Pushes registry snapshots and finished spans to an OTLP/HTTP collector
+// using the JSON encoding (`/v1/metrics`, `/v1/traces`).
+class OtlpExporter {
+    constructor(options = {}) {
+        this.endpoint = (options.endpoint || 'http://localhost:4318').replace(/\/+$/, '');
+        this.headers = typeof options.headers === 'string' ? parseHeaders(options.headers) : (options.headers || {});
+        this.interval = options.interval || 15000;
+        // A collector that stops answering must not hold up flushes or stop()
+        this.timeout = options.timeout || 10000;
+        this.maxQueuedSpans = options.maxQueuedSpans || 2048;
+        this.registry = options.registry;
+        this.resource = {
+            attributes: toAttributes({
+                'service.name': options.serviceName || 'codesaviour',
+                'service.version': version,
+                ...options.resourceAttributes
+            })
+        };
+        this.scope = { name: 'codesaviour', version };
+        this.startTime = Date.now();
+        this.spans = [];
+        this.timer = null;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.flush().catch(error => log.error('OTLP export failed', { error: error.message }));
+            }, this.interval);
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        return this.flush();
+    }
+
+    recordSpan(span) {
+        this.spans.push(span);
+        if (this.spans.length > this.maxQueuedSpans) {
+            this.spans.splice(0, this.spans.length - this.maxQueuedSpans);
+        }
+    }
+
+    async flush() {
+        const spans = this.spans.splice(0);
+        await Promise.all([
+            this.registry ? this.send('/v1/metrics', this.buildMetrics()) : null,
+            spans.length > 0 ? this.send('/v1/traces', this.buildTraces(spans)) : null
+        ]);
+    }
+
+    async send(signalPath, body) {
+        const response = await fetch(`${this.endpoint}${signalPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`Collector responded ${response.status} for ${signalPath}`);
+        }
+    }
+
+    buildMetrics() {
+        const start = toNanos(this.startTime);
+        const now = toNanos(Date.now());
+
+        const metrics = this.registry.collect().map(metric => {
+            const base = { name: metric.name, description: metric.help };
+            const points = [...metric.series.values()];
+
+            if (metric.type === 'histogram') {
+                return {
+                    ...base,
+                    histogram: {
+                        aggregationTemporality: AGGREGATION_CUMULATIVE,
+                        dataPoints: points.map(series => ({
+                            attributes: toAttributes(series.labels),
+                            startTimeUnixNano: start,
+                            timeUnixNano: now,
+                            count: String(series.count),
+                            sum: series.sum,
+                            explicitBounds: metric.buckets,
+                            // OTLP buckets are per-interval, Prometheus ones cumulative
+                            bucketCounts: [...series.counts, series.count]
+                                .map((count, i, all) => String(i === 0 ? count : count - all[i - 1]))
+                        }))
+                    }
+                };
+            }
+
+            const dataPoints = points.map(series => ({
+                attributes: toAttributes(series.labels),
+                startTimeUnixNano: start,
+                timeUnixNano: now,
+                asDouble: series.value
+            }));
+            return metric.type === 'counter'
+                ? { ...base, sum: { aggregationTemporality: AGGREGATION_CUMULATIVE, isMonotonic: true, dataPoints } }
+                : { ...base, gauge: { dataPoints } };
+        });
+
+        return { resourceMetrics: [{ resource: this.resource, scopeMetrics: [{ scope: this.scope, metrics }] }] };
+    }
+
+    buildTraces(spans) {
+        return {
+            resourceSpans: [{
+                resource: this.resource,
+                scopeSpans: [{
+                    scope: this.scope,
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+                        name: span.name,
+                        kind: SPAN_KIND_INTERNAL,
+                        startTimeUnixNano: toNanos(span.startTime),
+                        endTimeUnixNano: toNanos(span.endTime),
+                        attributes: toAttributes(span.attributes),
+                        status: span.error
+                            ? { code: STATUS_ERROR, message: span.error }
+                            : { code: STATUS_OK }
+                    }))
+                }]
+            }]
+        };
+    }
+}
+
+function createSpanIds(traceparent) {
+    // W3C traceparent: version-traceid-parentid-flags
+    const match = /^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(traceparent || '');
+    return {
+        traceId: match ? match[1] : crypto.randomBytes(16).toString('hex'),
+        parentSpanId: match ? match[2] : null,
+        spanId: crypto.randomBytes(8).toString('hex')
+    };
+}
+
+module.exports = {
+    OtlpExporter,
+    createSpanIds,
+    parseHeaders
+};
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { OtlpExporter, createSpanIds, parseHeaders } = require('./otlp-exporter.js');
+const { MetricsRegistry } = require('./metrics-registry.js');
+
+describe('OtlpExporter', () => {
+    let server;
+    let endpoint;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                if (req.url.startsWith('/hang')) {
+                    return;
+                }
+                received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                res.end('{}');
+            });
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('pushes registry metrics and queued spans with the configured headers', async () => {
+        const registry = new MetricsRegistry();
+        registry.counter({ name: 'jobs_total', help: 'Jobs', labelNames: ['state'] }).inc({ state: 'done' }, 3);
+        const exporter = new OtlpExporter({ endpoint: `${endpoint}/`, headers: 'x-api-key=abc%3D', registry, serviceName: 'test' });
+        exporter.recordSpan({ name: 'analyze', ...createSpanIds(), startTime: Date.now() - 5, endTime: Date.now(), attributes: { file: 'a.js' } });
+
+        await exporter.flush();
+        const metrics = received.find(request => request.url === '/v1/metrics');
+        const traces = received.find(request => request.url === '/v1/traces');
+
+        assert.equal(metrics.headers['x-api-key'], 'abc=');
+        const [metric] = metrics.body.resourceMetrics[0].scopeMetrics[0].metrics;
+        assert.equal(metric.name, 'jobs_total');
+        assert.equal(metric.sum.isMonotonic, true);
+        assert.deepEqual(metric.sum.dataPoints[0].attributes, [{ key: 'state', value: { stringValue: 'done' } }]);
+        assert.equal(metric.sum.dataPoints[0].asDouble, 3);
+        assert.equal(traces.body.resourceSpans[0].scopeSpans[0].spans[0].name, 'analyze');
+    });
+
+    it('gives up on a collector that does not answer within the timeout', async () => {
+        const exporter = new OtlpExporter({ endpoint: `${endpoint}/hang`, registry: new MetricsRegistry(), timeout: 100 });
+        const started = Date.now();
+
+        await assert.rejects(exporter.flush(), { name: 'TimeoutError' });
+        assert.ok(Date.now() - started < 2000);
+    });
+
+    it('joins the trace of an incoming traceparent', () => {
+        const parent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+        const ids = createSpanIds(parent);
+        assert.equal(ids.traceId, '0af7651916cd43dd8448eb211c80319c');
+        assert.equal(ids.parentSpanId, 'b7ad6b7169203331');
+        assert.match(ids.spanId, /^[0-9a-f]{16}$/);
+        assert.match(createSpanIds('garbage').traceId, /^[0-9a-f]{32}$/);
+        assert.equal(createSpanIds('garbage').parentSpanId, null);
+    });
+
+    it('parses OTEL_EXPORTER_OTLP_HEADERS lists', () => {
+        assert.deepEqual(parseHeaders('a=1, b = two%20words,broken'), { a: '1', b: 'two words' });
+    });
+});
@@ -2,56 +2,176 @@ const EventEmitter = require('events');
 const { performance } = require('perf_hooks');
 const fs = require('fs').promises;
 const path = require('path');
+const { KINDS, createMetricsStore, Downsampler } = require('./metrics-store.js');
+const { AlertRuleEngine, defaultAlertRules } = require('./alert-rules.js');
+const { logger, currentRequestId } = require('./logger.js');
+const { ValidationError } = require('./errors.js');
+
+const log = logger.child({ component: 'monitor' });
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Rollup bucket size by query span; short spans return raw samples
+const RESOLUTIONS = [
+    { maxSpan: 6 * UNITS.h, bucket: 0 },
+    { maxSpan: 48 * UNITS.h, bucket: 5 * UNITS.m },
+    { maxSpan: 14 * UNITS.d, bucket: UNITS.h },
+    { maxSpan: Infinity, bucket: UNITS.d }
+];
+
+function parseDuration(value) {
+    const match = /^(\d+)([mhd])$/.exec(value || '');
+    return match ? Number(match[1]) * UNITS[match[2]] : null;
+}
+
+// Query strings carry epoch milliseconds as digit strings, which Date
+// would otherwise parse as a year
+function parseTime(value) {
+    return new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value).getTime();
+}
 
 class PerformanceMonitor extends EventEmitter {
     constructor(options = {}) {
         super();
-        this.metrics = new Map();
+        this.store = options.store || createMetricsStore(options.storeOptions);
+        this.retention = options.retention || {};
+        this.retentionInterval = options.retentionInterval || UNITS.h;
+        this.lastRetentionRun = 0;
+        this.maxRecent = options.maxRecent || 10000;
+        this.maxAlerts = options.maxAlerts || 1000;
+        this.maxRawPoints = options.maxRawPoints || 10000;
+        this.sequence = 0;
+        // Recent samples stay in memory for the hourly report; the store
+        // holds the full history
+        this.recent = [];
         this.alerts = [];
+        // Analysis cache outcomes since the monitor started
+        this.cacheStats = { hits: 0, misses: 0, bypasses: 0 };
         this.thresholds = {
             analysisTime: options.analysisTimeThreshold || 5000,
             memoryUsage: options.memoryThreshold || 512 * 1024 * 1024, // 512MB
             cpuUsage: options.cpuThreshold || 80,
-            throughput: options.throughputThreshold || 1000
+            throughput: options.throughputThreshold || 1000,
+            ...options.thresholds
         };
+        this.alertRules = new AlertRuleEngine({
+            rules: options.alertRules || defaultAlertRules(this.thresholds)
+        });
+        // Firing rule alerts by dedup key
+        this.activeAlerts = new Map();
+        this.lastCpuSample = { usage: process.cpuUsage(), time: performance.now() };
+        this.pendingWrites = new Set();
+        this.timer = null;
+        this.notifier = options.notifier || null;
         this.reportInterval = options.reportInterval || 60000; // 1 minute
+        this.restoring = this.restoreSilences()
+            .catch(error => log.error('Failed to restore alert silences', { error }));
         this.startMonitoring();
     }
 
+    // Applies reloaded thresholds and alert rules; without explicit rules
+    // the defaults follow the new thresholds
+    configure({ thresholds, alertRules } = {}) {
+        this.thresholds = { ...this.thresholds, ...thresholds };
+        this.alertRules.setRules(alertRules || defaultAlertRules(this.thresholds));
+    }
+
     startMonitoring() {
-        setInterval(() => {
+        this.timer = setInterval(() => {
             this.collectSystemMetrics();
             this.checkThresholds();
-            this.generateReport();
+            this.generateReport().catch(error => log.error('Failed to generate performance report', { error }));
+            this.enforceRetention().catch(error => log.error('Failed to enforce metrics retention', { error }));
         }, this.reportInterval);
     }
 
-    recordAnalysis(filePath, analysisTime, codeSize, issues) {
+    // Stops the monitoring interval and waits for queued store writes
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.restoring;
+        await Promise.all([...this.pendingWrites]);
+    }
+
+    // Ids stay unique when several events land in the same millisecond
+    nextId(prefix) {
+        return `${prefix}_${Date.now()}_${++this.sequence}`;
+    }
+
+    persist(kind, record) {
+        const write = this.store.append(kind, record)
+            .catch(error => log.error('Failed to persist monitoring data', { error, kind }))
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+    }
+
+    remember(metric) {
+        this.recent.push(metric);
+        if (this.recent.length > this.maxRecent) {
+            this.recent.splice(0, this.recent.length - this.maxRecent);
+        }
+        this.persist('metrics', metric);
+    }
+
+    // `issues` is either a count or the issue list, in which case the
+    // per-severity breakdown is kept as well.
+    recordAnalysis(filePath, analysisTime, codeSize, issues, context = {}) {
         const timestamp = Date.now();
+        const severities = Array.isArray(issues)
+            ? issues.reduce((counts, issue) => {
+                const severity = issue.severity || 'unknown';
+                counts[severity] = (counts[severity] || 0) + 1;
+                return counts;
+            }, {})
+            : undefined;
         const metric = {
+            id: this.nextId('analysis'),
             timestamp,
             filePath,
+            repository: context.repository || null,
+            tenant: context.tenant || null,
+            cached: Boolean(context.cached),
             analysisTime,
             codeSize,
-            issues,
-            throughput: codeSize / analysisTime,
+            issues: Array.isArray(issues) ? issues.length : issues,
+            severities,
+            // cache hits can finish within the same millisecond
+            throughput: codeSize / Math.max(analysisTime, 1),
             memoryUsage: process.memoryUsage()
         };
 
-        this.metrics.set(`analysis_${timestamp}`, metric);
+        this.remember(metric);
         this.emit('analysis_recorded', metric);
 
         // Check for performance degradation
-        if (analysisTime > this.thresholds.analysisTime) {
-            this.createAlert('SLOW_ANALYSIS', `Analysis took ${analysisTime}ms for ${filePath}`);
+        this.evaluateAlerts({ sources: ['analysis'] });
+    }
+
+    // `outcome` is 'hit', 'miss' or 'bypass'
+    recordCacheEvent(outcome) {
+        const key = { hit: 'hits', miss: 'misses', bypass: 'bypasses' }[outcome];
+        if (!key) {
+            return;
         }
+        this.cacheStats[key]++;
+        this.emit('cache_event', { outcome, timestamp: Date.now() });
+    }
+
+    getCacheStats() {
+        const lookups = this.cacheStats.hits + this.cacheStats.misses;
+        return { ...this.cacheStats, hitRate: lookups > 0 ? this.cacheStats.hits / lookups : 0 };
     }
 
     collectSystemMetrics() {
         const memUsage = process.memoryUsage();
         const cpuUsage = process.cpuUsage();
-        
+        const now = performance.now();
+        const cpuDelta = process.cpuUsage(this.lastCpuSample.usage);
+        const elapsed = (now - this.lastCpuSample.time) * 1000; // microseconds
+        this.lastCpuSample = { usage: cpuUsage, time: now };
+
         const systemMetric = {
+            id: this.nextId('system'),
             timestamp: Date.now(),
             memory: {
                 rss: memUsage.rss,
@@ -61,36 +181,168 @@ class PerformanceMonitor extends EventEmitter {
             },
             cpu: {
                 user: cpuUsage.user,
-                system: cpuUsage.system
+                system: cpuUsage.system,
+                percent: elapsed > 0 ? (cpuDelta.user + cpuDelta.system) / elapsed * 100 : 0
             },
             uptime: process.uptime()
         };
 
-        this.metrics.set(`system_${systemMetric.timestamp}`, systemMetric);
+        this.remember(systemMetric);
     }
 
     checkThresholds() {
-        const memUsage = process.memoryUsage();
-        
-        if (memUsage.heapUsed > this.thresholds.memoryUsage) {
-            this.createAlert('HIGH_MEMORY', `Memory usage: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`);
+        return this.evaluateAlerts();
+    }
+
+    evaluateAlerts(options = {}) {
+        for (const transition of this.alertRules.evaluate(this.recent, options)) {
+            const { rule, value, message } = transition;
+            if (transition.action === 'fire') {
+                this.createAlert(rule.type, message, {
+                    rule: rule.name,
+                    dedupKey: rule.dedupKey,
+                    severity: rule.severity,
+                    value,
+                    threshold: rule.threshold
+                });
+            } else {
+                this.resolveAlert(rule.dedupKey, message, value);
+            }
         }
     }
 
-    createAlert(type, message) {
+    createAlert(type, message, details = {}) {
         const alert = {
-            id: `alert_${Date.now()}`,
+            id: this.nextId('alert'),
             type,
             message,
             timestamp: new Date().toISOString(),
-            severity: this.getAlertSeverity(type)
+            severity: details.severity || this.getAlertSeverity(type),
+            status: 'firing',
+            rule: details.rule || null,
+            dedupKey: details.dedupKey || null,
+            value: details.value,
+            threshold: details.threshold,
+            resolvedAt: null,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            silencedBy: null,
+            // Set when a request triggered the alert, e.g. a slow analysis
+            requestId: currentRequestId()
         };
 
         this.alerts.push(alert);
+        if (this.alerts.length > this.maxAlerts) {
+            this.alerts.splice(0, this.alerts.length - this.maxAlerts);
+        }
+        if (alert.dedupKey) {
+            this.activeAlerts.set(alert.dedupKey, alert);
+        }
+
+        // Silenced alerts are kept in the history but not sent anywhere
+        const silence = this.alertRules.findSilence(alert);
+        if (silence) {
+            alert.silencedBy = silence.id;
+            this.persist('alerts', { ...alert });
+            this.emit('alert_silenced', alert);
+            return alert;
+        }
+
+        this.persist('alerts', { ...alert });
         this.emit('alert_created', alert);
 
         // Send to external monitoring systems
-        this.sendToMonitoringSystems(alert);
+        log.warn('Alert created', { alertId: alert.id, type, severity: alert.severity, rule: alert.rule });
+        this.sendToMonitoringSystems(alert)
+            .catch(error => log.error('Failed to send alert', { error, alertId: alert.id }));
+        return alert;
+    }
+
+    resolveAlert(dedupKey, message, value) {
+        const alert = this.activeAlerts.get(dedupKey);
+        if (!alert) {
+            return null;
+        }
+
+        this.activeAlerts.delete(dedupKey);
+        alert.status = 'resolved';
+        alert.resolvedAt = new Date().toISOString();
+        alert.resolution = { message, value };
+        this.persist('alerts', { ...alert });
+        this.emit('alert_resolved', alert);
+
+        // Nobody was told a silenced alert fired, so nobody is told it resolved
+        if (!alert.silencedBy) {
+            this.sendToMonitoringSystems(alert, 'resolved')
+                .catch(error => log.error('Failed to send alert resolution', { error, alertId: alert.id }));
+        }
+        return alert;
+    }
+
+    acknowledgeAlert(id, user) {
+        const alert = this.alerts.find(a => a.id === id);
+        if (!alert) {
+            return null;
+        }
+
+        if (!alert.acknowledgedAt) {
+            alert.acknowledgedAt = new Date().toISOString();
+            alert.acknowledgedBy = user || null;
+            this.persist('alerts', { ...alert });
+            this.emit('alert_acknowledged', alert);
+        }
+        return alert;
+    }
+
+    // Accepts an absolute `until` or a `duration` such as '2h'
+    silenceAlerts({ matchers, until, duration, reason, createdBy }) {
+        const span = duration ? parseDuration(duration) : null;
+        if (duration && span === null) {
+            throw new ValidationError(`Invalid silence duration: ${duration}`);
+        }
+
+        const silence = this.alertRules.silence({
+            matchers,
+            until: span ? Date.now() + span : until,
+            reason,
+            createdBy
+        });
+        this.persistSilence(silence);
+        this.emit('silence_created', silence);
+        return silence;
+    }
+
+    removeSilence(id) {
+        const silence = this.alertRules.silences.get(id);
+        if (!this.alertRules.unsilence(id)) {
+            return false;
+        }
+        this.persistSilence(silence, new Date().toISOString());
+        return true;
+    }
+
+    // Like alerts, silences are stored as a snapshot per change. Snapshots
+    // are filed under the silence's end, so retention only drops silences
+    // that have already expired.
+    persistSilence(silence, removedAt = null) {
+        this.persist('silences', { ...silence, removedAt, timestamp: silence.until });
+    }
+
+    // Brings back silences created before a restart that are still active
+    async restoreSilences() {
+        const latest = new Map();
+        for (const snapshot of await this.store.query('silences', { from: Date.now() })) {
+            latest.set(snapshot.id, snapshot);
+        }
+        for (const { removedAt, timestamp, ...silence } of latest.values()) {
+            if (!removedAt && !this.alertRules.silences.has(silence.id)) {
+                this.alertRules.silences.set(silence.id, silence);
+            }
+        }
+    }
+
+    listSilences() {
+        return this.alertRules.listSilences();
     }
 
     getAlertSeverity(type) {
@@ -103,52 +355,28 @@ class PerformanceMonitor extends EventEmitter {
         return severityMap[type] || 'info';
     }
 
-    async sendToMonitoringSystems(alert) {
-        // Send to Slack
-        if (process.env.SLACK_WEBHOOK_URL) {
-            await this.sendSlackAlert(alert);
-        }
-
-        // Send to PagerDuty
-        if (process.env.PAGERDUTY_API_KEY && alert.severity === 'critical') {
-            await this.sendPagerDutyAlert(alert);
+    async sendToMonitoringSystems(alert, event = 'firing') {
+        // Deliver through the configured notification channels
+        if (this.notifier) {
+            const deliveries = await this.notifier.notify(alert, event);
+            if (deliveries.length > 0) {
+                alert.deliveries = [...(alert.deliveries || []), ...deliveries];
+                this.persist('alerts', { ...alert });
+            }
         }
 
         // Log to file
-        await this.logAlert(alert);
-    }
-
-    async sendSlackAlert(alert) {
-        const webhook = process.env.SLACK_WEBHOOK_URL;
-        const payload = {
-            text: `🚨 CodeSaviour Alert: ${alert.type}`,
-            attachments: [{
-                color: alert.severity === 'critical' ? 'danger' : 'warning',
-                fields: [
-                    { title: 'Message', value: alert.message, short: false },
-                    { title: 'Severity', value: alert.severity, short: true },
-                    { title: 'Time', value: alert.timestamp, short: true }
-                ]
-            }]
-        };
-
-        try {
-            const response = await fetch(webhook, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-        } catch (error) {
-            console.error('Failed to send Slack alert:', error);
-        }
+        await this.logAlert(alert, event);
     }
 
-    async logAlert(alert) {
+    async logAlert(alert, event = 'firing') {
         const logDir = path.join(process.cwd(), 'logs');
         await fs.mkdir(logDir, { recursive: true });
         
         const logFile = path.join(logDir, `alerts-${new Date().toISOString().split('T')[0]}.log`);
-        const logEntry = `${alert.timestamp} [${alert.severity.toUpperCase()}] ${alert.type}: ${alert.message}\n`;
+        const logEntry = event === 'resolved'
+            ? `${alert.resolvedAt} [RESOLVED] ${alert.type}: ${alert.resolution.message}\n`
+            : `${alert.timestamp} [${alert.severity.toUpperCase()}] ${alert.type}: ${alert.message}\n`;
         
         await fs.appendFile(logFile, logEntry);
     }
@@ -157,8 +385,7 @@ class PerformanceMonitor extends EventEmitter {
         const now = Date.now();
         const oneHourAgo = now - (60 * 60 * 1000);
         
-        const recentMetrics = Array.from(this.metrics.values())
-            .filter(metric => metric.timestamp > oneHourAgo);
+        const recentMetrics = this.recent.filter(metric => metric.timestamp > oneHourAgo);
         
         const analysisMetrics = recentMetrics.filter(m => m.filePath);
         const systemMetrics = recentMetrics.filter(m => m.memory);
@@ -174,9 +401,10 @@ class PerformanceMonitor extends EventEmitter {
             },
             system: {
                 avgMemoryUsage: systemMetrics.reduce((sum, m) => sum + m.memory.heapUsed, 0) / systemMetrics.length || 0,
-                peakMemoryUsage: Math.max(...systemMetrics.map(m => m.memory.heapUsed)),
+                peakMemoryUsage: systemMetrics.reduce((peak, m) => Math.max(peak, m.memory.heapUsed), 0),
                 uptime: process.uptime()
             },
+            cache: this.getCacheStats(),
             alerts: this.alerts.filter(a => new Date(a.timestamp).getTime() > oneHourAgo)
         };
 
@@ -186,32 +414,135 @@ class PerformanceMonitor extends EventEmitter {
         
         const reportFile = path.join(reportDir, `performance-${new Date().toISOString().split('T')[0]}.json`);
         await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+        await this.store.append('reports', report);
 
         this.emit('report_generated', report);
         return report;
     }
 
-    getMetrics(timeRange = '1h') {
-        const now = Date.now();
-        const ranges = {
-            '1h': 60 * 60 * 1000,
-            '24h': 24 * 60 * 60 * 1000,
-            '7d': 7 * 24 * 60 * 60 * 1000
+    // Accepts a duration such as '90m', '36h' or '30d', or explicit
+    // `from`/`to` bounds (dates or epoch milliseconds).
+    resolveRange({ range, from, to } = {}) {
+        const span = parseDuration(range || '1h');
+        const end = to !== undefined ? parseTime(to) : Date.now();
+        const start = from !== undefined ? parseTime(from) : end - span;
+
+        if (Number.isNaN(start) || Number.isNaN(end) || (from === undefined && span === null)) {
+            throw new ValidationError(`Invalid time range: ${range || `${from}..${to}`}`);
+        }
+        if (start >= end) {
+            throw new ValidationError('Time range start must be before its end');
+        }
+        return { from: start, to: end };
+    }
+
+    async getMetrics(timeRange = '1h') {
+        const { from, to } = this.resolveRange({ range: timeRange });
+        return this.store.query('metrics', { from, to: to + 1 });
+    }
+
+    // `points` are raw samples, or buckets for spans too long to chart
+    // sample by sample, plus a `summary` of the whole range. Samples are
+    // streamed from the store, and raw points stop at `maxRawPoints` with
+    // `truncated` set.
+    // With a `tenant`, only that tenant's analyses are included; system
+    // samples are shared by every tenant.
+    async queryMetrics({ range, from, to, resolution = 'auto', tenant } = {}) {
+        const bounds = this.resolveRange({ range, from, to });
+        const bucket = resolution === 'auto'
+            ? RESOLUTIONS.find(r => bounds.to - bounds.from <= r.maxSpan).bucket
+            : resolution === 'raw' ? 0 : parseDuration(resolution);
+        if (bucket === null) {
+            throw new ValidationError(`Invalid resolution: ${resolution}`);
+        }
+
+        const downsampler = bucket === 0 ? null : new Downsampler(bucket);
+        const raw = [];
+        let truncated = false;
+        const totals = { analyses: 0, analysisTime: 0, throughput: 0, currentMemory: 0, peakMemory: 0 };
+
+        for await (const record of this.store.scan('metrics', { from: bounds.from, to: bounds.to + 1 })) {
+            if (tenant !== undefined && record.filePath && record.tenant !== tenant) {
+                continue;
+            }
+
+            if (record.filePath) {
+                totals.analyses++;
+                totals.analysisTime += record.analysisTime;
+                totals.throughput += record.throughput;
+            } else if (record.memory) {
+                totals.currentMemory = record.memory.heapUsed;
+                totals.peakMemory = Math.max(totals.peakMemory, record.memory.heapUsed);
+            }
+
+            if (downsampler) {
+                downsampler.add(record);
+            } else if (raw.length < this.maxRawPoints) {
+                raw.push(record);
+            } else {
+                truncated = true;
+            }
+        }
+
+        return {
+            from: new Date(bounds.from).toISOString(),
+            to: new Date(bounds.to).toISOString(),
+            resolution: bucket === 0 ? 'raw' : bucket,
+            points: downsampler ? downsampler.points() : raw,
+            ...(truncated && { truncated }),
+            summary: {
+                totalAnalyses: totals.analyses,
+                avgAnalysisTime: totals.analyses > 0 ? totals.analysisTime / totals.analyses : 0,
+                avgThroughput: totals.analyses > 0 ? totals.throughput / totals.analyses : 0,
+                currentMemoryUsage: totals.currentMemory,
+                peakMemoryUsage: totals.peakMemory
+            }
         };
-        
-        const cutoff = now - (ranges[timeRange] || ranges['1h']);
-        return Array.from(this.metrics.values())
-            .filter(metric => metric.timestamp > cutoff);
     }
 
-    clearOldMetrics(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days
-        const cutoff = Date.now() - maxAge;
-        for (const [key, metric] of this.metrics.entries()) {
-            if (metric.timestamp < cutoff) {
-                this.metrics.delete(key);
+    // Alerts are stored as a snapshot per state change; the latest
+    // snapshot of each alert wins.
+    async queryAlerts(options = {}) {
+        const { from, to } = this.resolveRange(options);
+        const latest = new Map();
+        for (const alert of await this.store.query('alerts', { from, to: to + 1 })) {
+            latest.set(alert.id, alert);
+        }
+        return [...latest.values()];
+    }
+
+    // Applies `monitoring.retention` per kind; runs at most once per
+    // `retentionInterval` unless forced.
+    async enforceRetention({ force = false } = {}) {
+        const now = Date.now();
+        if (!force && now - this.lastRetentionRun < this.retentionInterval) {
+            return null;
+        }
+        this.lastRetentionRun = now;
+
+        const removed = {};
+        for (const kind of KINDS) {
+            if (this.retention[kind]) {
+                removed[kind] = await this.store.enforceRetention(kind, this.retention[kind]);
             }
         }
+
+        if (this.retention.metrics) {
+            const cutoff = now - this.retention.metrics;
+            this.recent = this.recent.filter(metric => metric.timestamp >= cutoff);
+        }
+        if (this.retention.alerts) {
+            const cutoff = now - this.retention.alerts;
+            this.alerts = this.alerts.filter(alert => alert.status === 'firing' || new Date(alert.timestamp).getTime() >= cutoff);
+        }
+        return removed;
+    }
+
+    clearOldMetrics(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days
+        const cutoff = Date.now() - maxAge;
+        this.recent = this.recent.filter(metric => metric.timestamp >= cutoff);
+        return this.store.enforceRetention('metrics', maxAge);
     }
 }
 
-module.exports = PerformanceMonitor;
\ No newline at end of file
+module.exports = PerformanceMonitor;
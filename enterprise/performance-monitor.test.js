@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PerformanceMonitor = require('./performance-monitor.js');
+const { ValidationError } = require('./errors.js');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('PerformanceMonitor.resolveRange', () => {
+    let monitor;
+    before(() => {
+        monitor = new PerformanceMonitor({ storeOptions: { type: 'memory' } });
+    });
+    after(() => monitor.stop());
+
+    it('accepts epoch milliseconds as numbers or query strings', () => {
+        const expected = { from: 1700000000000, to: 1700003600000 };
+        assert.deepEqual(monitor.resolveRange({ from: 1700000000000, to: 1700003600000 }), expected);
+        assert.deepEqual(monitor.resolveRange({ from: '1700000000000', to: '1700003600000' }), expected);
+    });
+
+    it('accepts ISO dates and durations ending now', () => {
+        assert.deepEqual(monitor.resolveRange({ from: '2024-01-01T00:00:00Z', to: '2024-01-01T01:00:00Z' }),
+            { from: Date.parse('2024-01-01T00:00:00Z'), to: Date.parse('2024-01-01T01:00:00Z') });
+
+        const { from, to } = monitor.resolveRange({ range: '36h' });
+        assert.equal(to - from, 36 * HOUR);
+        assert.ok(Math.abs(to - Date.now()) < 1000);
+    });
+
+    it('rejects invalid and reversed ranges', () => {
+        assert.throws(() => monitor.resolveRange({ range: '5w' }), ValidationError);
+        assert.throws(() => monitor.resolveRange({ from: 'yesterday' }), ValidationError);
+        assert.throws(() => monitor.resolveRange({ from: '1700003600000', to: '1700000000000' }), /start must be before its end/);
+    });
+});
+
+describe('PerformanceMonitor.queryMetrics', () => {
+    let monitor;
+    before(() => {
+        monitor = new PerformanceMonitor({ storeOptions: { type: 'memory' } });
+    });
+    after(() => monitor.stop());
+
+    it('returns raw points and a summary for an epoch millisecond range', async () => {
+        const start = Date.now();
+        monitor.recordAnalysis('a.js', 20, 400, [{ severity: 'high' }], { tenant: 'acme' });
+        monitor.recordAnalysis('b.js', 40, 400, [], { tenant: 'globex' });
+        await monitor.stop();
+
+        const metrics = await monitor.queryMetrics({ from: String(start - 1000), to: String(Date.now() + 1000), resolution: 'raw', tenant: 'acme' });
+        assert.deepEqual(metrics.points.map(point => point.filePath), ['a.js']);
+        assert.equal(metrics.summary.totalAnalyses, 1);
+        assert.equal(metrics.summary.avgAnalysisTime, 20);
+        assert.equal(metrics.resolution, 'raw');
+    });
+});
+
+describe('PerformanceMonitor silences', () => {
+    it('keeps active silences across a restart', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'silences-'));
+        try {
+            const first = new PerformanceMonitor({ storeOptions: { directory } });
+            const kept = first.silenceAlerts({ matchers: { type: 'HIGH_CPU' }, duration: '2h', reason: 'maintenance' });
+            const removed = first.silenceAlerts({ matchers: { type: 'HIGH_MEMORY' }, duration: '2h' });
+            assert.equal(first.removeSilence(removed.id), true);
+            await first.stop();
+
+            const second = new PerformanceMonitor({ storeOptions: { directory } });
+            await second.stop();
+            assert.deepEqual(second.listSilences(), [kept]);
+            assert.equal(second.createAlert('HIGH_CPU', 'CPU above 80%').silencedBy, kept.id);
+            assert.equal(second.removeSilence(removed.id), false);
+            await second.stop();
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
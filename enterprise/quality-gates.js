@@ -0,0 +1,157 @@
+const { matchesGlob } = require('./glob.js');
+
+const GATE_DEFINITIONS = {
+    minQualityScore: { label: 'Quality score', type: 'min', measure: files => minScore(files, 'overallScore') },
+    minSecurityScore: { label: 'Security score', type: 'min', measure: files => minScore(files, 'securityScore') },
+    minPerformanceScore: { label: 'Performance score', type: 'min', measure: files => minScore(files, 'performanceScore') },
+    maxCriticalIssues: { label: 'Critical issues', type: 'max', measure: files => countIssues(files, 'critical') },
+    maxHighIssues: { label: 'High issues', type: 'max', measure: files => countIssues(files, 'high') },
+    maxMediumIssues: { label: 'Medium issues', type: 'max', measure: files => countIssues(files, 'medium') },
+    maxTotalIssues: { label: 'Total issues', type: 'max', measure: files => countIssues(files) }
+};
+
+function countIssues(files, severity) {
+    return files.reduce((sum, file) =>
+        sum + (file.result.issues || []).filter(issue => !severity || issue.severity === severity).length, 0);
+}
+
+function minScore(files, key) {
+    const scores = files.map(file => file.result[key]).filter(score => typeof score === 'number');
+    return scores.length > 0 ? Math.min(...scores) : null;
+}
+
+// Accepts engine results, `{ filePath, result }` entries or whole stored
+// reports, and returns `{ filePath, result }` entries.
+function normalizeResults(input) {
+    const entries = [].concat(input || []);
+    return entries.flatMap(entry => {
+        if (Array.isArray(entry.results)) {
+            return normalizeResults(entry.results);
+        }
+        if (entry.result) {
+            return [{ filePath: entry.filePath || null, result: entry.result }];
+        }
+        return [{ filePath: entry.filePath || null, result: entry }];
+    });
+}
+
+// Scores gate on the worst file, issue counts are summed across files.
+// Overrides apply on top of the base gates when their `branches` and/or
+// `paths` globs match; files that end up with different effective gates
+// are evaluated as separate groups.
+class QualityGateEvaluator {
+    constructor(options = {}) {
+        this.gates = options.gates || {};
+        this.overrides = options.overrides || [];
+    }
+
+    resolveGates({ branch, filePath } = {}) {
+        const gates = { ...this.gates };
+
+        for (const override of this.overrides) {
+            if (override.branches && !(branch && matchesGlob(branch, override.branches))) {
+                continue;
+            }
+            if (override.paths && !(filePath && matchesGlob(filePath, override.paths))) {
+                continue;
+            }
+            Object.assign(gates, override.gates);
+        }
+
+        return gates;
+    }
+
+    // `incomplete` ({ failed, cancelled, truncated }) describes files that
+    // were meant to be analyzed but were not; any of them fails the gate,
+    // since they may hide anything.
+    evaluate(input, { branch, incomplete } = {}) {
+        const files = normalizeResults(input);
+        const groups = new Map();
+
+        for (const file of files) {
+            const gates = this.resolveGates({ branch, filePath: file.filePath });
+            const key = JSON.stringify(gates);
+            if (!groups.has(key)) {
+                groups.set(key, { gates, files: [] });
+            }
+            groups.get(key).files.push(file);
+        }
+
+        if (groups.size === 0) {
+            const gates = this.resolveGates({ branch });
+            groups.set(JSON.stringify(gates), { gates, files: [] });
+        }
+
+        const results = [];
+        for (const group of groups.values()) {
+            const scope = groups.size > 1 ? group.files.map(file => file.filePath) : undefined;
+            results.push(...this.evaluateGroup(group, scope));
+        }
+        if (incomplete) {
+            results.push(this.evaluateCompleteness(incomplete));
+        }
+
+        const failures = results.filter(result => !result.passed).map(result => result.reason);
+
+        return {
+            passed: failures.length === 0,
+            branch: branch || null,
+            filesEvaluated: files.length,
+            suppressedIssues: files.reduce((sum, file) => sum + (file.result.suppressedIssues || []).length, 0),
+            gates: results,
+            failures,
+            evaluatedAt: new Date().toISOString()
+        };
+    }
+
+    evaluateGroup({ gates, files }, scope) {
+        const results = [];
+
+        for (const [gate, threshold] of Object.entries(gates)) {
+            const definition = GATE_DEFINITIONS[gate];
+            if (!definition || threshold === undefined || threshold === null) {
+                continue;
+            }
+
+            const actual = definition.measure(files);
+            if (actual === null) {
+                results.push({ gate, label: definition.label, threshold, actual, passed: true, skipped: true, reason: `${definition.label} not reported`, scope });
+                continue;
+            }
+
+            const passed = definition.type === 'min' ? actual >= threshold : actual <= threshold;
+            const comparison = definition.type === 'min' ? 'minimum' : 'maximum';
+            const reason = passed
+                ? `${definition.label} ${actual} within ${comparison} ${threshold}`
+                : `${definition.label} ${actual} (limit ${threshold})`;
+
+            results.push({ gate, label: definition.label, threshold, actual, passed, reason, scope });
+        }
+
+        return results;
+    }
+
+    evaluateCompleteness({ failed = 0, cancelled = 0, truncated = false }) {
+        const missing = [
+            failed > 0 && `${failed} failed`,
+            cancelled > 0 && `${cancelled} cancelled`,
+            truncated && 'file limit reached'
+        ].filter(Boolean);
+        const passed = missing.length === 0;
+
+        return {
+            gate: 'completeness',
+            label: 'Analysis completeness',
+            threshold: 0,
+            actual: failed + cancelled + (truncated ? 1 : 0),
+            passed,
+            reason: passed ? 'All files analyzed' : `Incomplete analysis: ${missing.join(', ')}`
+        };
+    }
+}
+
+module.exports = {
+    QualityGateEvaluator,
+    GATE_DEFINITIONS,
+    normalizeResults
+};
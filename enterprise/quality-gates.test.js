@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { QualityGateEvaluator, normalizeResults } = require('./quality-gates.js');
+
+const result = (overallScore, severities = []) => ({ overallScore, issues: severities.map(severity => ({ severity })) });
+
+describe('QualityGateEvaluator', () => {
+    const evaluator = new QualityGateEvaluator({
+        gates: { minQualityScore: 80, maxCriticalIssues: 0, maxHighIssues: 1 },
+        overrides: [
+            { branches: ['release/*'], gates: { maxHighIssues: 0 } },
+            { paths: ['legacy/**'], gates: { minQualityScore: 50 } }
+        ]
+    });
+
+    it('gates scores on the worst file and sums issues across files', () => {
+        const verdict = evaluator.evaluate([
+            { filePath: 'src/a.js', result: result(90, ['high']) },
+            { filePath: 'src/b.js', result: result(70, ['critical', 'high']) }
+        ]);
+
+        assert.equal(verdict.passed, false);
+        assert.deepEqual(verdict.gates.map(gate => [gate.gate, gate.actual, gate.passed]), [
+            ['minQualityScore', 70, false],
+            ['maxCriticalIssues', 1, false],
+            ['maxHighIssues', 2, false]
+        ]);
+        assert.deepEqual(verdict.failures, ['Quality score 70 (limit 80)', 'Critical issues 1 (limit 0)', 'High issues 2 (limit 1)']);
+    });
+
+    it('tightens gates on matching branches and groups files by path overrides', () => {
+        const files = [
+            { filePath: 'src/a.js', result: result(85, ['high']) },
+            { filePath: 'legacy/old.js', result: result(55) }
+        ];
+
+        assert.equal(evaluator.evaluate(files, { branch: 'main' }).passed, true);
+        const release = evaluator.evaluate(files, { branch: 'release/2.0' });
+        assert.equal(release.passed, false);
+        assert.deepEqual(release.failures, ['High issues 1 (limit 0)']);
+        assert.deepEqual(release.gates.find(gate => !gate.passed).scope, ['src/a.js']);
+    });
+
+    it('skips scores the engine did not report', () => {
+        const [quality] = evaluator.evaluate([{ issues: [] }]).gates;
+        assert.equal(quality.skipped, true);
+        assert.equal(quality.passed, true);
+    });
+
+    it('fails when files were left unanalyzed', () => {
+        const verdict = evaluator.evaluate([result(95)], { incomplete: { failed: 1, truncated: true } });
+        assert.equal(verdict.passed, false);
+        assert.deepEqual(verdict.failures, ['Incomplete analysis: 1 failed, file limit reached']);
+    });
+});
+
+describe('normalizeResults', () => {
+    it('accepts engine results, file entries and stored reports', () => {
+        const engineResult = result(90);
+        assert.deepEqual(normalizeResults([
+            engineResult,
+            { filePath: 'a.js', result: engineResult },
+            { id: 'report_1', results: [{ filePath: 'b.js', result: engineResult }] }
+        ]), [
+            { filePath: null, result: engineResult },
+            { filePath: 'a.js', result: engineResult },
+            { filePath: 'b.js', result: engineResult }
+        ]);
+    });
+});
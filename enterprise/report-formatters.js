@@ -0,0 +1,370 @@
+const { version } = require('../package.json');
+const { fingerprintIssue } = require('./findings.js');
+const { normalizeResults } = require('./quality-gates.js');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info'];
+
+const SARIF_LEVELS = {
+    critical: 'error',
+    high: 'error',
+    medium: 'warning',
+    low: 'note',
+    info: 'note'
+};
+
+const formatters = new Map();
+
+function registerFormatter(name, formatter) {
+    formatters.set(name, formatter);
+}
+
+function getFormatter(name) {
+    return formatters.get(name) || null;
+}
+
+function listFormats() {
+    return ['json', ...formatters.keys()];
+}
+
+// Media ranges of an Accept header, most preferred first; ranges with
+// equal q-values keep their order. `q=0` means "not acceptable".
+function parseAccept(header) {
+    return header.split(',')
+        .map((part, index) => {
+            const [range, ...params] = part.split(';').map(item => item.trim().toLowerCase());
+            const q = params.find(param => param.startsWith('q='));
+            return { range, q: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter(({ range, q }) => range.includes('/') && q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(({ range }) => range);
+}
+
+function formatForRange(range) {
+    if (range === '*/*' || range === 'application/*' || range === 'application/json') {
+        return 'json';
+    }
+    const wildcard = range.endsWith('/*') ? range.slice(0, -1) : null;
+    for (const [name, formatter] of formatters) {
+        if (formatter.mediaTypes.some(type => (wildcard ? type.startsWith(wildcard) : type === range))) {
+            return name;
+        }
+    }
+    return null;
+}
+
+// An explicit `format` wins over the Accept header; otherwise the most
+// preferred media range we can produce is used. JSON is the default.
+function negotiateFormat(req) {
+    const requested = req.query.format || req.body?.format;
+    if (requested) {
+        return requested;
+    }
+
+    for (const range of parseAccept(req.headers.accept || '')) {
+        const format = formatForRange(range);
+        if (format) {
+            return format;
+        }
+    }
+    return 'json';
+}
+
+function reportFiles(report) {
+    return normalizeResults(report.results).map(file => ({
+        filePath: file.filePath || 'unknown',
+        result: file.result,
+        issues: [...(file.result.issues || [])].sort((a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)),
+        suppressed: file.result.suppressedIssues || []
+    }));
+}
+
+// e.g. "3 findings suppressed (inline: 1, baseline: 2)", or null
+function describeSuppressed(files) {
+    const counts = {};
+    for (const file of files) {
+        for (const issue of file.suppressed) {
+            const kind = issue.suppression?.kind || 'other';
+            counts[kind] = (counts[kind] || 0) + 1;
+        }
+    }
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        return null;
+    }
+    const breakdown = Object.entries(counts).map(([kind, count]) => `${kind}: ${count}`).join(', ');
+    return `${total} findings suppressed (${breakdown})`;
+}
+
+function ruleId(issue) {
+    return issue.rule || issue.type || 'codesaviour';
+}
+
+function countBySeverity(files) {
+    const counts = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, 0]));
+    for (const file of files) {
+        for (const issue of file.issues) {
+            counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeMarkdown(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatSarif(report) {
+    const files = reportFiles(report);
+    const rules = new Map();
+    const results = [];
+
+    // Suppressed findings are kept with SARIF `suppressions`, which code
+    // scanning tools show as dismissed rather than dropping them
+    for (const file of files) {
+        for (const issue of [...file.issues, ...file.suppressed]) {
+            const id = ruleId(issue);
+            if (!rules.has(id)) {
+                rules.set(id, {
+                    id,
+                    shortDescription: { text: issue.message || id },
+                    ...(issue.docs && { helpUri: issue.docs }),
+                    properties: { category: issue.type || issue.category || 'general' }
+                });
+            }
+
+            results.push({
+                ruleId: id,
+                level: SARIF_LEVELS[issue.severity] || 'warning',
+                message: { text: issue.message || id },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: file.filePath },
+                        region: {
+                            startLine: issue.line || 1,
+                            ...(issue.column && { startColumn: issue.column })
+                        }
+                    }
+                }],
+                partialFingerprints: {
+                    'codesaviour/v1': fingerprintIssue(issue, { filePath: file.filePath, repository: report.repository })
+                },
+                ...(issue.suppression && {
+                    suppressions: [{
+                        kind: issue.suppression.kind === 'inline' ? 'inSource' : 'external',
+                        status: 'accepted',
+                        ...(issue.suppression.reason && { justification: issue.suppression.reason })
+                    }]
+                })
+            });
+        }
+    }
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'CodeSaviour',
+                    version,
+                    informationUri: 'https://codesaviour.com',
+                    rules: [...rules.values()]
+                }
+            },
+            automationDetails: report.id ? { id: `codesaviour/${report.id}` } : undefined,
+            results
+        }]
+    }, null, 2);
+}
+
+function formatJunit(report) {
+    const files = reportFiles(report);
+    const suites = files.map(file => {
+        const cases = file.issues.length === 0
+            ? ['    <testcase classname="codesaviour" name="no issues"/>']
+            : file.issues.map(issue => [
+                `    <testcase classname="${escapeXml(ruleId(issue))}" name="${escapeXml(`${file.filePath}:${issue.line || 0} ${issue.message || ruleId(issue)}`)}">`,
+                `      <failure type="${escapeXml(issue.severity)}" message="${escapeXml(issue.message)}">${escapeXml(issue.suggestion || issue.fix || '')}</failure>`,
+                '    </testcase>'
+            ].join('\n'));
+
+        return [
+            `  <testsuite name="${escapeXml(file.filePath)}" tests="${Math.max(file.issues.length, 1)}" failures="${file.issues.length}">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n');
+    });
+
+    if (report.qualityGate) {
+        const gates = report.qualityGate.gates.map(gate => gate.passed
+            ? `    <testcase classname="quality-gate" name="${escapeXml(gate.label)}"/>`
+            : [
+                `    <testcase classname="quality-gate" name="${escapeXml(gate.label)}">`,
+                `      <failure type="quality-gate" message="${escapeXml(gate.reason)}"/>`,
+                '    </testcase>'
+            ].join('\n'));
+        const failed = report.qualityGate.gates.filter(gate => !gate.passed).length;
+        suites.push([
+            `  <testsuite name="quality-gate" tests="${report.qualityGate.gates.length}" failures="${failed}">`,
+            ...gates,
+            '  </testsuite>'
+        ].join('\n'));
+    }
+
+    const total = files.reduce((sum, file) => sum + Math.max(file.issues.length, 1), 0);
+    const failures = files.reduce((sum, file) => sum + file.issues.length, 0);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="CodeSaviour" tests="${total}" failures="${failures}">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+function formatMarkdown(report) {
+    const files = reportFiles(report);
+    const counts = countBySeverity(files);
+    const lines = ['# CodeSaviour Analysis Report', ''];
+
+    if (report.id) {
+        lines.push(`Report \`${report.id}\` generated ${report.createdAt}`, '');
+    }
+
+    lines.push('| Severity | Count |', '| --- | --- |');
+    for (const severity of SEVERITY_ORDER) {
+        lines.push(`| ${severity} | ${counts[severity]} |`);
+    }
+    lines.push('');
+
+    const suppressed = describeSuppressed(files);
+    if (suppressed) {
+        lines.push(`_${suppressed}_`, '');
+    }
+
+    if (report.qualityGate) {
+        lines.push(`## Quality Gate ${report.qualityGate.passed ? '✅ Passed' : '❌ Failed'}`, '');
+        for (const gate of report.qualityGate.gates) {
+            lines.push(`- ${gate.passed ? '✅' : '❌'} ${gate.reason}`);
+        }
+        lines.push('');
+    }
+
+    for (const file of files) {
+        lines.push(`## \`${file.filePath}\``, '');
+        if (file.issues.length === 0) {
+            lines.push('No issues found.', '');
+            continue;
+        }
+        lines.push('| Line | Severity | Rule | Message |', '| --- | --- | --- | --- |');
+        for (const issue of file.issues) {
+            lines.push(`| ${issue.line || '-'} | ${issue.severity} | ${escapeMarkdown(ruleId(issue))} | ${escapeMarkdown(issue.message)} |`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+function formatHtml(report) {
+    const files = reportFiles(report);
+    const counts = countBySeverity(files);
+
+    const summary = SEVERITY_ORDER
+        .map(severity => `<div class="card ${severity}"><strong>${counts[severity]}</strong>${severity}</div>`)
+        .join('');
+
+    const suppressed = describeSuppressed(files);
+
+    const gate = report.qualityGate
+        ? `<h2>Quality Gate: ${report.qualityGate.passed ? 'Passed' : 'Failed'}</h2><ul>${report.qualityGate.gates
+            .map(g => `<li class="${g.passed ? 'pass' : 'fail'}">${escapeXml(g.reason)}</li>`).join('')}</ul>`
+        : '';
+
+    const sections = files.map(file => {
+        const rows = file.issues.map(issue => `<tr class="${escapeXml(issue.severity)}"><td>${issue.line || '-'}</td>`
+            + `<td>${escapeXml(issue.severity)}</td><td><code>${escapeXml(ruleId(issue))}</code></td>`
+            + `<td>${escapeXml(issue.message)}</td><td>${escapeXml(issue.suggestion || issue.fix || '')}</td></tr>`).join('');
+        const body = rows
+            ? `<table><thead><tr><th>Line</th><th>Severity</th><th>Rule</th><th>Message</th><th>Suggested fix</th></tr></thead><tbody>${rows}</tbody></table>`
+            : '<p>No issues found.</p>';
+        return `<section><h3>${escapeXml(file.filePath)}</h3>${body}</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CodeSaviour Analysis Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+.cards { display: flex; gap: 1rem; }
+.card { padding: 1rem; border-radius: 6px; background: #f2f2f2; min-width: 6rem; text-transform: capitalize; }
+.card strong { display: block; font-size: 1.5rem; }
+.card.critical, tr.critical td:nth-child(2) { color: #b00020; }
+.card.high, tr.high td:nth-child(2) { color: #d35400; }
+.card.medium, tr.medium td:nth-child(2) { color: #b7950b; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; vertical-align: top; }
+li.pass { color: #1e8449; }
+li.fail { color: #b00020; }
+</style>
+</head>
+<body>
+<h1>CodeSaviour Analysis Report</h1>
+<p>${report.id ? `Report ${escapeXml(report.id)} generated ${escapeXml(report.createdAt)}` : ''}</p>
+<div class="cards">${summary}</div>
+${suppressed ? `<p>${escapeXml(suppressed)}</p>` : ''}
+${gate}
+${sections}
+</body>
+</html>
+`;
+}
+
+registerFormatter('sarif', {
+    contentType: 'application/sarif+json',
+    extension: 'sarif',
+    mediaTypes: ['application/sarif+json'],
+    format: formatSarif
+});
+
+registerFormatter('junit', {
+    contentType: 'application/xml',
+    extension: 'xml',
+    mediaTypes: ['application/junit+xml', 'application/xml', 'text/xml'],
+    format: formatJunit
+});
+
+registerFormatter('markdown', {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    mediaTypes: ['text/markdown'],
+    format: formatMarkdown
+});
+
+registerFormatter('html', {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    mediaTypes: ['text/html'],
+    format: formatHtml
+});
+
+module.exports = {
+    registerFormatter,
+    getFormatter,
+    listFormats,
+    negotiateFormat
+};
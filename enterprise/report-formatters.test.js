@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getFormatter, listFormats, negotiateFormat } = require('./report-formatters.js');
+
+const report = {
+    id: 'report_1',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    repository: 'acme/web',
+    results: [
+        {
+            filePath: 'src/a.js',
+            result: {
+                issues: [
+                    { type: 'performance', severity: 'medium', line: 8, message: 'Loop allocates' },
+                    { type: 'security', rule: 'no-eval', severity: 'critical', line: 3, message: 'eval of <input> & more' }
+                ],
+                suppressedIssues: [
+                    { type: 'style', severity: 'low', line: 1, message: 'Old style', suppression: { kind: 'inline', reason: 'generated' } }
+                ]
+            }
+        },
+        { filePath: 'src/b.js', result: { issues: [] } }
+    ],
+    qualityGate: {
+        passed: false,
+        gates: [{ label: 'Critical issues', passed: false, reason: 'Critical issues 1 (limit 0)' }]
+    }
+};
+
+describe('report formatters', () => {
+    it('writes SARIF results with fingerprints and dismissed suppressions', () => {
+        const sarif = JSON.parse(getFormatter('sarif').format(report));
+        const [run] = sarif.runs;
+
+        assert.equal(sarif.version, '2.1.0');
+        assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['no-eval', 'performance', 'style']);
+        assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [['no-eval', 'error'], ['performance', 'warning'], ['style', 'note']]);
+        assert.equal(run.results[0].locations[0].physicalLocation.region.startLine, 3);
+        assert.match(run.results[0].partialFingerprints['codesaviour/v1'], /^[0-9a-f]+$/);
+        assert.deepEqual(run.results[2].suppressions, [{ kind: 'inSource', status: 'accepted', justification: 'generated' }]);
+        assert.equal(run.automationDetails.id, 'codesaviour/report_1');
+    });
+
+    it('writes one JUnit failure per finding and per failed gate, escaping XML', () => {
+        const xml = getFormatter('junit').format(report);
+
+        assert.match(xml, /<testsuites name="CodeSaviour" tests="3" failures="2">/);
+        assert.match(xml, /<testsuite name="src\/b.js" tests="1" failures="0">/);
+        assert.match(xml, /name="src\/a.js:3 eval of &lt;input&gt; &amp; more"/);
+        assert.match(xml, /<testsuite name="quality-gate" tests="1" failures="1">/);
+    });
+
+    it('summarizes severities, suppressions and the gate in Markdown', () => {
+        const markdown = getFormatter('markdown').format(report);
+
+        assert.match(markdown, /\| critical \| 1 \|/);
+        assert.match(markdown, /_1 findings suppressed \(inline: 1\)_/);
+        assert.match(markdown, /## Quality Gate ❌ Failed/);
+        assert.ok(markdown.indexOf('no-eval') < markdown.indexOf('Loop allocates'));
+    });
+
+    it('escapes finding text in HTML', () => {
+        const html = getFormatter('html').format(report);
+        assert.ok(html.includes('eval of &lt;input&gt; &amp; more'));
+        assert.ok(!html.includes('<input>'));
+    });
+
+    it('lists JSON with the registered formats', () => {
+        assert.deepEqual(listFormats(), ['json', 'sarif', 'junit', 'markdown', 'html']);
+        assert.equal(getFormatter('pdf'), null);
+    });
+});
+
+describe('negotiateFormat', () => {
+    const request = (accept, query = {}) => ({ query, headers: { accept } });
+
+    it('prefers an explicit format over the Accept header', () => {
+        assert.equal(negotiateFormat(request('text/html', { format: 'sarif' })), 'sarif');
+    });
+
+    it('picks the most preferred media range it can produce', () => {
+        assert.equal(negotiateFormat(request('image/png, text/markdown;q=0.5, text/html;q=0.8')), 'html');
+        assert.equal(negotiateFormat(request('application/junit+xml')), 'junit');
+        assert.equal(negotiateFormat(request('text/html;q=0, */*')), 'json');
+        assert.equal(negotiateFormat(request(undefined)), 'json');
+    });
+});
@@ -0,0 +1,267 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger.js');
+
+const log = logger.child({ component: 'report-store' });
+
+const HOUR = 60 * 60 * 1000;
+
+// Both stores drop reports older than `retention` ms when saving, at most
+// once per `retentionInterval`
+class MemoryReportStore {
+    constructor(options = {}) {
+        this.reports = new Map();
+        this.retention = options.retention || null;
+        this.retentionInterval = options.retentionInterval || HOUR;
+        this.lastRetentionRun = 0;
+    }
+
+    async save(report) {
+        this.reports.set(report.id, report);
+        await this.enforceRetention();
+        return report;
+    }
+
+    async get(id) {
+        return this.reports.get(id) || null;
+    }
+
+    async delete(id) {
+        return this.reports.delete(id);
+    }
+
+    async list({ limit = 20, offset = 0, tenant } = {}) {
+        const all = newestFirst(byTenant(Array.from(this.reports.values()), tenant));
+
+        return {
+            items: all.slice(offset, offset + limit),
+            total: all.length
+        };
+    }
+
+    async query({ from, to } = {}) {
+        return filterByTime(Array.from(this.reports.values()), from, to);
+    }
+
+    async enforceRetention({ force = false, now = Date.now() } = {}) {
+        const ids = expiredIds(this, this.reports.values(), { force, now });
+        ids.forEach(id => this.reports.delete(id));
+        return ids.length;
+    }
+}
+
+// Reports are kept one JSON file each. Listing works from an in-memory index
+// of `{ id, tenant, createdAt }`, built once from the directory and kept up
+// to date by save and delete, so only the requested page is read from disk.
+// Files that cannot be parsed are logged and left out.
+class FileReportStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(process.cwd(), 'reports', 'analyses');
+        this.retention = options.retention || null;
+        this.retentionInterval = options.retentionInterval || HOUR;
+        this.lastRetentionRun = 0;
+        this.index = new Map();
+        this.loaded = null;
+    }
+
+    filePath(id) {
+        // Ids are generated by us, but they also arrive from URLs
+        if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+            return null;
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    // Concurrent callers share one directory scan, as in ApiKeyStore
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.buildIndex().catch(error => {
+                this.loaded = null;
+                throw error;
+            });
+        }
+        return this.loaded;
+    }
+
+    async buildIndex() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        for (const file of files) {
+            const id = file.slice(0, -'.json'.length);
+            if (file.endsWith('.json') && this.filePath(id)) {
+                const report = await this.get(id);
+                if (report) {
+                    this.index.set(id, summarize(id, report));
+                }
+            }
+        }
+    }
+
+    async save(report) {
+        await this.load();
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.filePath(report.id), JSON.stringify(report, null, 2));
+        this.index.set(report.id, summarize(report.id, report));
+
+        this.enforceRetention().catch(error => log.error('Failed to enforce report retention', { error }));
+        return report;
+    }
+
+    async get(id) {
+        const file = this.filePath(id);
+        if (!file) {
+            return null;
+        }
+
+        let content;
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            log.warn('Skipping unreadable report', { file, error });
+            return null;
+        }
+    }
+
+    async delete(id) {
+        const file = this.filePath(id);
+        if (!file) {
+            return false;
+        }
+
+        await this.load();
+        this.index.delete(id);
+        try {
+            await fs.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async list({ limit = 20, offset = 0, tenant } = {}) {
+        await this.load();
+        const entries = newestFirst(byTenant(Array.from(this.index.values()), tenant));
+
+        return {
+            items: await this.readEntries(entries.slice(offset, offset + limit)),
+            total: entries.length
+        };
+    }
+
+    async query({ from, to } = {}) {
+        await this.load();
+        return this.readEntries(filterByTime(Array.from(this.index.values()), from, to));
+    }
+
+    // A file removed or corrupted since it was indexed is dropped
+    async readEntries(entries) {
+        const reports = [];
+        for (const { id } of entries) {
+            const report = await this.get(id);
+            if (report) {
+                reports.push(report);
+            } else {
+                this.index.delete(id);
+            }
+        }
+        return reports;
+    }
+
+    async enforceRetention({ force = false, now = Date.now() } = {}) {
+        await this.load();
+        const ids = expiredIds(this, this.index.values(), { force, now });
+        for (const id of ids) {
+            await this.delete(id);
+        }
+        return ids.length;
+    }
+}
+
+function summarize(id, report) {
+    return { id, tenant: report.tenant, createdAt: report.createdAt };
+}
+
+// Ids of reports older than the store's retention, or none when retention
+// is off or last ran less than `retentionInterval` ago
+function expiredIds(store, reports, { force, now }) {
+    if (!store.retention || (!force && now - store.lastRetentionRun < store.retentionInterval)) {
+        return [];
+    }
+    store.lastRetentionRun = now;
+
+    const cutoff = now - store.retention;
+    return Array.from(reports)
+        .filter(report => new Date(report.createdAt).getTime() < cutoff)
+        .map(report => report.id);
+}
+
+function newestFirst(reports) {
+    return reports.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Without a tenant every report is listed
+function byTenant(reports, tenant) {
+    return tenant === undefined ? reports : reports.filter(report => report.tenant === tenant);
+}
+
+// Returns reports created in [from, to), oldest first
+function filterByTime(reports, from, to) {
+    const start = from ? new Date(from).getTime() : -Infinity;
+    const end = to ? new Date(to).getTime() : Infinity;
+
+    return reports
+        .filter(report => {
+            const created = new Date(report.createdAt).getTime();
+            return created >= start && created < end;
+        })
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function createReport({ filePaths, options, results, type = 'analysis', repository = null, source = 'api', tenant = null }) {
+    return {
+        id: crypto.randomUUID(),
+        type,
+        source,
+        tenant,
+        repository,
+        createdAt: new Date().toISOString(),
+        filePaths,
+        options,
+        results
+    };
+}
+
+function createReportStore(options = {}) {
+    if (options.type === 'memory') {
+        return new MemoryReportStore(options);
+    }
+    return new FileReportStore(options);
+}
+
+module.exports = {
+    MemoryReportStore,
+    FileReportStore,
+    createReport,
+    createReportStore
+};
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileReportStore, MemoryReportStore, createReport } = require('./report-store.js');
+const { logger } = require('./logger.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function reportAt(daysAgo, tenant = 'acme') {
+    return { ...createReport({ filePaths: [], options: {}, results: [], tenant }), createdAt: new Date(Date.now() - daysAgo * DAY).toISOString() };
+}
+
+async function withDirectory(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-store-'));
+    try {
+        await run(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+describe('FileReportStore', () => {
+    it('pages newest first per tenant from reports already on disk', () => withDirectory(async directory => {
+        const reports = [reportAt(3), reportAt(1), reportAt(2, 'globex'), reportAt(0)];
+        const writer = new FileReportStore({ directory });
+        for (const report of reports) {
+            await writer.save(report);
+        }
+
+        const store = new FileReportStore({ directory });
+        const page = await store.list({ limit: 2, offset: 1, tenant: 'acme' });
+        assert.equal(page.total, 3);
+        assert.deepEqual(page.items.map(report => report.id), [reports[1].id, reports[0].id]);
+        assert.equal((await store.list()).total, 4);
+
+        const window = await store.query({ from: new Date(Date.now() - 2.5 * DAY), to: new Date(Date.now() - 0.5 * DAY) });
+        assert.deepEqual(window.map(report => report.id), [reports[2].id, reports[1].id]);
+    }));
+
+    it('skips files that cannot be parsed', () => withDirectory(async directory => {
+        const level = logger.level;
+        logger.configure({ level: 'silent' });
+        try {
+            const report = reportAt(0);
+            await new FileReportStore({ directory }).save(report);
+            fs.writeFileSync(path.join(directory, 'broken.json'), '{"id": "bro');
+
+            const store = new FileReportStore({ directory });
+            assert.deepEqual((await store.list()).items.map(item => item.id), [report.id]);
+            assert.equal(await store.get('broken'), null);
+
+            fs.writeFileSync(path.join(directory, `${report.id}.json`), 'null,');
+            assert.deepEqual((await store.list()).items, []);
+            assert.equal((await store.list()).total, 0);
+        } finally {
+            logger.configure({ level });
+        }
+    }));
+
+    it('drops reports older than the retention when saving', () => withDirectory(async directory => {
+        const old = reportAt(40);
+        await new FileReportStore({ directory }).save(old);
+
+        const store = new FileReportStore({ directory, retention: 30 * DAY });
+        const fresh = await store.save(reportAt(0));
+        await store.enforceRetention({ force: true });
+
+        assert.deepEqual((await store.list()).items.map(report => report.id), [fresh.id]);
+        assert.deepEqual(fs.readdirSync(directory), [`${fresh.id}.json`]);
+    }));
+});
+
+describe('MemoryReportStore', () => {
+    it('applies the same retention', async () => {
+        const store = new MemoryReportStore({ retention: 30 * DAY });
+        await store.save(reportAt(40));
+        const fresh = await store.save(reportAt(0));
+        await store.enforceRetention({ force: true });
+
+        assert.deepEqual((await store.list()).items, [fresh]);
+    });
+});
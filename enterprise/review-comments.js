@@ -0,0 +1,30 @@
+// Comment bodies shared by the GitHub and GitLab review integrations.
+
+function formatIssueComment(issue) {
+    const lines = [`**${(issue.severity || 'info').toUpperCase()}**: ${issue.message}`];
+    if (issue.rule || issue.type) {
+        lines.push(`Rule: \`${issue.rule || issue.type}\``);
+    }
+    if (issue.suggestion || issue.fix) {
+        lines.push('', `Suggested fix: ${issue.suggestion || issue.fix}`);
+    }
+    return lines.join('\n');
+}
+
+function formatReviewSummary(files, gate) {
+    const totalIssues = files.reduce((sum, file) => sum + (file.result.issues || []).length, 0);
+    const suppressed = files.reduce((sum, file) => sum + (file.result.suppressedIssues || []).length, 0);
+
+    return [
+        `## CodeSaviour Analysis ${gate.passed ? '✅' : '❌'}`,
+        '',
+        `Analyzed ${files.length} changed files and found ${totalIssues} issues`
+            + (suppressed > 0 ? ` (${suppressed} suppressed or baselined).` : '.'),
+        ...gate.failures.map(failure => `- ${failure}`)
+    ].join('\n');
+}
+
+module.exports = {
+    formatIssueComment,
+    formatReviewSummary
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, matchesGlob } = require('./glob.js');
+const { detectLanguage } = require('./source-files.js');
+const log = require('./logger.js').logger.child({ component: 'rules' });
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+const ID_PATTERN = /^[a-z0-9][\w.-]*$/i;
+
+// Checks a plugin module's shape and returns its rules with ids namespaced
+// by plugin, e.g. `acme/no-internal-api`. Throws a TypeError naming the
+// first problem.
+function normalizePlugin(plugin, { name, source }) {
+    if (!plugin || !Array.isArray(plugin.rules)) {
+        throw new TypeError('Plugin must export a `rules` array');
+    }
+    const pluginName = plugin.name || name || '';
+    if (!ID_PATTERN.test(pluginName)) {
+        throw new TypeError(`Invalid plugin name: ${pluginName}`);
+    }
+
+    const rules = plugin.rules.map(rule => {
+        if (!rule || !ID_PATTERN.test(rule.id || '')) {
+            throw new TypeError(`Invalid rule id in ${pluginName}: ${rule?.id}`);
+        }
+        if (typeof rule.check !== 'function') {
+            throw new TypeError(`Rule ${pluginName}/${rule.id} must have a check function`);
+        }
+        if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+            throw new TypeError(`Rule ${pluginName}/${rule.id} has a fix that is not a function`);
+        }
+        const severity = rule.severity || 'medium';
+        if (!SEVERITIES.includes(severity)) {
+            throw new TypeError(`Rule ${pluginName}/${rule.id} has unknown severity: ${severity}`);
+        }
+
+        return {
+            id: `${pluginName}/${rule.id}`,
+            plugin: pluginName,
+            severity,
+            category: rule.category || 'custom',
+            description: rule.description || null,
+            docs: rule.docs || null,
+            // Globs limiting the files the rule looks at
+            paths: rule.paths ? [].concat(rule.paths) : null,
+            fixable: typeof rule.fix === 'function',
+            check: rule.check,
+            fix: rule.fix
+        };
+    });
+
+    return { name: pluginName, version: plugin.version || null, source, rules };
+}
+
+// Custom rules loaded from plugin modules. A plugin exports
+// `{ name, version, rules: [{ id, severity, category, description, docs,
+// paths, check(context), fix(code, context) }] }`. `check` returns (or
+// resolves to) findings shaped like `{ line, column, message, suggestion }`
+// and `fix`, when present, returns the fixed code.
+//
+// `enabled` lists rule id globs active for every repository, and
+// `repositories` replaces that list for the repositories it names. An
+// `enabled` list passed to `apply` replaces both.
+class RuleRegistry {
+    constructor(options = {}) {
+        this.enabled = options.enabled || ['**'];
+        this.repositories = options.repositories || {};
+        this.plugins = [];
+        this.rules = new Map();
+        this.errors = [];
+
+        if (options.directory) {
+            this.loadDirectory(options.directory);
+        }
+        for (const name of options.packages || []) {
+            this.loadPackage(name);
+        }
+        for (const plugin of options.plugins || []) {
+            this.register(plugin, { source: 'inline' });
+        }
+    }
+
+    // Every `.js`/`.cjs` file and every directory with an entry point is a
+    // plugin named after itself unless it exports a name
+    loadDirectory(directory) {
+        const root = path.resolve(directory);
+        if (!fs.existsSync(root)) {
+            return;
+        }
+        for (const entry of fs.readdirSync(root, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const file = path.join(root, entry.name);
+            const isModule = entry.isFile() && /\.c?js$/.test(entry.name);
+            const isPackage = entry.isDirectory()
+                && ['package.json', 'index.js'].some(main => fs.existsSync(path.join(file, main)));
+            if (isModule || isPackage) {
+                this.load(file, { name: entry.name.replace(/\.c?js$/, ''), source: file });
+            }
+        }
+    }
+
+    // Packages resolve from the working directory, like the CLI's inputs
+    loadPackage(name) {
+        let file;
+        try {
+            file = require.resolve(name, { paths: [process.cwd()] });
+        } catch (error) {
+            this.recordError(name, error);
+            return;
+        }
+        this.load(file, { name: name.replace(/^@[^/]+\//, ''), source: name });
+    }
+
+    load(file, { name, source }) {
+        try {
+            this.register(require(file), { name, source });
+        } catch (error) {
+            this.recordError(source, error);
+        }
+    }
+
+    // A broken plugin is reported and skipped instead of stopping the server
+    recordError(source, error) {
+        log.error('Failed to load rule plugin', { source, error: error.message });
+        this.errors.push({ source, error: error.message });
+    }
+
+    register(module, { name, source }) {
+        const plugin = normalizePlugin(module, { name, source });
+        const duplicate = plugin.rules.find(rule => this.rules.has(rule.id));
+        if (duplicate) {
+            throw new TypeError(`Rule ${duplicate.id} is already registered`);
+        }
+
+        this.plugins.push(plugin);
+        for (const rule of plugin.rules) {
+            this.rules.set(rule.id, rule);
+        }
+        return plugin;
+    }
+
+    activeRules(repository, enabled) {
+        const patterns = enabled || (repository && this.repositories[repository]) || this.enabled;
+        return [...this.rules.values()].filter(rule => patterns.some(pattern => globToRegExp(pattern).test(rule.id)));
+    }
+
+    // Rule metadata for listings, without the functions
+    describe(repository) {
+        return this.activeRules(repository).map(({ check, fix, ...rule }) => rule);
+    }
+
+    async runRule(rule, code, context) {
+        if (rule.paths && !(context.filePath && matchesGlob(context.filePath, rule.paths))) {
+            return [];
+        }
+        const findings = await rule.check({ ...context, code, lines: code.split('\n') });
+        return Array.isArray(findings) ? findings : [];
+    }
+
+    // Adds findings from the repository's active rules to an engine result.
+    // They carry the same fields as engine issues, so suppressions, gates
+    // and reports treat them alike. A rule that throws is listed in
+    // `result.ruleErrors` and does not fail the analysis.
+    async apply(result, { code, filePath, repository, enabled }) {
+        const rules = this.activeRules(repository, enabled);
+        if (rules.length === 0) {
+            return result;
+        }
+
+        const context = { filePath, repository, language: filePath ? detectLanguage(filePath) : null };
+        const issues = [];
+        const ruleErrors = [];
+        for (const rule of rules) {
+            try {
+                for (const finding of await this.runRule(rule, code, context)) {
+                    issues.push({
+                        type: rule.category,
+                        rule: rule.id,
+                        severity: SEVERITIES.includes(finding.severity) ? finding.severity : rule.severity,
+                        line: finding.line || null,
+                        column: finding.column || null,
+                        message: finding.message || rule.description || rule.id,
+                        suggestion: finding.suggestion || null,
+                        docs: rule.docs,
+                        fixable: rule.fixable,
+                        plugin: rule.plugin
+                    });
+                }
+            } catch (error) {
+                ruleErrors.push({ rule: rule.id, error: error.message });
+            }
+        }
+
+        return {
+            ...result,
+            issues: [...(result.issues || []), ...issues],
+            ...(ruleErrors.length > 0 && { ruleErrors })
+        };
+    }
+
+    // Runs the autofix of every active rule that reports findings in `code`,
+    // one after another. Returns `{ code, fixes: [{ rule, findings }],
+    // ruleErrors }`; a rule whose check or fix throws is left out.
+    async fix(code, { filePath, repository }) {
+        const context = { filePath, repository, language: filePath ? detectLanguage(filePath) : null };
+        const fixes = [];
+        const ruleErrors = [];
+        for (const rule of this.activeRules(repository).filter(candidate => candidate.fixable)) {
+            try {
+                const findings = await this.runRule(rule, code, context);
+                if (findings.length === 0) {
+                    continue;
+                }
+                const fixed = await rule.fix(code, { ...context, findings });
+                if (typeof fixed === 'string' && fixed !== code) {
+                    code = fixed;
+                    fixes.push({ rule: rule.id, findings: findings.length });
+                }
+            } catch (error) {
+                ruleErrors.push({ rule: rule.id, error: error.message });
+            }
+        }
+        return { code, fixes, ruleErrors };
+    }
+}
+
+module.exports = {
+    RuleRegistry,
+    normalizePlugin,
+    SEVERITIES
+};
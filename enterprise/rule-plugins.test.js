@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleRegistry, normalizePlugin } = require('./rule-plugins.js');
+const { logger } = require('./logger.js');
+
+const acme = {
+    name: 'acme',
+    version: '1.0.0',
+    rules: [
+        {
+            id: 'no-console',
+            severity: 'low',
+            category: 'style',
+            description: 'Avoid console logging',
+            check: ({ lines }) => lines
+                .map((line, index) => line.includes('console.log') && { line: index + 1 })
+                .filter(Boolean),
+            fix: code => code.replace(/console\.log\(.*?\);\n?/g, '')
+        },
+        {
+            id: 'no-internal-api',
+            severity: 'high',
+            paths: ['src/**'],
+            check: ({ code }) => (code.includes('internal()') ? [{ line: 1, message: 'Internal API', severity: 'critical' }] : [])
+        },
+        {
+            id: 'broken',
+            check: () => {
+                throw new Error('rule crashed');
+            }
+        }
+    ]
+};
+
+const code = 'internal();\nconsole.log(1);\n';
+
+describe('RuleRegistry', () => {
+    it('adds findings from active rules to the engine result', async () => {
+        const registry = new RuleRegistry({ plugins: [acme] });
+        const result = await registry.apply({ issues: [{ type: 'security', severity: 'high', line: 9 }] },
+            { code, filePath: 'src/a.js' });
+
+        assert.deepEqual(result.issues.map(issue => [issue.rule || issue.type, issue.severity, issue.line]), [
+            ['security', 'high', 9],
+            ['acme/no-console', 'low', 2],
+            ['acme/no-internal-api', 'critical', 1]
+        ]);
+        assert.equal(result.issues[1].message, 'Avoid console logging');
+        assert.equal(result.issues[1].fixable, true);
+        assert.deepEqual(result.ruleErrors, [{ rule: 'acme/broken', error: 'rule crashed' }]);
+    });
+
+    it('limits rules by path globs and by the enabled rules of a repository', async () => {
+        const registry = new RuleRegistry({ plugins: [acme], enabled: ['acme/*'], repositories: { 'acme/legacy': ['acme/no-console'] } });
+
+        const outside = await registry.apply({ issues: [] }, { code, filePath: 'test/a.js' });
+        assert.deepEqual(outside.issues.map(issue => issue.rule), ['acme/no-console']);
+        assert.deepEqual(registry.describe('acme/legacy').map(rule => rule.id), ['acme/no-console']);
+        const replaced = await registry.apply({ issues: [] }, { code, filePath: 'src/a.js', enabled: ['acme/no-internal-api'] });
+        assert.deepEqual(replaced.issues.map(issue => issue.rule), ['acme/no-internal-api']);
+    });
+
+    it('applies autofixes of rules with findings', async () => {
+        const registry = new RuleRegistry({ plugins: [acme] });
+        const fixed = await registry.fix(code, { filePath: 'src/a.js' });
+
+        assert.equal(fixed.code, 'internal();\n');
+        assert.deepEqual(fixed.fixes, [{ rule: 'acme/no-console', findings: 1 }]);
+    });
+
+    it('records broken plugins in a directory instead of failing', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-plugins-'));
+        const level = logger.level;
+        logger.configure({ level: 'silent' });
+        try {
+            fs.writeFileSync(path.join(directory, 'team.js'),
+                "module.exports = { rules: [{ id: 'todo', check: () => [] }] };");
+            fs.writeFileSync(path.join(directory, 'bad.js'), 'module.exports = { rules: "nope" };');
+            const registry = new RuleRegistry({ directory });
+
+            assert.deepEqual([...registry.rules.keys()], ['team/todo']);
+            assert.deepEqual(registry.errors, [{ source: path.join(directory, 'bad.js'), error: 'Plugin must export a `rules` array' }]);
+        } finally {
+            logger.configure({ level });
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects invalid rules and duplicate ids', () => {
+        assert.throws(() => normalizePlugin({ name: 'x', rules: [{ id: 'a', check: () => [], severity: 'urgent' }] }, {}),
+            /unknown severity: urgent/);
+        assert.throws(() => normalizePlugin({ name: 'x', rules: [{ id: 'a' }] }, {}), /must have a check function/);
+        const registry = new RuleRegistry({ plugins: [acme] });
+        assert.throws(() => registry.register(acme, { source: 'inline' }), /Rule acme\/no-console is already registered/);
+    });
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+const APIServer = require('./api-server.js');
+const DashboardServer = require('./dashboard-server.js');
+const { createServices } = require('./services.js');
+const { ConfigError, getConfigLoader } = require('./config-loader.js');
+const log = require('./logger.js').logger.child({ component: 'server' });
+
+// Runs the API and dashboard in one process on a single engine, monitor and
+// report store, so the dashboard sees API traffic and only one monitoring
+// interval runs. Any service can be injected through `options`.
+class CodeSaviourServer {
+    constructor(options = {}) {
+        this.configLoader = options.configLoader || getConfigLoader();
+        this.config = options.config || this.configLoader.config;
+        this.services = createServices(this.config, { ...options, configLoader: this.configLoader });
+        this.shutdownTimeout = options.shutdownTimeout || 30000;
+
+        this.api = new APIServer({
+            ...options,
+            ...this.services,
+            configLoader: this.configLoader,
+            config: this.config,
+            port: options.apiPort ?? this.config.api.port
+        });
+        this.dashboard = new DashboardServer({
+            ...options,
+            ...this.services,
+            configLoader: this.configLoader,
+            config: this.config,
+            port: options.dashboardPort ?? this.config.dashboard.port,
+            jobQueue: this.api.jobQueue
+        });
+        this.stopping = null;
+    }
+
+    // Also starts watching the config file for reloadable changes
+    async start() {
+        await Promise.all([this.api.start(), this.dashboard.start()]);
+        this.configLoader.watch();
+        return this;
+    }
+
+    // Closes both servers, lets in-flight requests and batch jobs finish,
+    // then stops the monitor and flushes telemetry. Resolves false if that
+    // takes longer than `shutdownTimeout`.
+    shutdown() {
+        if (!this.stopping) {
+            const steps = (async () => {
+                this.configLoader.unwatch();
+                await Promise.all([this.api.stop(), this.dashboard.stop()]);
+                await this.services.monitor.stop();
+                await this.services.telemetry.stop();
+                return true;
+            })();
+
+            let timer;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), this.shutdownTimeout);
+            });
+            this.stopping = Promise.race([steps, timeout]).finally(() => clearTimeout(timer));
+        }
+        return this.stopping;
+    }
+
+    handleSignals() {
+        for (const signal of ['SIGTERM', 'SIGINT']) {
+            process.once(signal, async () => {
+                log.info('Shutting down', { signal });
+                try {
+                    const clean = await this.shutdown();
+                    if (!clean) {
+                        log.error('Shutdown did not finish in time', { timeout: this.shutdownTimeout });
+                    }
+                    process.exit(clean ? 0 : 1);
+                } catch (error) {
+                    log.error('Shutdown failed', { error });
+                    process.exit(1);
+                }
+            });
+        }
+        return this;
+    }
+}
+
+if (require.main === module) {
+    let server;
+    try {
+        server = new CodeSaviourServer().handleSignals();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        // Nothing can start with a broken configuration; list the problems
+        // without a stack trace
+        console.error(error.message);
+        process.exit(1);
+    }
+    server.start().catch(error => {
+        log.error('Failed to start CodeSaviour', { error });
+        process.exit(1);
+    });
+}
+
+module.exports = CodeSaviourServer;
@@ -0,0 +1,69 @@
+const PerformanceMonitor = require('./performance-monitor.js');
+const Notifier = require('./notifier.js');
+const Telemetry = require('./telemetry.js');
+const { createReportStore } = require('./report-store.js');
+const { AuditLog } = require('./audit-log.js');
+const { createAnalysisCache } = require('./analysis-cache.js');
+const { BaselineStore } = require('./baselines.js');
+const { SuppressionList } = require('./suppressions.js');
+const { RuleRegistry } = require('./rule-plugins.js');
+const JiraIntegration = require('./jira-integration.js');
+const { AnalysisService } = require('./analysis-service.js');
+const { logger } = require('./logger.js');
+
+// The engine is loaded on demand, like the CLI does, so services built
+// around an injected engine work without it
+function createEngine(options) {
+    const { CodeSaviourEngine } = require('../codesaviour-engine.js');
+    return new CodeSaviourEngine(options);
+}
+
+// Builds the engine, monitor, stores and analysis service a server needs.
+// Anything passed in `overrides` is used as-is, which is how the combined
+// server shares one set between the API and dashboard apps and how tests
+// inject fakes.
+// `overrides.configLoader` is the loader `config` came from, if any.
+function createServices(config, overrides = {}) {
+    logger.configure(config.logging);
+    const engine = overrides.engine || createEngine(overrides.engineOptions);
+    const notifier = overrides.notifier || overrides.monitor?.notifier || new Notifier(config.cicd.notifications);
+    const monitor = overrides.monitor || new PerformanceMonitor({
+        notifier,
+        thresholds: config.monitoring.thresholds,
+        alertRules: config.monitoring.alertRules,
+        retention: config.monitoring.retention,
+        storeOptions: config.monitoring.store,
+        ...overrides.monitorOptions
+    });
+    // A monitor built here follows reloaded thresholds and alert rules, and
+    // the log level follows along with it
+    if (!overrides.monitor && overrides.configLoader) {
+        overrides.configLoader.on('reload', () => {
+            monitor.configure(config.monitoring);
+            logger.configure(config.logging);
+        });
+    }
+    const telemetry = overrides.telemetry || new Telemetry({ monitor, config: config.monitoring });
+    const reportStore = overrides.reportStore || createReportStore({
+        retention: config.monitoring.retention.reports,
+        ...overrides.reportStoreOptions
+    });
+    const auditLog = overrides.auditLog || new AuditLog(config.audit);
+    const analysisCache = overrides.analysisCache !== undefined
+        ? overrides.analysisCache
+        : createAnalysisCache(config.api.cache);
+    const baselineStore = overrides.baselineStore || new BaselineStore({ file: config.cicd.baselines.storeFile });
+    const suppressions = overrides.suppressions || new SuppressionList({ file: config.cicd.suppressions.file });
+    const ruleRegistry = overrides.ruleRegistry || new RuleRegistry(config.rules);
+    const jira = overrides.jira || new JiraIntegration(config.integrations.jira);
+    const analysis = overrides.analysis || new AnalysisService({
+        engine, monitor, telemetry, cache: analysisCache, ruleRegistry, suppressions, baselineStore, jira
+    });
+
+    return {
+        engine, notifier, monitor, telemetry, reportStore, auditLog,
+        analysisCache, baselineStore, suppressions, ruleRegistry, jira, analysis
+    };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { createServices } = require('./services.js');
+const { ConfigLoader } = require('./config-loader.js');
+const PerformanceMonitor = require('./performance-monitor.js');
+
+function testConfig() {
+    const config = new ConfigLoader({ file: null, env: {} }).load();
+    config.monitoring.store.type = 'memory';
+    config.api.cache.type = 'memory';
+    config.audit.file = null;
+    return config;
+}
+
+const engine = { version: 'test', analyzeCode: async () => ({ issues: [] }) };
+
+describe('createServices', () => {
+    it('wires one engine and monitor into the analysis service and telemetry', async () => {
+        const services = createServices(testConfig(), { engine });
+        try {
+            assert.equal(services.analysis.engine, engine);
+            assert.equal(services.monitor.notifier, services.notifier);
+
+            await services.analysis.run('run()', 'src/a.js');
+            assert.deepEqual(services.monitor.recent.map(metric => metric.filePath), ['src/a.js']);
+            assert.match(services.telemetry.registry.render(), /^codesaviour_analyses_total\{outcome="success",cached="false"\} 1$/m);
+        } finally {
+            await services.monitor.stop();
+        }
+    });
+
+    it('shares injected services, as the combined server does for its apps', async () => {
+        const first = createServices(testConfig(), { engine });
+        const second = createServices(testConfig(), first);
+        try {
+            for (const name of ['engine', 'notifier', 'monitor', 'telemetry', 'reportStore', 'auditLog', 'analysis']) {
+                assert.equal(second[name], first[name], name);
+            }
+        } finally {
+            await first.monitor.stop();
+        }
+    });
+
+    it('applies reloaded thresholds to a monitor it built', async () => {
+        const config = testConfig();
+        const configLoader = new EventEmitter();
+        const services = createServices(config, { engine, configLoader });
+        try {
+            assert.ok(services.monitor instanceof PerformanceMonitor);
+            config.monitoring.thresholds.cpuUsage = 50;
+            configLoader.emit('reload');
+            assert.equal(services.monitor.thresholds.cpuUsage, 50);
+            assert.equal(services.monitor.alertRules.rules.find(rule => rule.name === 'high-cpu').threshold, 50);
+        } finally {
+            await services.monitor.stop();
+        }
+    });
+});
@@ -0,0 +1,202 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Accepts "host", "host:port" or "smtp[s]://user:pass@host:port"
+function parseSmtpServer(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (value.includes('://')) {
+        const url = new URL(value);
+        const secure = url.protocol === 'smtps:';
+        return {
+            host: url.hostname,
+            port: Number(url.port) || (secure ? 465 : 587),
+            secure,
+            username: url.username ? decodeURIComponent(url.username) : undefined,
+            password: url.password ? decodeURIComponent(url.password) : undefined
+        };
+    }
+
+    const [host, port] = value.split(':');
+    return { host, port: Number(port) || 587, secure: Number(port) === 465 };
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+    const domain = from.split('@')[1] || 'localhost';
+
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+// Collects multi-line SMTP replies ("250-..." continuation, "250 ..." final)
+class ReplyReader {
+    constructor(socket) {
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = [];
+        this.onData = chunk => this.push(chunk.toString('utf8'));
+        this.onError = error => this.fail(error);
+        this.onClose = () => this.fail(new Error('SMTP connection closed'));
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    detach() {
+        this.socket.off('data', this.onData);
+        this.socket.off('error', this.onError);
+        this.socket.off('close', this.onClose);
+    }
+
+    push(data) {
+        this.buffer += data;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+                this.lines = [];
+                const waiter = this.waiting.shift();
+                waiter ? waiter.resolve(reply) : this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        for (const waiter of this.waiting.splice(0)) {
+            waiter.reject(error);
+        }
+        this.error = error;
+    }
+
+    read() {
+        if (this.replies.length > 0) {
+            return Promise.resolve(this.replies.shift());
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+}
+
+// A minimal SMTP submission client: implicit TLS or STARTTLS, AUTH PLAIN and
+// a single plain-text message per connection. Credentials are only sent over
+// TLS unless `allowInsecureAuth` is set.
+class SmtpClient {
+    constructor(options = {}) {
+        this.host = options.host;
+        this.port = options.port || (options.secure ? 465 : 587);
+        this.secure = Boolean(options.secure);
+        this.username = options.username;
+        this.password = options.password;
+        this.allowInsecureAuth = Boolean(options.allowInsecureAuth);
+        this.timeout = options.timeout || 10000;
+        this.clientName = options.clientName || os.hostname();
+        this.tlsOptions = { servername: this.host, ...options.tls };
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, ...this.tlsOptions }, () => resolve(socket))
+                : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+            socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secured = tls.connect({ socket, ...this.tlsOptions }, () => resolve(secured));
+            secured.once('error', reject);
+        });
+    }
+
+    // Errors name the command verb only, so credentials and message
+    // bodies never end up in logs
+    async command(reader, socket, line, expected, label = line ? line.split(/[ :]/)[0] : 'greeting') {
+        if (line !== null) {
+            socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    async send({ from, to, subject, text }) {
+        let socket = await this.connect();
+        let reader = new ReplyReader(socket);
+
+        try {
+            await this.command(reader, socket, null, [220]);
+            const ehlo = await this.command(reader, socket, `EHLO ${this.clientName}`, [250]);
+            let encrypted = this.secure;
+
+            if (!this.secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+                await this.command(reader, socket, 'STARTTLS', [220]);
+                reader.detach();
+                socket = await this.upgrade(socket);
+                reader = new ReplyReader(socket);
+                encrypted = true;
+                await this.command(reader, socket, `EHLO ${this.clientName}`, [250]);
+            }
+
+            if (this.username) {
+                if (!encrypted && !this.allowInsecureAuth) {
+                    throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted');
+                }
+                const credentials = Buffer.from(`\0${this.username}\0${this.password || ''}`).toString('base64');
+                await this.command(reader, socket, `AUTH PLAIN ${credentials}`, [235]);
+            }
+
+            await this.command(reader, socket, `MAIL FROM:<${from}>`, [250]);
+            for (const recipient of to) {
+                await this.command(reader, socket, `RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await this.command(reader, socket, 'DATA', [354]);
+            await this.command(reader, socket, `${buildMessage({ from, to, subject, text })}\r\n.`, [250], 'message');
+            await this.command(reader, socket, 'QUIT', [221]).catch(() => {});
+        } finally {
+            reader.detach();
+            socket.on('error', () => {});
+            socket.destroy();
+        }
+    }
+}
+
+module.exports = {
+    SmtpClient,
+    parseSmtpServer,
+    buildMessage
+};
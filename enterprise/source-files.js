@@ -0,0 +1,48 @@
+const path = require('path');
+
+const ANALYZABLE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+const LANGUAGES = {
+    '.js': 'javascript',
+    '.jsx': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.py': 'python',
+    '.rb': 'ruby',
+    '.go': 'go',
+    '.java': 'java',
+    '.kt': 'kotlin',
+    '.cs': 'csharp',
+    '.php': 'php',
+    '.rs': 'rust',
+    '.swift': 'swift',
+    '.c': 'c',
+    '.h': 'c',
+    '.cpp': 'cpp',
+    '.hpp': 'cpp',
+    '.sh': 'shell',
+    '.sql': 'sql',
+    '.json': 'json',
+    '.yml': 'yaml',
+    '.yaml': 'yaml',
+    '.md': 'markdown',
+    '.html': 'html',
+    '.css': 'css'
+};
+
+function isAnalyzableFile(filePath) {
+    return ANALYZABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// By extension; null when unknown
+function detectLanguage(filePath) {
+    return LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+}
+
+module.exports = {
+    ANALYZABLE_EXTENSIONS,
+    isAnalyzableFile,
+    detectLanguage
+};
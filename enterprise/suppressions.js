@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const { matchesGlob } = require('./glob.js');
+const { fingerprintIssue } = require('./findings.js');
+
+// `codesaviour-ignore-line`, `codesaviour-ignore-next-line` and
+// `codesaviour-ignore-file`, optionally followed by comma-separated rules and
+// `-- reason`. Only recognised inside a comment.
+const DIRECTIVE = /(?:\/\/|\/\*|#|--|<!--)\s*codesaviour-ignore-(line|next-line|file)\b([^\n]*)/;
+
+function parseDirective(text) {
+    const [rulesPart, ...reasonParts] = text.replace(/\*\/|-->/g, '').split(' -- ');
+    const rules = rulesPart.split(/[\s,]+/).filter(Boolean);
+    return {
+        rules: rules.length > 0 ? rules : null,
+        reason: reasonParts.join(' -- ').trim() || null
+    };
+}
+
+// Returns `{ file, lines }`: the file-wide directive, if any, and a Map of
+// 1-based line number to the directive covering it.
+function parseInlineSuppressions(code) {
+    const lines = new Map();
+    let file = null;
+
+    String(code || '').split('\n').forEach((line, index) => {
+        const match = DIRECTIVE.exec(line);
+        if (!match) {
+            return;
+        }
+        const directive = parseDirective(match[2]);
+        if (match[1] === 'file') {
+            file = directive;
+        } else {
+            lines.set(match[1] === 'line' ? index + 1 : index + 2, directive);
+        }
+    });
+
+    return { file, lines };
+}
+
+function coversRule(directive, issue) {
+    return !directive.rules || directive.rules.includes(issue.rule || issue.type);
+}
+
+function isExpired(entry, now = Date.now()) {
+    return Boolean(entry.expires) && new Date(entry.expires).getTime() <= now;
+}
+
+// A suppression file entry needs a reason and at least one of `rule`,
+// `paths` or `fingerprint`; `repository` and `expires` are optional.
+function validateEntry(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`Suppression ${index} must be an object`);
+    }
+    if (!entry.reason) {
+        throw new Error(`Suppression ${index} needs a reason`);
+    }
+    if (!entry.rule && !entry.paths && !entry.fingerprint) {
+        throw new Error(`Suppression ${index} needs a rule, paths or fingerprint`);
+    }
+    if (entry.expires && Number.isNaN(new Date(entry.expires).getTime())) {
+        throw new Error(`Suppression ${index} has an invalid expiry date`);
+    }
+    return { id: entry.id || `suppression-${index}`, ...entry };
+}
+
+function parseSuppressionFile(content) {
+    const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+    const entries = Array.isArray(parsed) ? parsed : parsed?.suppressions || [];
+    return entries.map(validateEntry);
+}
+
+function matchesEntry(entry, issue, { filePath, repository, fingerprint }) {
+    return (!entry.repository || entry.repository === repository)
+        && (!entry.rule || entry.rule === (issue.rule || issue.type))
+        && (!entry.paths || (filePath && matchesGlob(filePath, entry.paths)))
+        && (!entry.fingerprint || entry.fingerprint === fingerprint);
+}
+
+// Reads the suppression file, re-reading it when it changes on disk
+class SuppressionList {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.entries = options.entries ? parseSuppressionFile(options.entries) : [];
+        this.loadedMtime = null;
+    }
+
+    async load() {
+        if (!this.file) {
+            return this.entries;
+        }
+
+        let stat;
+        try {
+            stat = await fs.stat(this.file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.entries = [];
+                this.loadedMtime = null;
+                return this.entries;
+            }
+            throw error;
+        }
+
+        if (stat.mtimeMs !== this.loadedMtime) {
+            this.entries = parseSuppressionFile(await fs.readFile(this.file, 'utf8'));
+            this.loadedMtime = stat.mtimeMs;
+        }
+        return this.entries;
+    }
+
+    async list({ now = Date.now() } = {}) {
+        return (await this.load()).map(entry => ({ ...entry, expired: isExpired(entry, now) }));
+    }
+}
+
+// Splits `result.issues` into the issues still reported and
+// `suppressedIssues`, each tagged with what suppressed it. Inline
+// directives win over the suppression file, which wins over the baseline.
+// `baseline` maps fingerprints to the number of occurrences it accepts, so
+// a further copy of an accepted finding is still reported. Expired entries
+// are ignored.
+function applySuppressions(result, { code, filePath, repository, entries = [], baseline = null, now = Date.now() } = {}) {
+    const inline = code ? parseInlineSuppressions(code) : { file: null, lines: new Map() };
+    const active = entries.filter(entry => !isExpired(entry, now));
+    const issues = [];
+    const suppressedIssues = [...(result.suppressedIssues || [])];
+    const remaining = new Map(baseline || []);
+
+    for (const issue of result.issues || []) {
+        const fingerprint = fingerprintIssue(issue, { filePath, repository });
+        const directive = [inline.lines.get(issue.line), inline.file]
+            .find(candidate => candidate && coversRule(candidate, issue));
+        const entry = !directive && active.find(candidate => matchesEntry(candidate, issue, { filePath, repository, fingerprint }));
+
+        let suppression = null;
+        if (directive) {
+            suppression = { kind: 'inline', reason: directive.reason };
+        } else if (entry) {
+            suppression = { kind: 'file', id: entry.id, reason: entry.reason, expires: entry.expires || null };
+        } else if (remaining.get(fingerprint) > 0) {
+            remaining.set(fingerprint, remaining.get(fingerprint) - 1);
+            suppression = { kind: 'baseline', reason: 'Present in the repository baseline' };
+        }
+
+        if (suppression) {
+            suppressedIssues.push({ ...issue, fingerprint, suppression });
+        } else {
+            issues.push(issue);
+        }
+    }
+
+    return { ...result, issues, suppressedIssues };
+}
+
+module.exports = {
+    SuppressionList,
+    applySuppressions,
+    parseInlineSuppressions,
+    parseSuppressionFile,
+    isExpired
+};
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySuppressions, parseInlineSuppressions, parseSuppressionFile, isExpired } = require('./suppressions.js');
+const { fingerprintIssue } = require('./findings.js');
+
+const issue = (line, rule, message = `${rule} on ${line}`) => ({ line, rule, message, severity: 'high' });
+
+describe('parseInlineSuppressions', () => {
+    it('reads line, next-line and file directives with rules and reasons', () => {
+        const code = [
+            'eval(input); // codesaviour-ignore-line no-eval -- sandboxed',
+            '// codesaviour-ignore-next-line',
+            'run(input);',
+            '/* codesaviour-ignore-file sql-injection, xss */'
+        ].join('\n');
+        const { file, lines } = parseInlineSuppressions(code);
+
+        assert.deepEqual(lines.get(1), { rules: ['no-eval'], reason: 'sandboxed' });
+        assert.deepEqual(lines.get(3), { rules: null, reason: null });
+        assert.deepEqual(file, { rules: ['sql-injection', 'xss'], reason: null });
+    });
+
+    it('ignores directives outside comments', () => {
+        const { file, lines } = parseInlineSuppressions('const s = "codesaviour-ignore-file";');
+        assert.equal(file, null);
+        assert.equal(lines.size, 0);
+    });
+});
+
+describe('parseSuppressionFile', () => {
+    it('accepts a list or a { suppressions } object and assigns ids', () => {
+        const entries = parseSuppressionFile(JSON.stringify({ suppressions: [{ rule: 'xss', reason: 'escaped' }] }));
+        assert.deepEqual(entries, [{ id: 'suppression-0', rule: 'xss', reason: 'escaped' }]);
+        assert.equal(parseSuppressionFile([{ id: 'x', paths: ['vendor/**'], reason: 'vendored' }])[0].id, 'x');
+    });
+
+    it('rejects entries without a reason, a target or a valid expiry', () => {
+        assert.throws(() => parseSuppressionFile([{ rule: 'xss' }]), /needs a reason/);
+        assert.throws(() => parseSuppressionFile([{ reason: 'why' }]), /needs a rule, paths or fingerprint/);
+        assert.throws(() => parseSuppressionFile([{ rule: 'xss', reason: 'why', expires: 'soon' }]), /invalid expiry/);
+        assert.throws(() => parseSuppressionFile(['xss']), /must be an object/);
+    });
+});
+
+describe('isExpired', () => {
+    it('expires entries at their expiry time', () => {
+        const now = Date.parse('2024-06-01T00:00:00Z');
+        assert.equal(isExpired({ expires: '2024-06-01T00:00:00Z' }, now), true);
+        assert.equal(isExpired({ expires: '2024-06-02' }, now), false);
+        assert.equal(isExpired({}, now), false);
+    });
+});
+
+describe('applySuppressions', () => {
+    const filePath = 'src/app.js';
+    const repository = 'acme/app';
+
+    it('suppresses by inline directive, honouring the listed rules', () => {
+        const code = 'a();\nb(); // codesaviour-ignore-line xss -- escaped upstream\nc();';
+        const result = applySuppressions({ issues: [issue(2, 'xss'), issue(2, 'no-eval'), issue(3, 'xss')] }, { code, filePath });
+
+        assert.deepEqual(result.issues.map(found => [found.line, found.rule]), [[2, 'no-eval'], [3, 'xss']]);
+        assert.equal(result.suppressedIssues.length, 1);
+        assert.deepEqual(result.suppressedIssues[0].suppression, { kind: 'inline', reason: 'escaped upstream' });
+        assert.equal(result.suppressedIssues[0].fingerprint, fingerprintIssue(issue(2, 'xss'), { filePath }));
+    });
+
+    it('suppresses by file entry on rule, path and repository, skipping expired entries', () => {
+        const entries = parseSuppressionFile([
+            { id: 'vendor', paths: ['src/**'], rule: 'xss', repository, reason: 'vendored' },
+            { id: 'old', rule: 'no-eval', reason: 'expired', expires: '2000-01-01' }
+        ]);
+        const result = applySuppressions({ issues: [issue(1, 'xss'), issue(2, 'no-eval')] }, { filePath, repository, entries });
+
+        assert.deepEqual(result.issues.map(found => found.rule), ['no-eval']);
+        assert.deepEqual(result.suppressedIssues[0].suppression, { kind: 'file', id: 'vendor', reason: 'vendored', expires: null });
+
+        const elsewhere = applySuppressions({ issues: [issue(1, 'xss')] }, { filePath, repository: 'other', entries });
+        assert.equal(elsewhere.issues.length, 1);
+    });
+
+    it('accepts only as many copies of a finding as the baseline holds', () => {
+        const finding = issue(1, 'xss', 'Unescaped output');
+        const fingerprint = fingerprintIssue(finding, { filePath, repository });
+        const result = applySuppressions(
+            { issues: [finding, { ...finding, line: 9 }] },
+            { filePath, repository, baseline: new Map([[fingerprint, 1]]) }
+        );
+
+        assert.equal(result.issues.length, 1);
+        assert.equal(result.issues[0].line, 9);
+        assert.equal(result.suppressedIssues[0].suppression.kind, 'baseline');
+    });
+
+    it('prefers inline directives over file entries and keeps earlier suppressions', () => {
+        const entries = parseSuppressionFile([{ rule: 'xss', reason: 'from file' }]);
+        const previous = { ...issue(5, 'csrf'), suppression: { kind: 'inline', reason: null } };
+        const result = applySuppressions(
+            { issues: [issue(1, 'xss')], suppressedIssues: [previous] },
+            { code: 'x(); // codesaviour-ignore-line -- inline wins', filePath, entries }
+        );
+
+        assert.equal(result.suppressedIssues.length, 2);
+        assert.equal(result.suppressedIssues[1].suppression.reason, 'inline wins');
+    });
+});
@@ -0,0 +1,168 @@
+const { performance } = require('perf_hooks');
+const { MetricsRegistry } = require('./metrics-registry.js');
+const { OtlpExporter, createSpanIds } = require('./otlp-exporter.js');
+const { AuthenticationError, sendError } = require('./errors.js');
+
+// Instruments shared by the API and dashboard servers. Analysis and alert
+// counters are fed from PerformanceMonitor events, request latency from the
+// Express middleware, and process memory is sampled on every scrape.
+class Telemetry {
+    constructor(options = {}) {
+        const config = options.config || {};
+        this.registry = options.registry || new MetricsRegistry();
+        this.token = config.prometheus?.token || null;
+
+        this.analyses = this.registry.counter({
+            name: 'codesaviour_analyses_total',
+            help: 'Completed code analyses',
+            labelNames: ['outcome', 'cached']
+        });
+        this.analysisDuration = this.registry.histogram({
+            name: 'codesaviour_analysis_duration_seconds',
+            help: 'Time spent in engine.analyzeCode, or looking up the cache for cached results',
+            labelNames: ['cached'],
+            buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+        });
+        this.analyzedChars = this.registry.counter({
+            name: 'codesaviour_analyzed_characters_total',
+            help: 'Characters of source code analyzed'
+        });
+        this.throughput = this.registry.gauge({
+            name: 'codesaviour_analysis_throughput_chars_per_ms',
+            help: 'Throughput of the most recent analysis'
+        });
+        this.issues = this.registry.counter({
+            name: 'codesaviour_issues_total',
+            help: 'Issues reported by analyses',
+            labelNames: ['severity']
+        });
+        this.cacheLookups = this.registry.counter({
+            name: 'codesaviour_analysis_cache_total',
+            help: 'Analysis cache lookups by outcome',
+            labelNames: ['outcome']
+        });
+        this.alerts = this.registry.counter({
+            name: 'codesaviour_alerts_total',
+            help: 'Alerts raised by the performance monitor',
+            labelNames: ['type', 'severity']
+        });
+        this.requestDuration = this.registry.histogram({
+            name: 'codesaviour_http_request_duration_seconds',
+            help: 'HTTP request latency by route',
+            labelNames: ['server', 'method', 'route', 'status']
+        });
+        this.memory = this.registry.gauge({
+            name: 'codesaviour_process_memory_bytes',
+            help: 'Process memory usage',
+            labelNames: ['type']
+        });
+
+        this.registry.addCollector(() => {
+            const usage = process.memoryUsage();
+            for (const type of ['rss', 'heapUsed', 'heapTotal', 'external']) {
+                this.memory.set({ type }, usage[type]);
+            }
+        });
+
+        this.exporter = config.otlp?.enabled
+            ? new OtlpExporter({ ...config.otlp, registry: this.registry })
+            : null;
+        if (this.exporter) {
+            this.exporter.start();
+        }
+
+        if (options.monitor) {
+            this.observe(options.monitor);
+        }
+    }
+
+    observe(monitor) {
+        monitor.on('analysis_recorded', metric => {
+            const cached = String(Boolean(metric.cached));
+            this.analyses.inc({ outcome: 'success', cached });
+            this.analysisDuration.observe({ cached }, metric.analysisTime / 1000);
+            this.analyzedChars.inc({}, metric.codeSize);
+            if (Number.isFinite(metric.throughput)) {
+                this.throughput.set({}, metric.throughput);
+            }
+            for (const [severity, count] of Object.entries(metric.severities || { unknown: metric.issues })) {
+                this.issues.inc({ severity }, count);
+            }
+        });
+        monitor.on('cache_event', event => {
+            this.cacheLookups.inc({ outcome: event.outcome });
+        });
+        monitor.on('alert_created', alert => {
+            this.alerts.inc({ type: alert.type, severity: alert.severity });
+        });
+    }
+
+    // Runs `fn` inside a span that is exported over OTLP when enabled. An
+    // incoming W3C `traceparent` joins the caller's trace.
+    async trace(name, attributes, fn, { traceparent } = {}) {
+        const span = {
+            name,
+            attributes: { ...attributes },
+            ...createSpanIds(traceparent),
+            startTime: Date.now()
+        };
+
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.error = error.message;
+            throw error;
+        } finally {
+            span.endTime = Date.now();
+            if (this.exporter) {
+                this.exporter.recordSpan(span);
+            }
+        }
+    }
+
+    traceAnalysis(code, filePath, fn, { traceparent } = {}) {
+        return this.trace('engine.analyzeCode', {
+            'code.filepath': filePath || 'unknown',
+            'codesaviour.code_size': code.length
+        }, async span => {
+            try {
+                const result = await fn();
+                span.attributes['codesaviour.issues'] = result?.issues?.length || 0;
+                return result;
+            } catch (error) {
+                this.analyses.inc({ outcome: 'error' });
+                throw error;
+            }
+        }, { traceparent });
+    }
+
+    middleware(server) {
+        return (req, res, next) => {
+            const start = performance.now();
+            res.on('finish', () => {
+                // Label by route pattern, not URL, to keep cardinality bounded
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                this.requestDuration.observe(
+                    { server, method: req.method, route, status: res.statusCode },
+                    (performance.now() - start) / 1000
+                );
+            });
+            next();
+        };
+    }
+
+    metricsHandler() {
+        return (req, res) => {
+            if (this.token && req.headers['authorization'] !== `Bearer ${this.token}`) {
+                return sendError(res, new AuthenticationError('Invalid metrics token'));
+            }
+            res.type(MetricsRegistry.contentType).send(this.registry.render());
+        };
+    }
+
+    stop() {
+        return this.exporter ? this.exporter.stop() : Promise.resolve();
+    }
+}
+
+module.exports = Telemetry;
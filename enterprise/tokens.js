@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Compact HS256 JSON Web Tokens, enough for API bearer tokens and dashboard
+// sessions without pulling in a JWT library.
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function sign(data, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function signToken(payload, secret, { expiresIn } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { iat: now, ...payload };
+    if (expiresIn) {
+        claims.exp = now + expiresIn;
+    }
+
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(claims));
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+// Returns the claims of a valid, unexpired token and null otherwise.
+function verifyToken(token, secret) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3 || !secret) {
+        return null;
+    }
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64').toString());
+        const claims = JSON.parse(Buffer.from(body, 'base64').toString());
+        if (alg !== 'HS256' || (claims.exp && claims.exp < Date.now() / 1000)) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    signToken,
+    verifyToken
+};
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens.js');
+
+const SECRET = 'test-secret';
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+// Signs arbitrary header and claims the way tokens.js does
+function forge(header, claims, secret = SECRET) {
+    const data = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+describe('tokens', () => {
+    it('round-trips claims and adds iat and exp', () => {
+        const token = signToken({ sub: 'alice', role: 'admin' }, SECRET, { expiresIn: 60 });
+        const claims = verifyToken(token, SECRET);
+
+        assert.equal(claims.sub, 'alice');
+        assert.equal(claims.role, 'admin');
+        assert.equal(claims.exp - claims.iat, 60);
+    });
+
+    it('rejects a token signed with another secret', () => {
+        assert.equal(verifyToken(signToken({ sub: 'alice' }, 'other'), SECRET), null);
+    });
+
+    it('rejects a token whose claims were changed', () => {
+        const [header, , signature] = signToken({ sub: 'alice', role: 'viewer' }, SECRET).split('.');
+        const body = base64url(JSON.stringify({ sub: 'alice', role: 'admin' }));
+        assert.equal(verifyToken(`${header}.${body}.${signature}`, SECRET), null);
+    });
+
+    it('rejects expired tokens', () => {
+        const token = signToken({ sub: 'alice', exp: Math.floor(Date.now() / 1000) - 10 }, SECRET);
+        assert.equal(verifyToken(token, SECRET), null);
+    });
+
+    it('rejects algorithms other than HS256', () => {
+        assert.equal(verifyToken(forge({ alg: 'none', typ: 'JWT' }, { sub: 'alice' }), SECRET), null);
+        assert.equal(verifyToken(forge({ alg: 'HS512', typ: 'JWT' }, { sub: 'alice' }), SECRET), null);
+        assert.equal(verifyToken(forge({ alg: 'HS256', typ: 'JWT' }, { sub: 'alice' }), SECRET).sub, 'alice');
+    });
+
+    it('rejects malformed tokens and a missing secret', () => {
+        const token = signToken({ sub: 'alice' }, SECRET);
+        for (const value of [undefined, '', 'abc', 'a.b', `${token}.extra`]) {
+            assert.equal(verifyToken(value, SECRET), null);
+        }
+        assert.equal(verifyToken(token, undefined), null);
+        assert.equal(verifyToken(token, ''), null);
+    });
+});
@@ -0,0 +1,231 @@
+const BUCKET_SIZES = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Number of preceding buckets that form the rolling baseline
+const BASELINE_BUCKETS = {
+    hour: 24,
+    day: 7
+};
+
+function bucketStart(timestamp, interval) {
+    const size = BUCKET_SIZES[interval];
+    return Math.floor(timestamp / size) * size;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function issueCategory(issue) {
+    return issue.category || issue.type || 'uncategorized';
+}
+
+function pathPrefix(filePath, depth) {
+    const segments = (filePath || '').replace(/\\/g, '/').split('/');
+    return segments.length > 1 ? segments.slice(0, Math.min(depth, segments.length - 1)).join('/') : '.';
+}
+
+// Computes dashboard trends from stored analysis reports: per-bucket volume,
+// scores and issue categories, breakdowns by repository, path prefix and
+// category, and regressions against a rolling baseline of earlier buckets.
+class TrendEngine {
+    constructor(options = {}) {
+        this.reportStore = options.reportStore;
+        this.scoreDropThreshold = options.scoreDropThreshold || 10;
+    }
+
+    async calculate({ days = 7, interval = 'day', repository, pathPrefix: prefix, category, prefixDepth = 1 } = {}) {
+        if (!BUCKET_SIZES[interval]) {
+            throw new Error(`Unsupported interval: ${interval}`);
+        }
+
+        const size = BUCKET_SIZES[interval];
+        const to = Date.now();
+        const from = bucketStart(to - days * BUCKET_SIZES.day, interval) + size;
+        const baselineFrom = from - BASELINE_BUCKETS[interval] * size;
+
+        const reports = await this.reportStore.query({ from: new Date(baselineFrom), to: new Date(to + 1) });
+        const entries = this.flatten(reports, { repository, prefix, category });
+
+        const buckets = new Map();
+        for (let start = baselineFrom; start <= to; start += size) {
+            buckets.set(start, { start, analyses: 0, issues: 0, performance: [], security: [], categories: {} });
+        }
+
+        for (const entry of entries) {
+            const bucket = buckets.get(bucketStart(entry.timestamp, interval));
+            if (!bucket) {
+                continue;
+            }
+            bucket.analyses++;
+            bucket.issues += entry.issues.length;
+            if (typeof entry.result.performanceScore === 'number') {
+                bucket.performance.push(entry.result.performanceScore);
+            }
+            if (typeof entry.result.securityScore === 'number') {
+                bucket.security.push(entry.result.securityScore);
+            }
+            for (const issue of entry.issues) {
+                const name = issueCategory(issue);
+                bucket.categories[name] = (bucket.categories[name] || 0) + 1;
+            }
+        }
+
+        const ordered = [...buckets.values()];
+        const visible = ordered.filter(bucket => bucket.start >= from);
+        const label = bucket => new Date(bucket.start).toISOString();
+
+        const issueTypes = {};
+        for (const bucket of visible) {
+            for (const [name, count] of Object.entries(bucket.categories)) {
+                issueTypes[name] = issueTypes[name] || visible.map(b => ({ bucket: label(b), count: 0 }));
+                issueTypes[name][visible.indexOf(bucket)].count = count;
+            }
+        }
+
+        return {
+            range: {
+                from: new Date(from).toISOString(),
+                to: new Date(to).toISOString(),
+                interval,
+                days
+            },
+            analysisVolume: visible.map(bucket => ({ bucket: label(bucket), analyses: bucket.analyses, issues: bucket.issues })),
+            performanceScore: visible.map(bucket => this.scorePoint(label(bucket), bucket.performance)),
+            securityScore: visible.map(bucket => this.scorePoint(label(bucket), bucket.security)),
+            issueTypes,
+            breakdown: this.breakdown(entries.filter(entry => entry.timestamp >= from), prefixDepth),
+            regressions: this.detectRegressions(ordered, from, interval)
+        };
+    }
+
+    flatten(reports, { repository, prefix, category }) {
+        const entries = [];
+
+        for (const report of reports) {
+            if (repository && report.repository !== repository) {
+                continue;
+            }
+
+            for (const { filePath, result } of report.results || []) {
+                if (!result || (prefix && !(filePath || '').startsWith(prefix))) {
+                    continue;
+                }
+
+                const issues = (result.issues || []).filter(issue => !category || issueCategory(issue) === category);
+                entries.push({
+                    timestamp: new Date(report.createdAt).getTime(),
+                    repository: report.repository || 'unknown',
+                    filePath,
+                    result,
+                    issues
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    scorePoint(bucket, scores) {
+        return {
+            bucket,
+            average: round(average(scores)),
+            min: scores.length > 0 ? Math.min(...scores) : null,
+            samples: scores.length
+        };
+    }
+
+    breakdown(entries, prefixDepth) {
+        const groups = {
+            byRepository: {},
+            byPathPrefix: {},
+            byCategory: {}
+        };
+
+        const add = (group, key, entry) => {
+            const stats = group[key] = group[key] || { analyses: 0, issues: 0, security: [], performance: [] };
+            stats.analyses++;
+            stats.issues += entry.issues.length;
+            if (typeof entry.result.securityScore === 'number') {
+                stats.security.push(entry.result.securityScore);
+            }
+            if (typeof entry.result.performanceScore === 'number') {
+                stats.performance.push(entry.result.performanceScore);
+            }
+        };
+
+        for (const entry of entries) {
+            add(groups.byRepository, entry.repository, entry);
+            add(groups.byPathPrefix, pathPrefix(entry.filePath, prefixDepth), entry);
+            for (const issue of entry.issues) {
+                const name = issueCategory(issue);
+                groups.byCategory[name] = groups.byCategory[name] || { issues: 0, files: new Set() };
+                groups.byCategory[name].issues++;
+                groups.byCategory[name].files.add(entry.filePath);
+            }
+        }
+
+        const summarize = group => Object.fromEntries(Object.entries(group).map(([key, stats]) => [key, {
+            analyses: stats.analyses,
+            issues: stats.issues,
+            avgSecurityScore: round(average(stats.security)),
+            avgPerformanceScore: round(average(stats.performance))
+        }]));
+
+        return {
+            byRepository: summarize(groups.byRepository),
+            byPathPrefix: summarize(groups.byPathPrefix),
+            byCategory: Object.fromEntries(Object.entries(groups.byCategory)
+                .map(([name, stats]) => [name, { issues: stats.issues, files: stats.files.size }]))
+        };
+    }
+
+    detectRegressions(buckets, from, interval) {
+        const regressions = [];
+        const window = BASELINE_BUCKETS[interval];
+
+        buckets.forEach((bucket, index) => {
+            if (bucket.start < from || bucket.analyses === 0) {
+                return;
+            }
+
+            const baseline = buckets.slice(Math.max(0, index - window), index).filter(b => b.analyses > 0);
+            if (baseline.length === 0) {
+                return;
+            }
+            const at = new Date(bucket.start).toISOString();
+
+            const seen = new Set(baseline.flatMap(b => Object.keys(b.categories)));
+            for (const name of Object.keys(bucket.categories)) {
+                if (!seen.has(name)) {
+                    regressions.push({ type: 'new_issue_type', bucket: at, category: name, count: bucket.categories[name] });
+                }
+            }
+
+            for (const metric of ['security', 'performance']) {
+                const current = average(bucket[metric]);
+                const expected = average(baseline.flatMap(b => b[metric]));
+                if (current !== null && expected !== null && expected - current >= this.scoreDropThreshold) {
+                    regressions.push({
+                        type: 'score_drop',
+                        bucket: at,
+                        metric: `${metric}Score`,
+                        value: round(current),
+                        baseline: round(expected),
+                        drop: round(expected - current)
+                    });
+                }
+            }
+        });
+
+        return regressions;
+    }
+}
+
+module.exports = TrendEngine;
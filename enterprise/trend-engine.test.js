@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TrendEngine = require('./trend-engine.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function storeOf(reports) {
+    return {
+        query: async ({ from, to }) => reports.filter(report => {
+            const time = new Date(report.createdAt).getTime();
+            return time >= from.getTime() && time < to.getTime();
+        })
+    };
+}
+
+function report(ago, repository, results) {
+    return { createdAt: new Date(Date.now() - ago).toISOString(), repository, results };
+}
+
+describe('TrendEngine', () => {
+    const reports = [
+        report(2 * DAY, 'acme/web', [
+            { filePath: 'src/a.js', result: { securityScore: 90, performanceScore: 80, issues: [{ type: 'security' }] } },
+            { filePath: 'lib/b.js', result: { securityScore: 94, performanceScore: 80, issues: [] } }
+        ]),
+        report(0, 'acme/api', [
+            { filePath: 'src/c.js', result: { securityScore: 70, performanceScore: 78, issues: [{ type: 'performance' }, { type: 'security' }] } }
+        ]),
+        report(30 * DAY, 'acme/web', [{ filePath: 'src/old.js', result: { issues: [{ type: 'style' }] } }])
+    ];
+    const engine = new TrendEngine({ reportStore: storeOf(reports) });
+
+    it('buckets analyses, scores and issue types over the requested days', async () => {
+        const trends = await engine.calculate({ days: 3 });
+
+        assert.deepEqual(trends.analysisVolume.map(point => [point.analyses, point.issues]), [[2, 1], [0, 0], [1, 2]]);
+        assert.deepEqual(trends.securityScore.map(point => point.average), [92, null, 70]);
+        assert.deepEqual(trends.issueTypes.performance.map(point => point.count), [0, 0, 1]);
+        assert.equal(trends.issueTypes.style, undefined);
+    });
+
+    it('breaks the range down by repository, path prefix and category', async () => {
+        const { breakdown } = await engine.calculate({ days: 3 });
+
+        assert.deepEqual(Object.keys(breakdown.byRepository).sort(), ['acme/api', 'acme/web']);
+        assert.equal(breakdown.byRepository['acme/web'].avgSecurityScore, 92);
+        assert.deepEqual(breakdown.byPathPrefix.src, { analyses: 2, issues: 3, avgSecurityScore: 80, avgPerformanceScore: 79 });
+        assert.deepEqual(breakdown.byCategory.security, { issues: 2, files: 2 });
+    });
+
+    it('flags new issue types and score drops against earlier buckets', async () => {
+        const { regressions } = await engine.calculate({ days: 3 });
+
+        assert.deepEqual(regressions.map(regression => [regression.type, regression.category || regression.metric]), [
+            ['new_issue_type', 'performance'],
+            ['score_drop', 'securityScore']
+        ]);
+        assert.equal(regressions[1].drop, 22);
+    });
+
+    it('filters by repository and category', async () => {
+        const trends = await engine.calculate({ days: 3, repository: 'acme/web', category: 'security' });
+        assert.deepEqual(trends.analysisVolume.map(point => point.issues), [1, 0, 0]);
+        assert.deepEqual(trends.regressions, []);
+    });
+
+    it('rejects unknown intervals', async () => {
+        await assert.rejects(engine.calculate({ interval: 'week' }), /Unsupported interval: week/);
+    });
+});
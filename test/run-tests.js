@@ -0,0 +1,10 @@
+const fs = require('fs');
+const path = require('path');
+
+// Loads every `*.test.js` next to the enterprise modules. The tests use
+// node:test, which runs them once loaded and exits non-zero on a failure.
+const root = path.join(__dirname, '..', 'enterprise');
+
+for (const file of fs.readdirSync(root).filter(name => name.endsWith('.test.js')).sort()) {
+    require(path.join(root, file));
+}